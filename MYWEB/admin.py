@@ -0,0 +1,428 @@
+"""Password-protected admin area for contact submissions and chat transcripts.
+
+Pages live under /admin and talk to the JSON endpoints under /admin/api;
+/admin/export and /admin/api/import wrap data_transfer; /admin/live is the
+owner's live chat socket (see live_chat); /admin/api/webhooks manages the
+outgoing webhooks (see webhooks), /admin/api/analytics summarises the
+usage counts (see analytics) and /admin/api/search searches chats and
+contacts (see search). The password comes from
+ADMIN_PASSWORD_HASH (a werkzeug password hash) or, for local setups,
+ADMIN_PASSWORD; without either the admin area stays locked.
+"""
+from flask import Blueprint, render_template, redirect, url_for, request, jsonify, session, Response
+from werkzeug.security import check_password_hash
+from datetime import datetime
+from functools import wraps
+import hmac
+import math
+import os
+import tempfile
+
+import analytics
+import data_transfer
+import live_chat
+import search
+import webhooks
+from database import connect_db, get_db, query_chat_sessions, query_contacts, STATUSES
+from ratelimit import RateLimiter, client_ip
+
+admin_bp = Blueprint('admin', __name__, url_prefix='/admin')
+
+DEFAULT_PER_PAGE = 20
+MAX_PER_PAGE = 100
+
+# Password attempts per IP; slows guessing to a crawl
+login_limiter = RateLimiter(limit=10, window=15 * 60)
+
+
+def check_password(password):
+    """Compares a login attempt against the configured admin password."""
+    password_hash = os.environ.get('ADMIN_PASSWORD_HASH')
+    if password_hash:
+        return check_password_hash(password_hash, password)
+    plain = os.environ.get('ADMIN_PASSWORD')
+    if plain:
+        return hmac.compare_digest(plain.encode(), password.encode())
+    return False
+
+
+def login_required(view):
+    """Redirects pages to the login form; API calls get a 401 JSON error."""
+    @wraps(view)
+    def wrapped(*args, **kwargs):
+        if not session.get('is_admin'):
+            if request.path.startswith('/admin/api/'):
+                return jsonify({'ok': False, 'error': 'Authentication required'}), 401
+            return redirect(url_for('admin.login', next=request.path))
+        return view(*args, **kwargs)
+    return wrapped
+
+
+def pagination_args():
+    """Reads ?page= and ?per_page= with sane bounds."""
+    page = max(request.args.get('page', 1, type=int), 1)
+    per_page = min(max(request.args.get('per_page', DEFAULT_PER_PAGE, type=int), 1), MAX_PER_PAGE)
+    return page, per_page
+
+
+def page_payload(items, total, page, per_page):
+    return {
+        'ok': True,
+        'items': items,
+        'page': page,
+        'per_page': per_page,
+        'total': total,
+        'pages': max((total + per_page - 1) // per_page, 1),
+    }
+
+
+def read_status():
+    """Returns the status from a JSON body, or None if it is not a known one."""
+    data = request.get_json(silent=True) or {}
+    status = data.get('status')
+    return status if status in STATUSES else None
+
+
+# ---- Pages ----
+
+@admin_bp.route('/login', methods=['GET', 'POST'])
+def login():
+    error = None
+    if request.method == 'POST':
+        retry_after = login_limiter.hit(client_ip())
+        if retry_after is not None:
+            error = f'Too many attempts. Try again in {math.ceil(retry_after / 60)} minute(s).'
+            return render_template('admin/login.html', error=error), 429, {'Retry-After': str(retry_after)}
+        if check_password(request.form.get('password', '')):
+            session.clear()
+            session['is_admin'] = True
+            session.permanent = True
+            target = request.args.get('next', '')
+            # Only follow local admin paths to avoid an open redirect
+            return redirect(target if target.startswith('/admin') else url_for('admin.dashboard'))
+        error = 'Wrong password.'
+    return render_template('admin/login.html', error=error)
+
+
+@admin_bp.route('/logout', methods=['POST'])
+def logout():
+    session.pop('is_admin', None)
+    return redirect(url_for('admin.login'))
+
+
+@admin_bp.route('/')
+@login_required
+def dashboard():
+    return render_template('admin/dashboard.html', statuses=STATUSES,
+                           export_formats=list(data_transfer.EXPORT_FORMATS),
+                           export_fields=data_transfer.EXPORT_FIELDS,
+                           webhook_events=webhooks.EVENTS)
+
+
+# ---- Contacts API ----
+
+@admin_bp.route('/api/contacts')
+@login_required
+def list_contacts():
+    """Paginated contacts, newest first, filtered by ?q= (name, email or
+    message) and ?status=.
+    """
+    page, per_page = pagination_args()
+    status = request.args.get('status', '')
+    items, total = query_contacts(get_db(), request.args.get('q', '').strip(),
+                                  status if status in STATUSES else None, per_page, (page - 1) * per_page)
+    return jsonify(page_payload(items, total, page, per_page))
+
+
+@admin_bp.route('/api/contacts/<int:contact_id>', methods=['PATCH'])
+@login_required
+def update_contact(contact_id):
+    status = read_status()
+    if status is None:
+        return jsonify({'ok': False, 'error': 'Unknown status'}), 400
+    db = get_db()
+    cursor = db.execute('UPDATE contacts SET status = ? WHERE id = ?', (status, contact_id))
+    db.commit()
+    if cursor.rowcount == 0:
+        return jsonify({'ok': False, 'error': 'Contact not found'}), 404
+    return jsonify({'ok': True, 'id': contact_id, 'status': status})
+
+
+@admin_bp.route('/api/contacts/<int:contact_id>', methods=['DELETE'])
+@login_required
+def delete_contact(contact_id):
+    db = get_db()
+    cursor = db.execute('DELETE FROM contacts WHERE id = ?', (contact_id,))
+    db.commit()
+    if cursor.rowcount == 0:
+        return jsonify({'ok': False, 'error': 'Contact not found'}), 404
+    return jsonify({'ok': True, 'id': contact_id})
+
+
+# ---- Chat transcripts API ----
+
+@admin_bp.route('/api/chats')
+@login_required
+def list_chats():
+    """Chat sessions, most recently active first. ?q= matches any message of
+    the session, ?status= filters on the transcript status.
+    """
+    page, per_page = pagination_args()
+    status = request.args.get('status', '')
+    items, total = query_chat_sessions(get_db(), request.args.get('q', '').strip(),
+                                       status if status in STATUSES else None, per_page, (page - 1) * per_page)
+    return jsonify(page_payload(items, total, page, per_page))
+
+
+@admin_bp.route('/api/chats/<session_id>')
+@login_required
+def chat_transcript(session_id):
+    rows = get_db().execute(
+        'SELECT id, sender, message, created_at FROM chats WHERE session_id = ? ORDER BY id',
+        (session_id,)
+    ).fetchall()
+    if not rows:
+        return jsonify({'ok': False, 'error': 'Transcript not found'}), 404
+    return jsonify({'ok': True, 'session_id': session_id, 'messages': [dict(row) for row in rows]})
+
+
+@admin_bp.route('/api/chats/<session_id>', methods=['PATCH'])
+@login_required
+def update_chat(session_id):
+    status = read_status()
+    if status is None:
+        return jsonify({'ok': False, 'error': 'Unknown status'}), 400
+    db = get_db()
+    if db.execute('SELECT 1 FROM chats WHERE session_id = ? LIMIT 1', (session_id,)).fetchone() is None:
+        return jsonify({'ok': False, 'error': 'Transcript not found'}), 404
+    db.execute(
+        'INSERT OR REPLACE INTO chat_sessions (session_id, status, updated_at) VALUES (?, ?, ?)',
+        (session_id, status, datetime.utcnow().isoformat())
+    )
+    db.commit()
+    return jsonify({'ok': True, 'session_id': session_id, 'status': status})
+
+
+@admin_bp.route('/api/chats/<session_id>', methods=['DELETE'])
+@login_required
+def delete_chat(session_id):
+    """Deletes a whole transcript (e.g. spam). Leads captured from it are kept."""
+    db = get_db()
+    cursor = db.execute('DELETE FROM chats WHERE session_id = ?', (session_id,))
+    db.execute('DELETE FROM chat_sessions WHERE session_id = ?', (session_id,))
+    db.execute('DELETE FROM chat_flows WHERE session_id = ?', (session_id,))
+    db.commit()
+    if cursor.rowcount == 0:
+        return jsonify({'ok': False, 'error': 'Transcript not found'}), 404
+    return jsonify({'ok': True, 'session_id': session_id})
+
+
+# ---- Search ----
+
+@admin_bp.route('/api/search')
+@login_required
+def search_history():
+    """Full-text search over chat messages and contacts, best matches first.
+
+    ?q= is required (words of 3+ characters); ?scope= is all (default),
+    chats or contacts; ?sender= (user, bot or owner) narrows the chat
+    results; ?from= / ?to= are inclusive YYYY-MM-DD days. Each group is
+    paged with ?page= and ?per_page= and carries HTML snippets whose matches
+    are wrapped in <mark> (everything else escaped).
+    """
+    page, per_page = pagination_args()
+    scope = request.args.get('scope', 'all')
+    sender = request.args.get('sender', '')
+    query = search.fts_query(request.args.get('q'))
+    try:
+        if scope not in ('all', 'chats', 'contacts'):
+            raise search.SearchError('Unknown search scope')
+        if sender and sender not in search.SENDERS:
+            raise search.SearchError('Unknown sender')
+        if query is None:
+            raise search.SearchError(f'Search for a word of at least {search.MIN_TERM_LENGTH} characters')
+        date_from = search.parse_day(request.args.get('from'), 'from')
+        date_to = search.parse_day(request.args.get('to'), 'to')
+    except search.SearchError as e:
+        return jsonify({'ok': False, 'error': str(e)}), 400
+
+    db = get_db()
+    offset = (page - 1) * per_page
+    groups = {}
+    if scope in ('all', 'chats'):
+        groups['chats'] = search.search_chats(db, query, sender or None, date_from, date_to, per_page, offset)
+    if scope in ('all', 'contacts'):
+        groups['contacts'] = search.search_contacts(db, query, date_from, date_to, per_page, offset)
+    result = {'ok': True}
+    for name, (items, total) in groups.items():
+        result[name] = page_payload(items, total, page, per_page)
+        del result[name]['ok']
+    return jsonify(result)
+
+
+# ---- Live chat ----
+
+@live_chat.sock.route('/live', bp=admin_bp)
+def live_console(ws):
+    """The dashboard's live chat socket: lists the visitors chatting right
+    now and lets the owner take conversations over from the bot.
+    """
+    # login_required can't redirect a socket; refuse it instead
+    if not session.get('is_admin') or not live_chat.same_origin():
+        ws.close(reason=1008)  # policy violation
+        return
+    live_chat.serve_owner(ws, get_db())
+
+
+# ---- Webhooks API ----
+
+@admin_bp.route('/api/webhooks')
+@login_required
+def list_webhooks():
+    """All subscriptions (secrets included) and the events one can pick."""
+    return jsonify({'ok': True, 'items': webhooks.list_subscriptions(get_db()), 'events': list(webhooks.EVENTS)})
+
+
+@admin_bp.route('/api/webhooks', methods=['POST'])
+@login_required
+def create_webhook():
+    data = request.get_json(silent=True) or {}
+    try:
+        item = webhooks.create_subscription(get_db(), data.get('url'), data.get('events'), data.get('description'))
+    except webhooks.WebhookError as e:
+        return jsonify({'ok': False, 'error': str(e)}), 400
+    return jsonify({'ok': True, 'item': item}), 201
+
+
+@admin_bp.route('/api/webhooks/<int:subscription_id>', methods=['PATCH'])
+@login_required
+def update_webhook(subscription_id):
+    """Changes url, events, description or active (paused webhooks get no new events)."""
+    data = request.get_json(silent=True) or {}
+    try:
+        item = webhooks.update_subscription(get_db(), subscription_id, data)
+    except webhooks.WebhookError as e:
+        return jsonify({'ok': False, 'error': str(e)}), 400
+    if item is None:
+        return jsonify({'ok': False, 'error': 'Webhook not found'}), 404
+    return jsonify({'ok': True, 'item': item})
+
+
+@admin_bp.route('/api/webhooks/<int:subscription_id>', methods=['DELETE'])
+@login_required
+def delete_webhook(subscription_id):
+    if not webhooks.delete_subscription(get_db(), subscription_id):
+        return jsonify({'ok': False, 'error': 'Webhook not found'}), 404
+    return jsonify({'ok': True, 'id': subscription_id})
+
+
+@admin_bp.route('/api/webhooks/<int:subscription_id>/ping', methods=['POST'])
+@login_required
+def ping_webhook(subscription_id):
+    delivery_id = webhooks.ping(get_db(), subscription_id)
+    if delivery_id is None:
+        return jsonify({'ok': False, 'error': 'Webhook not found'}), 404
+    return jsonify({'ok': True, 'delivery_id': delivery_id})
+
+
+@admin_bp.route('/api/webhooks/deliveries')
+@login_required
+def list_webhook_deliveries():
+    """The delivery log, newest first, filtered by ?status= (pending,
+    delivered, failed) and ?subscription_id=.
+    """
+    page, per_page = pagination_args()
+    where, params = [], []
+    status = request.args.get('status', '')
+    if status in ('pending', 'delivered', 'failed'):
+        where.append('d.status = ?')
+        params.append(status)
+    subscription_id = request.args.get('subscription_id', type=int)
+    if subscription_id:
+        where.append('d.subscription_id = ?')
+        params.append(subscription_id)
+    clause = ('WHERE ' + ' AND '.join(where)) if where else ''
+
+    db = get_db()
+    total = db.execute(f'SELECT COUNT(*) FROM webhook_deliveries d {clause}', params).fetchone()[0]
+    rows = db.execute(
+        f"""
+        SELECT d.id, d.subscription_id, s.url, d.event, d.payload, d.status, d.attempts, d.response_status,
+               d.last_error, d.next_attempt_at, d.created_at, d.delivered_at
+        FROM webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id
+        {clause}
+        ORDER BY d.id DESC
+        LIMIT ? OFFSET ?
+        """,
+        params + [per_page, (page - 1) * per_page]
+    ).fetchall()
+    return jsonify(page_payload([dict(row) for row in rows], total, page, per_page))
+
+
+@admin_bp.route('/api/webhooks/deliveries/<int:delivery_id>/replay', methods=['POST'])
+@login_required
+def replay_webhook_delivery(delivery_id):
+    """Sends a logged delivery's payload again, as a new delivery."""
+    new_id = webhooks.replay(get_db(), delivery_id)
+    if new_id is None:
+        return jsonify({'ok': False, 'error': 'Delivery not found'}), 404
+    return jsonify({'ok': True, 'delivery_id': new_id})
+
+
+# ---- Analytics ----
+
+@admin_bp.route('/api/analytics')
+@login_required
+def analytics_summary():
+    """Daily usage counts of the last ?days= days (default 30, at most 365)."""
+    days = min(max(request.args.get('days', analytics.DEFAULT_DAYS, type=int), 1), analytics.MAX_DAYS)
+    return jsonify({'ok': True, **analytics.summary(get_db(), days)})
+
+
+# ---- Export / import ----
+
+def close_after(db, chunks):
+    """Streams the chunks, then closes the export's own connection."""
+    try:
+        yield from chunks
+    finally:
+        db.close()
+
+
+@admin_bp.route('/export/<table>.<fmt>')
+@login_required
+def export_data(table, fmt):
+    """Downloads contacts or chats as csv/json/ndjson. Optional ?from= and
+    ?to= (inclusive YYYY-MM-DD days) and ?fields=a,b narrow the export.
+    """
+    # The request's connection is closed before a streamed body is sent
+    db = connect_db()
+    try:
+        chunks = data_transfer.export(db, table, fmt, request.args.get('fields'),
+                                      request.args.get('from'), request.args.get('to'))
+    except data_transfer.TransferError as e:
+        db.close()
+        return jsonify({'ok': False, 'error': str(e)}), 400
+    filename = f'{table}-{datetime.utcnow():%Y%m%d%H%M%S}.{fmt}'
+    return Response(close_after(db, chunks), mimetype=data_transfer.EXPORT_FORMATS[fmt],
+                    headers={'Content-Disposition': f'attachment; filename="{filename}"'})
+
+
+@admin_bp.route('/api/import', methods=['POST'])
+@login_required
+def import_data():
+    """Merges an uploaded legacy contacts .db or CSV file into the database."""
+    upload = request.files.get('file')
+    if upload is None or not upload.filename:
+        return jsonify({'ok': False, 'error': 'Choose a .db or .csv file to import'}), 400
+    suffix = os.path.splitext(upload.filename)[1].lower()
+    fd, path = tempfile.mkstemp(suffix=suffix)
+    try:
+        with os.fdopen(fd, 'wb') as fh:
+            upload.save(fh)
+        result = data_transfer.import_contacts(get_db(), path)
+    except data_transfer.TransferError as e:
+        return jsonify({'ok': False, 'error': str(e)}), 400
+    finally:
+        os.remove(path)
+    return jsonify({'ok': True, **result})
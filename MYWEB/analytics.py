@@ -0,0 +1,121 @@
+"""First-party, privacy-friendly usage analytics.
+
+main.js counts section views, chat opens, contact form starts and submits,
+theme toggles and carousel navigation (static/js/modules/analytics.js) and
+sends them in batches with navigator.sendBeacon to /analytics. Each event is
+added to a per-day counter of (event, target, path) in analytics_daily:
+there are no cookies, no IP addresses, user agents or visitor ids, and no
+per-event rows, so counts can't be traced back to a person or a visit. The
+endpoint needs no CSRF token for that reason; it can only bump counters.
+
+The admin dashboard's Analytics tab charts the daily counts (summary). Old
+counts can be dropped with `flask --app app analytics prune --days 365`.
+"""
+from datetime import datetime, timedelta
+import re
+
+import click
+from flask.cli import with_appcontext
+
+from database import get_db
+
+EVENTS = ('section_view', 'chat_open', 'contact_start', 'contact_submit', 'theme_toggle', 'carousel_nav')
+MAX_BATCH = 50
+DEFAULT_DAYS = 30
+MAX_DAYS = 365
+# Targets are ids and keywords, paths are site paths; anything else is dropped
+# so the table can't be filled with arbitrary text
+TARGET_RE = re.compile(r'^[A-Za-z0-9_-]{0,40}$')
+PATH_RE = re.compile(r'^/[A-Za-z0-9/_.-]{0,120}$')
+
+
+def today():
+    return datetime.utcnow().strftime('%Y-%m-%d')
+
+
+def clean_events(data):
+    """The valid events of a beacon body { events: [{ event, target, path }] }
+    as (event, target, path) tuples; invalid ones are skipped.
+    """
+    events = data.get('events') if isinstance(data, dict) else None
+    if not isinstance(events, list):
+        return []
+    cleaned = []
+    for item in events[:MAX_BATCH]:
+        if not isinstance(item, dict) or item.get('event') not in EVENTS:
+            continue
+        target = item.get('target') or ''
+        path = item.get('path') or ''
+        if not isinstance(target, str) or not TARGET_RE.match(target):
+            continue
+        if not isinstance(path, str) or not PATH_RE.match(path):
+            path = ''
+        cleaned.append((item['event'], target, path))
+    return cleaned
+
+
+def record(db, events, day=None):
+    """Adds the events to today's counters. Returns how many were counted."""
+    day = day or today()
+    db.executemany(
+        'INSERT INTO analytics_daily (day, event, target, path, count) VALUES (?, ?, ?, ?, 1)'
+        ' ON CONFLICT (day, event, target, path) DO UPDATE SET count = count + 1',
+        [(day, event, target, path) for event, target, path in events]
+    )
+    db.commit()
+    return len(events)
+
+
+def summary(db, days=DEFAULT_DAYS):
+    """Counts of the last `days` days (today included): one series per event
+    for the daily charts, totals, and the top targets and pages.
+    """
+    end = datetime.utcnow().date()
+    dates = [(end - timedelta(days=n)).isoformat() for n in range(days - 1, -1, -1)]
+    start = dates[0]
+    series = {event: [0] * days for event in EVENTS}
+    index = {date: i for i, date in enumerate(dates)}
+    for row in db.execute('SELECT day, event, SUM(count) AS n FROM analytics_daily WHERE day >= ?'
+                          ' GROUP BY day, event', (start,)):
+        if row['event'] in series and row['day'] in index:
+            series[row['event']][index[row['day']]] = row['n']
+
+    targets = {event: [] for event in EVENTS}
+    for row in db.execute("SELECT event, target, SUM(count) AS n FROM analytics_daily WHERE day >= ? AND target != ''"
+                          ' GROUP BY event, target ORDER BY n DESC', (start,)):
+        if row['event'] in targets:
+            targets[row['event']].append({'target': row['target'], 'count': row['n']})
+
+    pages = db.execute("SELECT path, SUM(count) AS n FROM analytics_daily WHERE day >= ? AND path != ''"
+                       ' GROUP BY path ORDER BY n DESC LIMIT 10', (start,)).fetchall()
+    return {
+        'days': dates,
+        'series': series,
+        'totals': {event: sum(counts) for event, counts in series.items()},
+        'targets': targets,
+        'pages': [{'path': row['path'], 'count': row['n']} for row in pages],
+    }
+
+
+def prune(db, keep_days):
+    """Deletes counts older than `keep_days` days. Returns the rows removed."""
+    cutoff = (datetime.utcnow().date() - timedelta(days=keep_days)).isoformat()
+    cursor = db.execute('DELETE FROM analytics_daily WHERE day < ?', (cutoff,))
+    db.commit()
+    return cursor.rowcount
+
+
+# ---- CLI ----
+
+@click.group('analytics')
+def analytics_command():
+    """First-party usage analytics."""
+
+
+@analytics_command.command('prune')
+@click.option('--days', default=MAX_DAYS, show_default=True, help='Keep this many days of counts.')
+@with_appcontext
+def prune_command(days):
+    """Drop old daily counts."""
+    removed = prune(get_db(), max(days, 1))
+    click.echo(f'Removed {removed} row(s) older than {days} days.')
@@ -0,0 +1,532 @@
+"""Versioned JSON API under /api/v1: projects, contacts and chats. The site's
+own pages use it (static/js/modules/api.js) and other clients can too.
+
+Every answer is a JSON object with `ok`. Errors have the same shape on every
+route: { ok: false, error: <message>, code: <one of ERRORS> }, plus `fields`
+({ field: message }) when the body failed validation. Request bodies are
+checked against the schemas in schemas.py before a view runs. Lists take
+?page= and ?per_page= (at most 100) and answer { items, page, per_page,
+total, pages }.
+
+Public routes serve the visitor's browser; posting to them needs the CSRF
+token like every form on the site. The other routes need an API token sent
+as `Authorization: Bearer <token>`. Tokens are created with
+`flask --app app api create-token NAME` and only their hash is stored.
+
+Routes are declared with @endpoint, which also describes them for the OpenAPI
+document served at /api/v1/openapi.json (`flask --app app api openapi`
+prints it).
+"""
+import copy
+from functools import wraps
+import hashlib
+import json
+import re
+import secrets
+import uuid
+
+import click
+from flask import Blueprint, request, jsonify
+from flask.cli import with_appcontext
+from werkzeug.exceptions import HTTPException
+
+import chat
+import csrf
+import live_chat
+import notifications
+import schemas
+import webhooks
+from admin import pagination_args, page_payload, DEFAULT_PER_PAGE, MAX_PER_PAGE
+from content import project_store
+from database import (get_db, insert_contact, last_chat_message, query_chat_sessions, query_contacts, now_iso,
+                      CONTACT_COLUMNS, STATUSES)
+from i18n import gettext as _, get_locale
+from ratelimit import RateLimiter, rate_limit
+from validators import validate_contact, validate_chat_message, check_form_token, issue_form_token, FORM_MIN_SECONDS
+
+api_v1_bp = Blueprint('api_v1', __name__, url_prefix='/api/v1')
+
+API_VERSION = '1.0.0'
+TOKEN_PREFIX = 'aw_'
+
+# Error codes with their HTTP status and meaning. csrf_failed and
+# rate_limited come from csrf.py and ratelimit.py, which use the same envelope.
+ERRORS = {
+    'invalid_json': (400, 'The body is not a JSON object.'),
+    'validation_failed': (400, 'The body or a parameter is invalid; `fields` says which.'),
+    'csrf_failed': (400, 'The CSRF token is missing or stale (browser sessions only).'),
+    'unauthorized': (401, 'The route needs a valid API token.'),
+    'not_found': (404, 'No such route or resource.'),
+    'method_not_allowed': (405, 'The route does not support this method.'),
+    'payload_too_large': (413, 'The body is too large.'),
+    'rate_limited': (429, 'Too many requests from this address; see Retry-After.'),
+    'server_error': (500, 'Something went wrong on the server.'),
+}
+HTTP_ERRORS = {404: 'not_found', 405: 'method_not_allowed', 413: 'payload_too_large'}
+
+# Per-IP request budgets, shared with the pre-v1 URLs. Chat messages share one
+# budget whether the reply is streamed or not.
+contact_limiter = RateLimiter(limit=5, window=10 * 60)
+chat_limiter = RateLimiter(limit=20, window=60)
+
+endpoints = []  # what @endpoint registered, for the OpenAPI document
+
+
+class ApiError(Exception):
+    """Ends a request with the error envelope. The message is shown to the
+    client, so it must be safe (and translated) for visitors.
+    """
+
+    def __init__(self, code, message, fields=None):
+        super().__init__(message)
+        self.code = code
+        self.message = message
+        self.fields = fields
+
+
+def error_response(code, message, fields=None):
+    body = {'ok': False, 'error': message, 'code': code}
+    if fields:
+        body['fields'] = fields
+    return jsonify(body), ERRORS[code][0]
+
+
+# ---- Tokens ----
+
+def hash_token(token):
+    return hashlib.sha256(token.encode()).hexdigest()
+
+
+def create_token(db, name):
+    """Stores a new token and returns it. Only its hash is kept, so this is
+    the one time it can be shown.
+    """
+    token = TOKEN_PREFIX + secrets.token_urlsafe(32)
+    db.execute('INSERT INTO api_tokens (name, token_hash, created_at) VALUES (?, ?, ?)',
+               (name, hash_token(token), now_iso()))
+    db.commit()
+    return token
+
+
+def check_token(db, header):
+    """True if an Authorization header carries a known token; notes its use."""
+    scheme, _sep, token = (header or '').partition(' ')
+    token = token.strip()
+    if scheme.lower() != 'bearer' or not token:
+        return False
+    cursor = db.execute('UPDATE api_tokens SET last_used_at = ? WHERE token_hash = ?',
+                        (now_iso(), hash_token(token)))
+    db.commit()
+    return cursor.rowcount == 1
+
+
+# ---- Declaring routes ----
+
+def read_body(schema):
+    """The request's JSON body, validated against `schema`."""
+    data = request.get_json(force=True, silent=True)
+    if not isinstance(data, dict):
+        raise ApiError('invalid_json', _('error.invalid_json'))
+    fields = schemas.validate(schema, data)
+    if fields:
+        raise ApiError('validation_failed', _('error.validation'), fields)
+    return data
+
+
+def query_param(name, description, schema=None):
+    """An OpenAPI query parameter for @endpoint(query=...)."""
+    return {'name': name, 'in': 'query', 'description': description, 'schema': schema or {'type': 'string'}}
+
+
+PAGE_PARAMS = [
+    query_param('page', 'Page number, from 1.', {'type': 'integer', 'minimum': 1, 'default': 1}),
+    query_param('per_page', 'Items per page.',
+                {'type': 'integer', 'minimum': 1, 'maximum': MAX_PER_PAGE, 'default': DEFAULT_PER_PAGE}),
+]
+
+
+def endpoint(rule, method='GET', summary='', tag='', public=False, body=None, query=(), paged=False,
+             response=None, status=200, events=None, limiter=None):
+    """Registers a view under /api/v1 and describes it for the OpenAPI document.
+
+    The view runs once the caller passed the token check (unless `public`),
+    the rate `limiter` and the `body` schema; it gets the validated body as
+    its first argument. ApiError and unexpected errors become the error
+    envelope. `response` is the schema of the success body (sent with
+    `status`); `events` describes a text/event-stream alternative.
+    """
+    def decorator(view):
+        @wraps(view)
+        def wrapped(*args, **kwargs):
+            try:
+                if not public and not check_token(get_db(), request.headers.get('Authorization')):
+                    res, status_code = error_response('unauthorized', _('error.unauthorized'))
+                    res.headers['WWW-Authenticate'] = 'Bearer'
+                    return res, status_code
+                if body is not None:
+                    args = (read_body(body),) + args
+                return view(*args, **kwargs)
+            except ApiError as e:
+                return error_response(e.code, e.message, e.fields)
+            except HTTPException:
+                raise
+            except Exception as e:
+                print('API error:', e)
+                return error_response('server_error', _('error.server'))
+
+        if limiter:
+            wrapped = rate_limit(limiter)(wrapped)
+        if not public:
+            # Token requests carry no cookies, so there is nothing to forge
+            wrapped = csrf.exempt(wrapped)
+        api_v1_bp.add_url_rule(rule, view.__name__, wrapped, methods=[method])
+        endpoints.append({
+            'rule': rule, 'method': method, 'name': view.__name__, 'summary': summary,
+            'description': (view.__doc__ or '').strip(), 'tag': tag, 'public': public, 'body': body,
+            'query': list(query) + (PAGE_PARAMS if paged else []), 'response': response,
+            'status': status, 'events': events, 'limited': limiter is not None,
+        })
+        return wrapped
+    return decorator
+
+
+def wants_stream():
+    # The pre-v1 /chat_stream URL streamed whatever the Accept header said
+    if request.endpoint == 'chat_stream':
+        return True
+    return request.accept_mimetypes.best_match(['application/json', 'text/event-stream']) == 'text/event-stream'
+
+
+def status_filter():
+    """?status= as one of STATUSES, or None when absent."""
+    status = request.args.get('status', '')
+    if status and status not in STATUSES:
+        message = _('validation.not_allowed', values=', '.join(STATUSES))
+        raise ApiError('validation_failed', _('error.validation'), {'status': message})
+    return status or None
+
+
+def not_found():
+    return ApiError('not_found', _('error.not_found'))
+
+
+# ---- Projects ----
+
+@endpoint('/projects', summary='List projects, newest first', tag='projects', public=True, paged=True,
+          query=[query_param('tag', 'Only projects with this tag.'),
+                 query_param('tech', 'Only projects using this technology.')],
+          response=schemas.page_of(schemas.PROJECT, tags=schemas.string_list('Every tag, for filters.'),
+                                   tech=schemas.string_list('Every technology, for filters.')))
+def list_projects():
+    """Also returns every tag and technology in use (`tags`, `tech`), for
+    filter controls.
+    """
+    projects = project_store.all()
+    tag = request.args.get('tag')
+    tech = request.args.get('tech')
+    if tag:
+        projects = [p for p in projects if tag in p['tags']]
+    if tech:
+        projects = [p for p in projects if tech in p['tech']]
+    page, per_page = pagination_args()
+    start = (page - 1) * per_page
+    payload = page_payload(projects[start:start + per_page], len(projects), page, per_page)
+    return jsonify(dict(payload, **project_store.facets()))
+
+
+@endpoint('/projects/<slug>', summary='Get a project', tag='projects', public=True,
+          response=schemas.item_of(schemas.PROJECT))
+def get_project(slug):
+    project = next((p for p in project_store.all() if p['slug'] == slug), None)
+    if project is None:
+        raise not_found()
+    return jsonify({'ok': True, 'item': project})
+
+
+# ---- Contacts ----
+
+@endpoint('/contacts', method='POST', summary='Send the contact form', tag='contacts', public=True,
+          body=schemas.CONTACT_INPUT, response=schemas.message_of(), status=201, limiter=contact_limiter)
+def create_contact(data):
+    """Stores a contact submission and mails it to the owner (see
+    notifications). Needs the form's `form_token`; a filled-in `website`
+    honeypot is answered as a success but dropped.
+    """
+    success = {'ok': True, 'message': _('contact.success')}
+    # The honeypot field is hidden from people; only bots fill it in.
+    # Pretend it worked so they have no reason to retry.
+    if str(data.get('website') or '').strip():
+        return jsonify(success), 201
+
+    token_error = check_form_token(data.get('form_token'))
+    if token_error:
+        raise ApiError('validation_failed', token_error)
+
+    values, errors = validate_contact(data)
+    if errors:
+        raise ApiError('validation_failed', _('contact.fix_fields'), errors)
+
+    db = get_db()
+    contact_id = insert_contact(db, values['name'], values['email'], values['message'])
+    notifications.notify_new_contact(db, contact_id, autoreply=True)
+    webhooks.notify_new_contact(db, contact_id)
+    return jsonify(success), 201
+
+
+@endpoint('/contacts/form-token', summary='Get a fresh form token', tag='contacts', public=True,
+          response=schemas.FORM_TOKEN)
+def get_form_token():
+    """For messages written offline (see outbox.js): the token of the page
+    they were written on may have expired by the time they are sent. Like a
+    freshly rendered form, the token is only accepted after `ready_in`
+    seconds.
+    """
+    return jsonify({'ok': True, 'form_token': issue_form_token(), 'ready_in': FORM_MIN_SECONDS})
+
+
+@endpoint('/contacts', summary='List contacts, newest first', tag='contacts', paged=True,
+          query=[query_param('q', 'Matches the name, email or message.'),
+                 query_param('status', 'Only contacts in this workflow status.',
+                             {'type': 'string', 'enum': list(STATUSES)})],
+          response=schemas.page_of(schemas.CONTACT))
+def list_contacts():
+    page, per_page = pagination_args()
+    items, total = query_contacts(get_db(), request.args.get('q', '').strip(), status_filter(),
+                                  per_page, (page - 1) * per_page)
+    return jsonify(page_payload(items, total, page, per_page))
+
+
+@endpoint('/contacts/<int:contact_id>', summary='Get a contact', tag='contacts',
+          response=schemas.item_of(schemas.CONTACT))
+def get_contact(contact_id):
+    row = get_db().execute(f'SELECT {CONTACT_COLUMNS} FROM contacts WHERE id = ?', (contact_id,)).fetchone()
+    if row is None:
+        raise not_found()
+    return jsonify({'ok': True, 'item': dict(row)})
+
+
+@endpoint('/contacts/<int:contact_id>', method='PATCH', summary="Change a contact's status", tag='contacts',
+          body=schemas.CONTACT_UPDATE, response=schemas.item_of(schemas.CONTACT))
+def update_contact(data, contact_id):
+    db = get_db()
+    cursor = db.execute('UPDATE contacts SET status = ? WHERE id = ?', (data['status'], contact_id))
+    db.commit()
+    if cursor.rowcount == 0:
+        raise not_found()
+    row = db.execute(f'SELECT {CONTACT_COLUMNS} FROM contacts WHERE id = ?', (contact_id,)).fetchone()
+    return jsonify({'ok': True, 'item': dict(row)})
+
+
+# ---- Chats ----
+
+@endpoint('/chats/messages', method='POST', summary='Send a chat message', tag='chats', public=True,
+          body=schemas.CHAT_MESSAGE_INPUT, response=schemas.CHAT_REPLY, limiter=chat_limiter,
+          events='With `Accept: text/event-stream` the reply is streamed: `session` ({ session_id }), '
+                 'a `token` per word or chunk of the reply ({ text }), then `done` '
+                 '({ reply, quick_replies, links, cards }) or `error` ({ error }).')
+def post_chat_message(data):
+    """Stores the visitor's message and answers with the bot's reply (see
+    chat). While the site owner answers the session live (see live_chat),
+    the message is only stored and passed on: { ok: true, live: true,
+    session_id }.
+    """
+    message = data['message'].strip()
+    message_error = validate_chat_message(message)
+    if message_error:
+        raise ApiError('validation_failed', message_error, {'message': message_error})
+    session_id = chat.normalize_session_id(data.get('session_id')) or uuid.uuid4().hex
+
+    db = get_db()
+    last = last_chat_message(db, session_id)
+    if not (data.get('retry') and last and last['sender'] == 'user' and last['message'] == message):
+        chat.record_chat_message(db, 'user', message, session_id)
+    if live_chat.hub.is_live(session_id):
+        return jsonify({'ok': True, 'live': True, 'session_id': session_id})
+    if wants_stream():
+        return chat.reply_stream(message, session_id, get_locale())
+    return jsonify(dict(chat.reply_json(db, message, session_id, get_locale()), ok=True, session_id=session_id))
+
+
+@endpoint('/chats/<session_id>/messages', summary="List a chat's messages, newest first", tag='chats',
+          public=True, paged=True, response=schemas.page_of(schemas.CHAT_MESSAGE))
+def list_chat_messages(session_id):
+    """The session id is the visitor's own (kept in their browser), so
+    knowing it is what grants access. Unknown sessions have no messages.
+    """
+    if not chat.normalize_session_id(session_id):
+        raise not_found()
+    page, per_page = pagination_args()
+    messages, total = chat.session_messages(get_db(), session_id, per_page, (page - 1) * per_page)
+    return jsonify(page_payload(messages, total, page, per_page))
+
+
+@endpoint('/chats', summary='List chat sessions, most recently active first', tag='chats', paged=True,
+          query=[query_param('q', 'Matches any message of the session.'),
+                 query_param('status', 'Only sessions in this workflow status.',
+                             {'type': 'string', 'enum': list(STATUSES)})],
+          response=schemas.page_of(schemas.CHAT_SESSION))
+def list_chats():
+    page, per_page = pagination_args()
+    items, total = query_chat_sessions(get_db(), request.args.get('q', '').strip(), status_filter(),
+                                       per_page, (page - 1) * per_page)
+    return jsonify(page_payload(items, total, page, per_page))
+
+
+# ---- OpenAPI ----
+
+def error_responses(spec):
+    """The error statuses a route can answer with, each with its codes."""
+    codes = ['server_error']
+    if spec['body'] is not None:
+        codes += ['invalid_json', 'validation_failed']
+    if spec['query'] and any(p['name'] == 'status' for p in spec['query']):
+        codes.append('validation_failed')
+    if spec['public'] and spec['method'] != 'GET':
+        codes.append('csrf_failed')
+    if not spec['public']:
+        codes.append('unauthorized')
+    if '<' in spec['rule']:
+        codes.append('not_found')
+    if spec['limited']:
+        codes.append('rate_limited')
+    by_status = {}
+    for code in dict.fromkeys(codes):
+        by_status.setdefault(ERRORS[code][0], []).append(f'`{code}`: {ERRORS[code][1]}')
+    return {
+        str(status): {
+            'description': ' '.join(lines),
+            'content': {'application/json': {'schema': {'$ref': '#/components/schemas/Error'}}},
+        }
+        for status, lines in sorted(by_status.items())
+    }
+
+
+def openapi_path(rule):
+    """Turns a Flask rule into an OpenAPI path and its path parameters."""
+    params = []
+    for converter, name in re.findall(r'<(?:(\w+):)?(\w+)>', rule):
+        params.append({'name': name, 'in': 'path', 'required': True,
+                       'schema': {'type': 'integer' if converter == 'int' else 'string'}})
+    return re.sub(r'<(?:\w+:)?(\w+)>', r'{\1}', rule), params
+
+
+def openapi_document():
+    """The OpenAPI 3.0 description of every @endpoint route."""
+    paths = {}
+    for spec in endpoints:
+        path, params = openapi_path(spec['rule'])
+        content = {'application/json': {'schema': schemas.ref(spec['response']) if spec['response'] else {}}}
+        if spec['events']:
+            content['text/event-stream'] = {'schema': {'type': 'string', 'description': spec['events']}}
+        operation = {
+            'operationId': spec['name'],
+            'summary': spec['summary'],
+            'tags': [spec['tag']],
+            'parameters': params + spec['query'],
+            'responses': dict({str(spec['status']): {'description': 'Success.', 'content': content}},
+                              **error_responses(spec)),
+        }
+        if spec['description']:
+            operation['description'] = ' '.join(spec['description'].split())
+        if spec['body'] is not None:
+            operation['requestBody'] = {'required': True,
+                                        'content': {'application/json': {'schema': schemas.ref(spec['body'])}}}
+        if not spec['public']:
+            operation['security'] = [{'bearerAuth': []}]
+        paths.setdefault(path, {})[spec['method'].lower()] = operation
+
+    components = copy.deepcopy(schemas.COMPONENTS)
+    components['Error']['properties']['code']['enum'] = list(ERRORS)
+    return {
+        'openapi': '3.0.3',
+        'info': {
+            'title': 'Alamweb API',
+            'version': API_VERSION,
+            'description': 'Projects, contacts and chats. Errors answer { ok: false, error, code }; '
+                           'routes with a security requirement need `Authorization: Bearer <token>`.',
+        },
+        'servers': [{'url': api_v1_bp.url_prefix}],
+        'paths': paths,
+        'components': {
+            'schemas': components,
+            'securitySchemes': {'bearerAuth': {'type': 'http', 'scheme': 'bearer'}},
+        },
+    }
+
+
+@api_v1_bp.route('/openapi.json')
+def openapi():
+    return jsonify(openapi_document())
+
+
+# ---- Setup ----
+
+def init_app(app):
+    """Registers the blueprint, JSON errors for unknown /api/v1 routes, the
+    pre-v1 URLs and the `api` commands.
+    """
+    app.register_blueprint(api_v1_bp)
+    # Pre-v1 URLs: pages cached by the service worker before /api/v1 and
+    # offline queues filled back then still post to them
+    app.add_url_rule('/submit_contact', 'submit_contact', create_contact, methods=['POST'])
+    app.add_url_rule('/chat_send', 'chat_send', post_chat_message, methods=['POST'])
+    app.add_url_rule('/chat_stream', 'chat_stream', post_chat_message, methods=['POST'])
+    app.cli.add_command(api_command)
+
+    def http_error(e):
+        # Other paths keep Flask's error pages
+        if not request.path.startswith(api_v1_bp.url_prefix + '/'):
+            return e
+        response, status = error_response(HTTP_ERRORS[e.code], _('error.' + HTTP_ERRORS[e.code]))
+        if e.code == 405 and e.valid_methods:
+            response.headers['Allow'] = ', '.join(e.valid_methods)
+        return response, status
+
+    for status in HTTP_ERRORS:
+        app.register_error_handler(status, http_error)
+
+
+# ---- CLI ----
+
+@click.group('api')
+def api_command():
+    """The /api/v1 tokens and OpenAPI document."""
+
+
+@api_command.command('create-token')
+@click.argument('name')
+@with_appcontext
+def create_token_command(name):
+    """Create an API token; NAME says who or what uses it."""
+    token = create_token(get_db(), name)
+    click.echo(token)
+    click.echo('Keep it somewhere safe: it is stored hashed and cannot be shown again.', err=True)
+
+
+@api_command.command('tokens')
+@with_appcontext
+def list_tokens_command():
+    """List the API tokens."""
+    rows = get_db().execute('SELECT id, name, created_at, last_used_at FROM api_tokens ORDER BY id').fetchall()
+    if not rows:
+        click.echo('No API tokens.')
+    for row in rows:
+        click.echo(f"{row['id']}\t{row['name']}\tcreated {row['created_at'][:10]}"
+                   f"\tlast used {(row['last_used_at'] or 'never')[:10]}")
+
+
+@api_command.command('revoke-token')
+@click.argument('token_id', type=int)
+@with_appcontext
+def revoke_token_command(token_id):
+    """Delete the API token with the id shown by `api tokens`."""
+    db = get_db()
+    cursor = db.execute('DELETE FROM api_tokens WHERE id = ?', (token_id,))
+    db.commit()
+    click.echo('Token revoked.' if cursor.rowcount else 'No such token.')
+
+
+@api_command.command('openapi')
+def openapi_command():
+    """Print the OpenAPI document."""
+    click.echo(json.dumps(openapi_document(), indent=2))
@@ -1,142 +1,216 @@
-from flask import Flask, render_template, redirect, url_for, request, jsonify, g
-import sqlite3
-from datetime import datetime
+from flask import Flask, render_template, redirect, url_for, request, jsonify, Response
+from werkzeug.middleware.proxy_fix import ProxyFix
+import json
 import os
+import secrets
+
+import analytics
+import api_v1
+import assets
+import chat
+import csrf
+import data_transfer
+import database
+import i18n
+import live_chat
+import notifications
+import search
+import webhooks
+from admin import admin_bp
+from database import get_db
+from i18n import gettext as _, get_locale
+from content import project_store, testimonial_store, SLUG_RE
+from ratelimit import RateLimiter, rate_limit
+from validators import issue_form_token
+
+
+
+def load_secret_key():
+    """SECRET_KEY from the environment, else a random key generated once and
+    kept next to the database so restarts and every worker share it.
+    """
+    key = os.environ.get('SECRET_KEY')
+    if key:
+        return key
+    path = os.path.join(database.DB_DIR, 'secret_key')
+    try:
+        fd = os.open(path, os.O_WRONLY | os.O_CREAT | os.O_EXCL, 0o600)
+    except FileExistsError:
+        with open(path) as f:
+            return f.read().strip()
+    key = secrets.token_hex(32)
+    with os.fdopen(fd, 'w') as f:
+        f.write(key)
+    return key
+
+
+def trust_proxies(flask_app):
+    """Behind a reverse proxy every request comes from the proxy's address,
+    so all visitors would share one rate-limit budget. TRUSTED_PROXIES=<n>
+    (the number of proxies in front of the app) takes the client address and
+    scheme from their X-Forwarded-For/-Proto headers instead. Leave it unset
+    when clients reach the app directly: they could forge those headers.
+    """
+    hops = int(os.environ.get('TRUSTED_PROXIES') or 0)
+    if hops > 0:
+        flask_app.wsgi_app = ProxyFix(flask_app.wsgi_app, x_for=hops, x_proto=hops)
+
 
 app = Flask(__name__)
+# Signs the admin session cookie and the contact form tokens
+app.secret_key = load_secret_key()
+app.config['SESSION_COOKIE_HTTPONLY'] = True
+app.config['SESSION_COOKIE_SAMESITE'] = 'Lax'
+# Upper bound for request bodies, mainly admin imports
+app.config['MAX_CONTENT_LENGTH'] = 16 * 1024 * 1024
+# Live chat sockets: pings notice vanished visitors, frames are small JSON
+app.config['SOCK_SERVER_OPTIONS'] = {'ping_interval': 25, 'max_message_size': 16 * 1024}
+trust_proxies(app)
+app.register_blueprint(admin_bp)
+assets.init_app(app)
+csrf.init_app(app)
+i18n.init_app(app)
+live_chat.init_app(app)
+api_v1.init_app(app)
+app.cli.add_command(data_transfer.export_command)
+app.cli.add_command(data_transfer.import_contacts_command)
+app.cli.add_command(notifications.mail_command)
+app.cli.add_command(webhooks.webhooks_command)
+app.cli.add_command(analytics.analytics_command)
+app.cli.add_command(search.search_command)
+
+# Per-IP budget for the analytics beacon; the API has its own (see api_v1)
+analytics_limiter = RateLimiter(limit=30, window=60)
 
-# Database setup (SQLite)
-# Store all app data under a dedicated DataBase folder within the project root.
-DB_DIR = os.path.join(os.path.dirname(__file__), 'DataBase')
-# Ensure the DataBase directory exists
-os.makedirs(DB_DIR, exist_ok=True)
-DATABASE = os.path.join(DB_DIR, 'appdata.db')
-
-
-def get_db():
-    """Connects to the specific database."""
-    db = getattr(g, '_database', None)
-    if db is None:
-        db = g._database = sqlite3.connect(DATABASE)
-        db.row_factory = sqlite3.Row
-    return db
-
-def init_db():
-    """Initializes the database structure."""
-    db = get_db()
-    cursor = db.cursor()
-    # Contacts table
-    cursor.execute(
-        """
-        CREATE TABLE IF NOT EXISTS contacts (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT NOT NULL,
-            email TEXT NOT NULL,
-            message TEXT,
-            created_at TEXT NOT NULL
-        )
-        """
-    )
-    # Chat messages table: stores both user and bot messages
-    cursor.execute(
-        """
-        CREATE TABLE IF NOT EXISTS chats (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            sender TEXT NOT NULL, -- 'user' or 'bot'
-            message TEXT NOT NULL,
-            created_at TEXT NOT NULL
-        )
-        """
-    )
-    db.commit()
-
-
-@app.teardown_appcontext
-def close_connection(exception):
-    """Closes the database connection at the end of the request."""
-    db = getattr(g, '_database', None)
-    if db is not None:
-        db.close()
 
 # Initialize DB on application startup
-with app.app_context():
-    init_db()
+database.init_app(app)
 
 
 @app.route('/')
 def home():
-    return render_template('index.html')
+    # Cards and quotes are pre-rendered for crawlers and no-JS visitors;
+    # main.js takes over
+    try:
+        projects = project_store.all()
+    except Exception as e:
+        print('Projects load error:', e)
+        projects = []
+    try:
+        testimonials = testimonial_store.all()
+    except Exception as e:
+        print('Testimonials load error:', e)
+        testimonials = []
+    return render_template('index.html', projects=projects, testimonials=testimonials)
+
 
+@app.context_processor
+def inject_form_token():
+    return {'form_token': issue_form_token}
 
-@app.route('/submit_contact', methods=['POST'])
-def submit_contact():
-    # Expect JSON payload from AJAX
+
+@live_chat.sock.route('/chat_live')
+def chat_live(ws):
+    """The chat widget's socket to the site owner: presence, typing and the
+    owner's live replies (see live_chat). ?session_id= names the chat session.
+    """
+    session_id = chat.normalize_session_id(request.args.get('session_id'))
+    if not session_id or not live_chat.same_origin():
+        ws.close(reason=1008)  # policy violation
+        return
+    live_chat.serve_visitor(ws, session_id)
+
+
+@app.route('/analytics', methods=['POST'])
+@csrf.exempt
+@rate_limit(analytics_limiter)
+def analytics_beacon():
+    """Counts a batch of usage events from analytics.js: { events: [{ event,
+    target, path }, ...] }. No cookies are read or set and nothing about the
+    visitor is stored (see analytics). Answers 204; beacons ignore the body.
+    """
+    data = request.get_json(force=True, silent=True)
+    events = analytics.clean_events(data)
+    if events:
+        try:
+            analytics.record(get_db(), events)
+        except Exception as e:
+            print('Analytics error:', e)
+    return '', 204
+
+
+@app.route('/api/projects')
+def api_projects():
+    """Pre-v1 list of all projects with their tags and technologies, for
+    pages cached before /api/v1/projects (see api_v1).
+    """
+    try:
+        return jsonify({'ok': True, 'items': project_store.all(), **project_store.facets()})
+    except Exception as e:
+        print('Projects load error:', e)
+        return jsonify({'ok': False, 'error': _('error.server')}), 500
+
+
+@app.route('/api/testimonials')
+def api_testimonials():
+    """Testimonials in display order: { ok: True, items: [...] }."""
     try:
-        data = request.get_json(force=True)
-        name = (data.get('name') or '').strip()
-        email = (data.get('email') or '').strip()
-        message = (data.get('message') or '').strip()
-
-        if not name or not email:
-            return jsonify({'ok': False, 'error': 'Name and email are required.'}), 400
-
-        db = get_db()
-        cursor = db.cursor()
-        cursor.execute(
-            'INSERT INTO contacts (name, email, message, created_at) VALUES (?, ?, ?, ?)',
-            (name, email, message, datetime.utcnow().isoformat())
-        )
-        db.commit()
-
-        return jsonify({'ok': True, 'message': 'Thanks! Your message was received.'})
+        return jsonify({'ok': True, 'items': testimonial_store.all()})
     except Exception as e:
-        # Log server-side error and return generic message
-        print('Contact submit error:', e)
-        return jsonify({'ok': False, 'error': 'Server error'}), 500
+        print('Testimonials load error:', e)
+        return jsonify({'ok': False, 'error': _('error.server')}), 500
 
 
-@app.route('/chat_send', methods=['POST'])
-def chat_send():
-    """Accepts a JSON body { message: '...' } from the frontend chat widget,
-    stores the user message, generates a bot reply (simple rule-based),
-    stores the bot reply, and returns JSON { ok: True, reply: '...' }.
+@app.route('/chat_history')
+def chat_history():
+    """Pre-v1 history of one chat session, oldest first, for pages cached
+    before /api/v1/chats/<session_id>/messages (see api_v1).
     """
+    session_id = chat.normalize_session_id(request.args.get('session_id'))
+    if not session_id:
+        return jsonify({'ok': False, 'error': 'Invalid session id', 'code': 'validation_failed'}), 400
     try:
-        data = request.get_json(force=True)
-        message = (data.get('message') or '').strip()
-        if not message:
-            return jsonify({'ok': False, 'error': 'Empty message'}), 400
-
-        db = get_db()
-        cur = db.cursor()
-        # store user message
-        cur.execute('INSERT INTO chats (sender, message, created_at) VALUES (?, ?, ?)',
-                    ('user', message, datetime.utcnow().isoformat()))
-        db.commit()
-
-        # Basic rule-based bot reply (can be replaced with a smarter model or external API)
-        msg_lower = message.lower()
-        if any(greet in msg_lower for greet in ['hi', 'hello', 'hey']):
-            reply = "Hello! How can I help you today? You can ask about projects, services, or hiring."
-        elif 'project' in msg_lower or 'work' in msg_lower:
-            reply = "I build full-stack and AI applications — check the Projects section for examples."
-        elif 'hire' in msg_lower or 'hire me' in msg_lower or 'pricing' in msg_lower:
-            reply = "Thanks for your interest! Please share a brief message about your requirements — I'll get back to you."
-        elif 'help' in msg_lower or 'support' in msg_lower:
-            reply = "Tell me more about the problem and I'll suggest a solution or next steps."
-        else:
-            # fallback reply
-            reply = "Thanks for the message — I'll review it and respond soon. Can you share more details?"
-
-        # persist bot reply
-        cur.execute('INSERT INTO chats (sender, message, created_at) VALUES (?, ?, ?)',
-                    ('bot', reply, datetime.utcnow().isoformat()))
-        db.commit()
-
-        return jsonify({'ok': True, 'reply': reply})
+        messages, _total = chat.session_messages(get_db(), session_id, chat.CHAT_HISTORY_LIMIT)
+        return jsonify({'ok': True, 'messages': messages[::-1]})
     except Exception as e:
-        print('Chat send error:', e)
-        return jsonify({'ok': False, 'error': 'Server error'}), 500
+        print('Chat history error:', e)
+        return jsonify({'ok': False, 'error': _('error.server')}), 500
+
+
+@app.route('/sw.js')
+def service_worker():
+    """The service worker (static/js/sw.js), served from the root so its scope
+    covers the whole site. The build id is prepended so each front-end build
+    installs a new worker; never cached, so updates are picked up promptly.
+    """
+    with open(os.path.join(app.static_folder, 'js', 'sw.js'), encoding='utf-8') as fh:
+        source = fh.read()
+    body = 'const BUILD_ID = %s;\n' % json.dumps(assets.build_id()) + source
+    return Response(body, mimetype='text/javascript', headers={'Cache-Control': 'no-cache'})
+
+
+@app.route('/manifest.webmanifest')
+def web_manifest():
+    """Web app manifest in the visitor's language, so the site can be installed."""
+    manifest = {
+        'name': _('pwa.name'),
+        'short_name': _('pwa.short_name'),
+        'description': _('pwa.description'),
+        'lang': get_locale(),
+        'start_url': '/',
+        'scope': '/',
+        'display': 'standalone',
+        'background_color': '#030712',
+        'theme_color': '#111827',
+        'icons': [
+            {'src': url_for('static', filename='icons/icon-%d.png' % size), 'sizes': '%dx%d' % (size, size),
+             'type': 'image/png', 'purpose': 'any maskable'}
+            for size in (192, 512)
+        ],
+    }
+    response = Response(json.dumps(manifest, ensure_ascii=False), mimetype='application/manifest+json')
+    response.headers['Vary'] = 'Accept-Language, Cookie'
+    return response
 
 
 # Convenience routes for navbar links
@@ -144,6 +218,13 @@ def chat_send():
 def projects():
     return redirect(url_for('home') + '#projects')
 
+@app.route('/projects/<slug>')
+def project_detail(slug):
+    # Opens the project's detail modal
+    if not SLUG_RE.match(slug):
+        return redirect(url_for('home') + '#projects')
+    return redirect(url_for('home') + '#projects/' + slug)
+
 @app.route('/expertise')
 def expertise():
     return redirect(url_for('home') + '#expertise')
@@ -0,0 +1,78 @@
+"""Front-end build output.
+
+`npm run build` (see build.mjs) compiles Tailwind and bundles the scripts into
+static/dist/ with content-hashed file names, and writes
+static/dist/manifest.json mapping each source path ('js/main.js') to its
+built file. Templates link assets through asset_url() so every deploy gets
+fresh URLs, which browsers may then cache forever.
+"""
+import hashlib
+import json
+import os
+
+from flask import request, url_for
+
+DIST_DIR = 'dist'
+MANIFEST_FILE = os.path.join(os.path.dirname(__file__), 'static', DIST_DIR, 'manifest.json')
+# Hashed files never change, so they can be cached for a year
+IMMUTABLE_MAX_AGE = 365 * 24 * 3600
+
+_manifest = (None, {})  # (mtime, source path -> built file)
+_warned = False
+
+
+def manifest():
+    """The build manifest, re-read when a new build replaces it. Empty when
+    the front-end has not been built.
+    """
+    global _manifest
+    try:
+        mtime = os.path.getmtime(MANIFEST_FILE)
+    except OSError:
+        return {}
+    if _manifest[0] != mtime:
+        with open(MANIFEST_FILE, encoding='utf-8') as fh:
+            _manifest = (mtime, json.load(fh))
+    return _manifest[1]
+
+
+def build_id():
+    """Short fingerprint of the current build ('dev' without one)."""
+    files = manifest()
+    if not files:
+        return 'dev'
+    return hashlib.sha256(json.dumps(files, sort_keys=True).encode()).hexdigest()[:12]
+
+
+def asset_url(path):
+    """URL of the built version of a static source file, e.g.
+    asset_url('js/main.js') -> '/static/dist/main-1A2B3C4D.js'.
+
+    Without a build the source file itself is linked: the site still runs,
+    but unstyled and without animations.
+    """
+    global _warned
+    built = manifest().get(path)
+    if built:
+        return url_for('static', filename=DIST_DIR + '/' + built)
+    if not _warned:
+        print('Assets error: no build output for', path, '- run `npm run build` in MYWEB/')
+        _warned = True
+    return url_for('static', filename=path)
+
+
+def init_app(app):
+    """Makes asset_url() available to templates and lets browsers cache the
+    hashed files.
+    """
+    app.jinja_env.globals['asset_url'] = asset_url
+    dist_prefix = app.static_url_path + '/' + DIST_DIR + '/'
+
+    @app.after_request
+    def cache_built_assets(response):
+        if request.path.startswith(dist_prefix) and not request.path.endswith('/manifest.json') and response.status_code == 200:
+            response.cache_control.no_cache = None
+            response.cache_control.public = True
+            response.cache_control.max_age = IMMUTABLE_MAX_AGE
+            response.cache_control.immutable = True
+        return response
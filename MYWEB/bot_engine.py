@@ -0,0 +1,291 @@
+"""Pluggable chatbot engines.
+
+An engine turns a visitor message into a `BotReply`: text plus optional quick
+reply chips, links to page sections and cards. `RulesEngine` answers from an
+intents file (JSON, or YAML when PyYAML is installed) so the bot's wording can
+change without touching Python. Other backends, such as a local LLM, subclass
+`BotEngine` and are made available with `register_engine`. `create_bot` wraps
+the configured engine in a `FallbackEngine`, which tries each engine in turn and
+answers with a fixed fallback reply when none of them has something to say.
+"""
+import json
+import os
+import random
+import re
+
+try:
+    import yaml  # Optional: only needed for .yaml/.yml rules files
+except ImportError:  # pragma: no cover - depends on the environment
+    yaml = None
+
+
+TEMPLATE_FIELD_RE = re.compile(r'\{(\w+)\}')
+# Links may point at a section of the page (#projects) or an absolute http(s) URL
+LINK_HREF_RE = re.compile(r'^(#[\w-]+|https?://\S+)$')
+DEFAULT_FALLBACK = "Thanks for the message — I'll review it and respond soon. Can you share more details?"
+# Keywords match as whole words. Devanagari vowel signs are not \w, so the
+# script's block counts as word characters too.
+KEYWORD_BOUNDARY = r'\w\u0900-\u097f'
+# Intent fields a locale section may translate
+LOCALIZED_FIELDS = ('replies', 'quick_replies', 'links', 'cards')
+
+
+def tokenize(reply):
+    """Splits a reply into word tokens (trailing whitespace included) for streaming."""
+    return re.findall(r'\S+\s*', reply)
+
+
+def render_template(template, context):
+    """Fills {name} placeholders from context; unknown names are left as-is."""
+    return TEMPLATE_FIELD_RE.sub(lambda m: str(context.get(m.group(1), m.group(0))), template)
+
+
+def clean_link(link):
+    """Returns {label, href} if the link is well-formed and safe, otherwise None."""
+    if not isinstance(link, dict):
+        return None
+    label = str(link.get('label') or '').strip()
+    href = str(link.get('href') or '').strip()
+    if not label or not LINK_HREF_RE.match(href):
+        return None
+    return {'label': label, 'href': href}
+
+
+class BotReply:
+    """A structured bot answer.
+
+    Besides the text, a reply can carry `quick_replies` (chips the visitor can
+    click to send as their next message), `links` ({label, href}) and `cards`
+    ({title, body, link}). Streaming backends pass `chunks`, an iterator of
+    text pieces; `text` is then filled in as the chunks are consumed.
+    `action` names a server-side follow-up (e.g. 'lead_capture') and is never
+    sent to the client.
+    """
+
+    def __init__(self, text='', quick_replies=None, links=None, cards=None, chunks=None, action=None):
+        self.text = text
+        self.action = action
+        self.quick_replies = [str(q).strip() for q in (quick_replies or []) if str(q).strip()]
+        self.links = [l for l in map(clean_link, links or []) if l]
+        self.cards = []
+        for card in cards or []:
+            if not isinstance(card, dict) or not (card.get('title') or card.get('body')):
+                continue
+            self.cards.append({
+                'title': str(card.get('title') or ''),
+                'body': str(card.get('body') or ''),
+                'link': clean_link(card.get('link')),
+            })
+        self._chunks = chunks
+
+    @classmethod
+    def coerce(cls, value):
+        """Accepts a BotReply, a plain string or a dict with the same fields."""
+        if value is None or isinstance(value, cls):
+            return value
+        if isinstance(value, str):
+            return cls(value) if value.strip() else None
+        return cls(value.get('text', ''), value.get('quick_replies'), value.get('links'), value.get('cards'),
+                   action=value.get('action'))
+
+    def iter_chunks(self):
+        """Yields the text in pieces: the backend's stream if there is one,
+        else word by word, so a reply that is complete up front still streams.
+        """
+        if self._chunks is None:
+            yield from tokenize(self.text)
+            return
+        chunks, self._chunks = self._chunks, None
+        self.text = ''
+        for chunk in chunks:
+            self.text += chunk
+            yield chunk
+
+    def extras(self):
+        """The structured parts beyond the text, as sent to the client."""
+        return {'quick_replies': self.quick_replies, 'links': self.links, 'cards': self.cards}
+
+    def to_dict(self):
+        if self._chunks is not None:
+            # Drain a pending stream so the full text is known
+            for _ in self.iter_chunks():
+                pass
+        return dict(self.extras(), text=self.text)
+
+
+class BotEngine:
+    """Base class for reply backends."""
+
+    name = 'base'
+
+    def reply(self, message, context=None):
+        """Returns a BotReply (or plain string) for a message, or None if this
+        engine has no answer.
+
+        Backends that generate text incrementally (e.g. an LLM) should return
+        BotReply(chunks=...) so the chat stream can forward pieces as they come.
+        `context` carries the `session_id` and the visitor's `locale`, which
+        backends should answer in when they can.
+        """
+        raise NotImplementedError
+
+
+class RulesEngine(BotEngine):
+    """Matches messages against intents loaded from a rules file.
+
+    Each intent has a name, optional priority (higher wins, ties go to the
+    intent listed first), `keywords` matched as whole words or phrases,
+    `patterns` matched as case-insensitive regular expressions, and a list of
+    `replies` of which one is picked at random. Replies may use {placeholders}
+    filled from the request context. `quick_replies`, `links` and `cards` are
+    passed through to the BotReply, as is an optional `action`. The top-level `fallback` is either a string
+    or an object with the same reply fields. The file is re-read when it changes.
+
+    Translations live under `locales`, e.g. {"hi": {"fallback": ..., "intents":
+    {"hire": {"keywords": [...], "replies": [...]}}}}. Their keywords and
+    patterns are matched for every visitor; their reply fields are used for
+    visitors in that locale and fall back to the intent's own.
+    """
+
+    name = 'rules'
+
+    def __init__(self, path):
+        self.path = path
+        self._mtime = None
+        self.intents = []
+        self.fallback = BotReply(DEFAULT_FALLBACK)
+        self.fallbacks = {}  # locale -> BotReply
+
+    def load(self):
+        """(Re)loads the rules file if it changed since the last load."""
+        mtime = os.path.getmtime(self.path)
+        if mtime == self._mtime:
+            return
+        with open(self.path, encoding='utf-8') as fh:
+            if self.path.endswith(('.yaml', '.yml')):
+                if yaml is None:
+                    raise RuntimeError('PyYAML is required to load ' + self.path)
+                rules = yaml.safe_load(fh) or {}
+            else:
+                rules = json.load(fh)
+
+        locales = rules.get('locales', {})
+        intents = []
+        for order, raw in enumerate(rules.get('intents', [])):
+            name = raw.get('name', f'intent-{order}')
+            translations = {locale: section['intents'][name] for locale, section in locales.items()
+                            if name in section.get('intents', {})}
+            keywords = raw.get('keywords', []) + [k for t in translations.values() for k in t.get('keywords', [])]
+            patterns = raw.get('patterns', []) + [p for t in translations.values() for p in t.get('patterns', [])]
+            matchers = [re.compile(rf'(?<![{KEYWORD_BOUNDARY}]){re.escape(k.strip())}(?![{KEYWORD_BOUNDARY}])', re.IGNORECASE)
+                        for k in keywords]
+            matchers += [re.compile(p, re.IGNORECASE) for p in patterns]
+            if not matchers or not raw.get('replies'):
+                raise ValueError(f"Intent #{order} in {self.path} needs keywords/patterns and replies")
+            intents.append({
+                'name': name,
+                'priority': raw.get('priority', 0),
+                'order': order,
+                'matchers': matchers,
+                'replies': raw['replies'],
+                'quick_replies': raw.get('quick_replies'),
+                'links': raw.get('links'),
+                'cards': raw.get('cards'),
+                'action': raw.get('action'),
+                'translations': {locale: {f: t[f] for f in LOCALIZED_FIELDS if t.get(f)}
+                                 for locale, t in translations.items()},
+            })
+        # Highest priority first; stable sort keeps file order for ties
+        intents.sort(key=lambda intent: -intent['priority'])
+
+        self.intents = intents
+        self.fallback = BotReply.coerce(rules.get('fallback')) or BotReply(DEFAULT_FALLBACK)
+        self.fallbacks = {locale: BotReply.coerce(section['fallback'])
+                          for locale, section in locales.items() if section.get('fallback')}
+        self._mtime = mtime
+
+    def fallback_for(self, locale=None):
+        """The fallback reply in `locale` when translated, else the default one."""
+        self.load()
+        return self.fallbacks.get(locale) or self.fallback
+
+    def match(self, message):
+        """Returns the best matching intent for a message, or None."""
+        self.load()
+        for intent in self.intents:
+            if any(m.search(message) for m in intent['matchers']):
+                return intent
+        return None
+
+    def reply(self, message, context=None):
+        intent = self.match(message)
+        if intent is None:
+            return None
+        context = context or {}
+        fields = dict(intent, **intent['translations'].get(context.get('locale'), {}))
+        text = render_template(random.choice(fields['replies']), dict(context, message=message))
+        return BotReply(text, fields['quick_replies'], fields['links'], fields['cards'], action=intent['action'])
+
+
+class FallbackEngine(BotEngine):
+    """Asks each engine in order and falls back to a fixed reply.
+
+    An engine that raises is logged and skipped, so a broken backend degrades
+    to the next one instead of failing the request.
+    """
+
+    name = 'fallback'
+
+    def __init__(self, engines, fallback=DEFAULT_FALLBACK):
+        self.engines = engines
+        self.fallback = fallback
+
+    def fallback_reply(self, locale=None):
+        # The rules file may override the fallback wording. If it can't be
+        # read, the fixed text still gets the visitor an answer.
+        for engine in self.engines:
+            if isinstance(engine, RulesEngine):
+                try:
+                    fallback = engine.fallback_for(locale)
+                except Exception as e:
+                    print('Bot fallback error:', e)
+                    break
+                # Fresh copy so callers can consume it without touching the cached one
+                return BotReply(fallback.text, fallback.quick_replies, fallback.links, fallback.cards)
+        return BotReply(self.fallback)
+
+    def reply(self, message, context=None):
+        for engine in self.engines:
+            try:
+                reply = BotReply.coerce(engine.reply(message, context))
+            except Exception as e:
+                print(f'Bot engine {engine.name!r} failed:', e)
+                continue
+            if reply:
+                return reply
+        return self.fallback_reply((context or {}).get('locale'))
+
+
+ENGINES = {'rules': lambda rules_path: RulesEngine(rules_path)}
+
+
+def register_engine(name, factory):
+    """Makes a backend selectable by name.
+
+    `factory` is called with the rules file path and returns a `BotEngine`.
+    """
+    ENGINES[name] = factory
+
+
+def create_bot(engine_name, rules_path):
+    """Builds the bot used by the chat endpoints.
+
+    The rules engine always stays in the chain behind the selected engine so
+    its intents and fallback text still apply when another backend has no
+    answer.
+    """
+    if engine_name not in ENGINES:
+        raise ValueError(f'Unknown bot engine {engine_name!r}; available: {", ".join(sorted(ENGINES))}')
+    rules = RulesEngine(rules_path)
+    engines = [rules] if engine_name == 'rules' else [ENGINES[engine_name](rules_path), rules]
+    return FallbackEngine(engines)
@@ -0,0 +1,99 @@
+// build.mjs - compiles the front-end into static/dist:
+//   css/tailwind.css -> the Tailwind utilities used by templates/ and static/js/
+//   css/style.css    -> the site's own styles
+//   js/main.js       -> ES module bundle of main.js and js/modules/;
+//                       modules/animations.js (GSAP) becomes a separate
+//                       chunk that motion.js imports on demand
+//   js/modules/particles.worker.js -> module worker for the hero particles;
+//                       shares particleEngine.js with main.js through a chunk
+// Output names carry a content hash; static/dist/manifest.json maps source
+// paths to them for asset_url() (see assets.py).
+//
+// Usage: npm run build, or npm run watch to rebuild on changes
+import { createHash } from 'node:crypto';
+import { watch } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as esbuild from 'esbuild';
+import postcss from 'postcss';
+import tailwindcss from 'tailwindcss';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const STATIC_DIR = path.join(ROOT, 'static');
+const OUT_DIR = path.join(STATIC_DIR, 'dist');
+const MANIFEST_FILE = path.join(OUT_DIR, 'manifest.json');
+const WATCH_DIRS = ['templates', 'static/js', 'static/css'];
+
+// Source path relative to static/, e.g. 'js/main.js'
+function assetKey(file) {
+  return path.relative(STATIC_DIR, path.resolve(ROOT, file)).split(path.sep).join('/');
+}
+
+function hashedName(file, contents) {
+  const hash = createHash('sha256').update(contents).digest('hex').slice(0, 8).toUpperCase();
+  const ext = path.extname(file);
+  return `${path.basename(file, ext)}-${hash}${ext}`;
+}
+
+async function buildTailwind() {
+  const from = path.join(STATIC_DIR, 'css', 'tailwind.css');
+  const result = await postcss([tailwindcss(path.join(ROOT, 'tailwind.config.js'))])
+    .process(await fs.readFile(from, 'utf8'), { from });
+  const { code } = await esbuild.transform(result.css, { loader: 'css', minify: true });
+  const name = hashedName(from, code);
+  await fs.writeFile(path.join(OUT_DIR, name), code);
+  return { [assetKey(from)]: name };
+}
+
+async function buildBundles() {
+  const result = await esbuild.build({
+    absWorkingDir: ROOT,
+    entryPoints: ['static/js/main.js', 'static/js/modules/particles.worker.js', 'static/css/style.css'],
+    outdir: OUT_DIR,
+    bundle: true,
+    format: 'esm',
+    splitting: true,
+    minify: true,
+    sourcemap: true,
+    target: ['es2020'],
+    entryNames: '[name]-[hash]',
+    chunkNames: 'chunks/[name]-[hash]',
+    metafile: true,
+    logLevel: 'warning'
+  });
+  const manifest = {};
+  for (const [file, output] of Object.entries(result.metafile.outputs)) {
+    // Dynamically imported modules count as entry points too
+    if (output.entryPoint) manifest[assetKey(output.entryPoint)] = path.relative(OUT_DIR, path.resolve(ROOT, file)).split(path.sep).join('/');
+  }
+  return manifest;
+}
+
+async function build() {
+  const started = Date.now();
+  await fs.rm(OUT_DIR, { recursive: true, force: true });
+  await fs.mkdir(OUT_DIR, { recursive: true });
+  const manifest = Object.assign({}, await buildTailwind(), await buildBundles());
+  // Written last and renamed into place so the server never reads a partial file
+  await fs.writeFile(MANIFEST_FILE + '.tmp', JSON.stringify(manifest, null, 2) + '\n');
+  await fs.rename(MANIFEST_FILE + '.tmp', MANIFEST_FILE);
+  console.log(`Built ${Object.keys(manifest).length} assets in ${Date.now() - started}ms`);
+}
+
+function report(err) {
+  console.error('Build failed:', err.message || err);
+  process.exitCode = 1;
+}
+
+await build().catch(report);
+
+if (process.argv.includes('--watch')) {
+  let timer = null;
+  const rebuild = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => build().catch(report), 100);
+  };
+  WATCH_DIRS.forEach(dir => watch(path.join(ROOT, dir), { recursive: true }, rebuild));
+  console.log('Watching', WATCH_DIRS.join(', '));
+}
@@ -0,0 +1,131 @@
+"""The chat widget's conversation: session ids, the bot's replies and how
+messages are stored and passed on.
+
+The JSON and streaming message endpoints (see api_v1) and the socket to the
+site owner (see live_chat) all go through here, so every message reaches
+the database, the owner's live console and the chat.message webhooks.
+"""
+import json
+import os
+import re
+
+from flask import stream_with_context, Response
+
+import bot_engine
+import lead_flow
+import live_chat
+import webhooks
+from database import connect_db, store_chat_message
+from i18n import gettext as _
+
+# Chat sessions are identified by an opaque id generated by the browser (or by
+# us when the client did not send one). Keep it to a safe, bounded charset.
+SESSION_ID_RE = re.compile(r'^[A-Za-z0-9_-]{8,64}$')
+# Upper bound on messages returned when restoring a conversation
+CHAT_HISTORY_LIMIT = 100
+
+# Chatbot: BOT_ENGINE picks the backend ('rules' by default); the intents and
+# reply wording live in the rules file so they can be edited without code changes.
+BOT_RULES_FILE = os.environ.get('BOT_RULES_FILE', os.path.join(os.path.dirname(__file__), 'data', 'bot_rules.json'))
+bot = bot_engine.create_bot(os.environ.get('BOT_ENGINE', 'rules'), BOT_RULES_FILE)
+
+
+def normalize_session_id(value):
+    """Returns the session id if it is well-formed, otherwise None."""
+    value = (value or '').strip()
+    return value if SESSION_ID_RE.match(value) else None
+
+
+def record_chat_message(db, sender, message, session_id, extras=None):
+    """Stores a chat message and passes it on to the owner's live console
+    (see live_chat) and to chat.message webhook subscribers.
+    """
+    store_chat_message(db, sender, message, session_id, extras)
+    live_chat.hub.relay(session_id, sender, message)
+    webhooks.chat_message(db, session_id, sender, message)
+
+
+def respond(db, message, session_id, locale):
+    """Builds the bot's answer to a visitor message, in the visitor's locale.
+
+    A guided flow in progress (see lead_flow) takes precedence over the bot
+    engine; intents tagged with the 'lead_capture' action start that flow.
+    """
+    reply = lead_flow.handle(db, session_id, message, locale)
+    if reply is None:
+        reply = bot.reply(message, {'session_id': session_id, 'locale': locale})
+        if reply.action == 'lead_capture':
+            reply = lead_flow.start(db, session_id, reply, locale)
+    return reply
+
+
+def reply_json(db, message, session_id, locale):
+    """Answers a stored visitor message in one go: { reply, quick_replies,
+    links, cards }, stored as the bot's message.
+    """
+    reply = respond(db, message, session_id, locale).to_dict()
+    text = reply.pop('text')
+    record_chat_message(db, 'bot', text, session_id, reply)
+    return dict(reply, reply=text)
+
+
+def sse_event(event, data):
+    """Formats one Server-Sent Events frame with a JSON payload."""
+    return f'event: {event}\ndata: {json.dumps(data)}\n\n'
+
+
+def reply_stream(message, session_id, locale):
+    """Answers a stored visitor message as a text/event-stream response.
+
+    Events: `session` ({ session_id }), a `token` ({ text }) per chunk the bot
+    engine produces (per word for a reply that is complete up front, like the
+    rules engine's), then `done` ({ reply, quick_replies, links, cards }), or
+    `error` ({ error }) if the reply could not be built.
+    """
+    def generate():
+        yield sse_event('session', {'session_id': session_id})
+        sent = ''
+        extras = None
+        db = connect_db()
+        try:
+            reply = respond(db, message, session_id, locale)
+            extras = reply.extras()
+            for token in reply.iter_chunks():
+                sent += token
+                yield sse_event('token', {'text': token})
+            yield sse_event('done', dict(extras, reply=sent))
+        except Exception as e:
+            print('Chat stream error:', e)
+            yield sse_event('error', {'error': _('error.server', locale)})
+        finally:
+            # Persist whatever reached the client, even if it disconnected midway.
+            # The request's connection is already closed once streaming starts,
+            # so the stream works on its own.
+            try:
+                if sent:
+                    record_chat_message(db, 'bot', sent.strip(), session_id, extras)
+            finally:
+                db.close()
+
+    return Response(stream_with_context(generate()), mimetype='text/event-stream',
+                    headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'})
+
+
+def session_messages(db, session_id, limit, offset=0):
+    """One page of a session's messages, newest first, and the session's
+    message count. Bot messages carry their structured parts (quick_replies,
+    links, cards) when they had any.
+    """
+    total = db.execute('SELECT COUNT(*) FROM chats WHERE session_id = ?', (session_id,)).fetchone()[0]
+    rows = db.execute(
+        'SELECT id, sender, message, created_at, extras FROM chats WHERE session_id = ?'
+        ' ORDER BY id DESC LIMIT ? OFFSET ?',
+        (session_id, limit, offset)
+    ).fetchall()
+    messages = []
+    for row in rows:
+        item = {'id': row['id'], 'sender': row['sender'], 'message': row['message'], 'created_at': row['created_at']}
+        if row['extras']:
+            item.update(json.loads(row['extras']))
+        messages.append(item)
+    return messages, total
@@ -0,0 +1,134 @@
+"""Site content kept in JSON files (projects, testimonials) so new entries can
+be published without touching templates. Served to the page by /api/v1/projects
+and /api/testimonials and used to pre-render index.html.
+"""
+import json
+import os
+import re
+
+from bot_engine import clean_link
+
+SLUG_RE = re.compile(r'^[a-z0-9]+(?:-[a-z0-9]+)*$')
+DATE_RE = re.compile(r'^\d{4}(-\d{2}){0,2}$')
+
+
+class JsonFileStore:
+    """A list of entries under `key` in a JSON file, re-read when the file
+    changes. Subclasses set `key` and turn raw entries into clean dicts in
+    `clean()`, raising ValueError for malformed ones.
+    """
+
+    key = None
+
+    def __init__(self, path):
+        self.path = path
+        self._mtime = None
+        self.items = []
+
+    def load(self):
+        """(Re)loads the file if it changed since the last load."""
+        mtime = os.path.getmtime(self.path)
+        if mtime == self._mtime:
+            return
+        with open(self.path, encoding='utf-8') as fh:
+            raw_items = json.load(fh).get(self.key, [])
+        self.items = self.clean_all(raw_items)
+        self._mtime = mtime
+
+    def clean_all(self, raw_items):
+        return [self.clean(order, raw) for order, raw in enumerate(raw_items)]
+
+    def clean(self, order, raw):
+        raise NotImplementedError
+
+    def all(self):
+        self.load()
+        return list(self.items)
+
+
+class ProjectStore(JsonFileStore):
+    """Portfolio projects ({ "projects": [...] }).
+
+    Each project needs a unique `slug` and a `title`; optional fields are
+    `summary`, `description` (blank lines separate paragraphs), `category`
+    (the label shown on the card), `image`, `image_alt`, `tags`, `tech`,
+    `date` (YYYY, YYYY-MM or YYYY-MM-DD, used for sorting) and `links`
+    ({label, href}).
+    """
+
+    key = 'projects'
+
+    def clean_all(self, raw_items):
+        projects = super().clean_all(raw_items)
+        seen = set()
+        for project in projects:
+            if project['slug'] in seen:
+                raise ValueError(f"Duplicate project slug {project['slug']!r} in {self.path}")
+            seen.add(project['slug'])
+        return projects
+
+    def clean(self, order, raw):
+        slug = str(raw.get('slug') or '').strip()
+        title = str(raw.get('title') or '').strip()
+        if not SLUG_RE.match(slug) or not title:
+            raise ValueError(f'Project #{order} in {self.path} needs a lowercase slug and a title')
+        date = str(raw.get('date') or '')
+        if date and not DATE_RE.match(date):
+            raise ValueError(f'Project {slug!r} has a malformed date {date!r}')
+        return {
+            'slug': slug,
+            'title': title,
+            'summary': raw.get('summary', ''),
+            'description': raw.get('description', ''),
+            'category': raw.get('category', ''),
+            'image': raw.get('image', ''),
+            'image_alt': raw.get('image_alt') or title,
+            'tags': [str(t) for t in raw.get('tags', [])],
+            'tech': [str(t) for t in raw.get('tech', [])],
+            'date': date,
+            'links': [link for link in map(clean_link, raw.get('links', [])) if link],
+        }
+
+    def all(self):
+        """Projects newest first (undated ones last, file order for ties)."""
+        projects = super().all()
+        dated = sorted((p for p in projects if p['date']), key=lambda p: p['date'], reverse=True)
+        return dated + [p for p in projects if not p['date']]
+
+    def facets(self):
+        """Sorted distinct tags and technologies, for the filter controls."""
+        projects = self.all()
+        return {
+            'tags': sorted({t for p in projects for t in p['tags']}, key=str.lower),
+            'tech': sorted({t for p in projects for t in p['tech']}, key=str.lower),
+        }
+
+
+class TestimonialStore(JsonFileStore):
+    """Client testimonials ({ "testimonials": [...] }), shown in file order.
+
+    Each needs a `quote` and the client's `name`; `role` and `company` are
+    optional.
+    """
+
+    key = 'testimonials'
+
+    def clean(self, order, raw):
+        quote = str(raw.get('quote') or '').strip()
+        name = str(raw.get('name') or '').strip()
+        if not quote or not name:
+            raise ValueError(f'Testimonial #{order} in {self.path} needs a quote and a name')
+        return {
+            'quote': quote,
+            'name': name,
+            'role': str(raw.get('role') or '').strip(),
+            'company': str(raw.get('company') or '').strip(),
+        }
+
+
+# Portfolio projects shown in the #projects section and served by /api/v1/projects
+PROJECTS_FILE = os.environ.get('PROJECTS_FILE', os.path.join(os.path.dirname(__file__), 'data', 'projects.json'))
+project_store = ProjectStore(PROJECTS_FILE)
+# Client quotes for the #testimonials carousel, served by /api/testimonials
+TESTIMONIALS_FILE = os.environ.get('TESTIMONIALS_FILE', os.path.join(os.path.dirname(__file__), 'data', 'testimonials.json'))
+testimonial_store = TestimonialStore(TESTIMONIALS_FILE)
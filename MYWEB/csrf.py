@@ -0,0 +1,83 @@
+"""CSRF protection for state-changing requests.
+
+Each visitor gets a random token kept in their (signed) Flask session. Pages
+expose it through <meta name="csrf-token"> and the JS fetch helpers send it
+back in the X-CSRFToken header; plain HTML forms post it as a hidden
+`csrf_token` field. Unsafe requests without a matching token are rejected,
+except on views marked with @exempt.
+"""
+import hmac
+import secrets
+
+from flask import current_app, request, session, jsonify, Response
+
+from i18n import gettext as _
+
+SESSION_KEY = 'csrf_token'
+HEADER_NAME = 'X-CSRFToken'
+FORM_FIELD = 'csrf_token'
+SAFE_METHODS = ('GET', 'HEAD', 'OPTIONS', 'TRACE')
+
+
+def generate_csrf():
+    """Returns the session's token, creating it on first use."""
+    token = session.get(SESSION_KEY)
+    if not token:
+        token = secrets.token_urlsafe(32)
+        session[SESSION_KEY] = token
+    return token
+
+
+def exempt(view):
+    """Lets a view accept unsafe requests without a token. Only for endpoints
+    that don't act on the visitor's session, like the analytics beacon
+    (navigator.sendBeacon can't send headers).
+    """
+    view.csrf_exempt = True
+    return view
+
+
+def csrf_error():
+    """Returns an error message if the current request lacks a valid token,
+    else None.
+    """
+    sent = request.headers.get(HEADER_NAME) or request.form.get(FORM_FIELD)
+    if not sent:
+        return _('error.csrf_missing')
+    expected = session.get(SESSION_KEY)
+    if not expected or not hmac.compare_digest(sent, expected):
+        return _('error.csrf_invalid')
+    return None
+
+
+def init_app(app):
+    """Checks every unsafe request and makes csrf_token() available to templates."""
+    app.jinja_env.globals['csrf_token'] = generate_csrf
+
+    @app.route('/api/csrf')
+    def csrf_refresh():
+        """The session's current token. Pages served from the offline cache
+        carry the token of an older session; outbox.js fetches a fresh one
+        before replaying queued posts.
+        """
+        response = jsonify({'ok': True, 'csrf_token': generate_csrf()})
+        response.headers['Cache-Control'] = 'no-store'
+        return response
+
+    @app.before_request
+    def check_csrf():
+        if request.method in SAFE_METHODS:
+            return None
+        # Unknown routes and methods reach no view; leave them to the 404/405 handlers
+        if request.routing_exception is not None:
+            return None
+        if getattr(current_app.view_functions.get(request.endpoint), 'csrf_exempt', False):
+            return None
+        error = csrf_error()
+        if not error:
+            return None
+        print('CSRF rejected:', request.method, request.path)
+        # Browser form posts get a readable page, fetch calls the JSON envelope
+        if request.accept_mimetypes.best_match(['application/json', 'text/html']) == 'text/html':
+            return Response(error, status=400, mimetype='text/plain')
+        return jsonify({'ok': False, 'error': error, 'code': 'csrf_failed', 'csrf': True}), 400
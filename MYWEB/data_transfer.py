@@ -0,0 +1,254 @@
+"""Export and import of contacts and chat messages.
+
+Exports go out as CSV, JSON or NDJSON with optional date-range and field
+filters. Imports merge contacts from another SQLite database (such as the
+legacy contacts-*.db backups) or a CSV file, skipping rows whose email and
+timestamp already exist. Both are available to admins over HTTP (see admin.py)
+and on the command line:
+
+    flask --app app export contacts --format csv --from 2025-01-01 -o contacts.csv
+    flask --app app import-contacts DataBase/contacts-legacy-20251102200707.db
+"""
+from datetime import date, datetime, timedelta
+import csv
+import io
+import json
+import sqlite3
+
+import click
+from flask.cli import with_appcontext
+
+from database import get_db, STATUSES
+
+EXPORT_FORMATS = {
+    'csv': 'text/csv',
+    'json': 'application/json',
+    'ndjson': 'application/x-ndjson',
+}
+# Columns that may be exported per table, in output order
+EXPORT_FIELDS = {
+    'contacts': ('id', 'name', 'email', 'message', 'created_at', 'source', 'chat_session_id', 'status'),
+    'chats': ('id', 'session_id', 'sender', 'message', 'created_at'),
+}
+# Spreadsheet apps evaluate cells starting with these characters as formulas
+CSV_FORMULA_PREFIXES = ('=', '+', '-', '@', '\t', '\r')
+
+
+class TransferError(ValueError):
+    """Invalid export/import request; the message is safe to show to the admin."""
+
+
+def parse_fields(table, fields):
+    """Validates a comma-separated field list (or list) against EXPORT_FIELDS."""
+    allowed = EXPORT_FIELDS[table]
+    if not fields:
+        return list(allowed)
+    if isinstance(fields, str):
+        fields = [f.strip() for f in fields.split(',') if f.strip()]
+    unknown = [f for f in fields if f not in allowed]
+    if unknown:
+        raise TransferError(f"Unknown field(s) for {table}: {', '.join(unknown)}")
+    return fields
+
+
+def parse_date(value, name):
+    if not value:
+        return None
+    try:
+        return date.fromisoformat(value)
+    except ValueError:
+        raise TransferError(f'{name} must be a date like 2025-01-31')
+
+
+def query_rows(db, table, fields, date_from=None, date_to=None):
+    """Yields the selected columns of a table as dicts, oldest first.
+
+    Both date bounds are inclusive days compared against created_at.
+    """
+    if table not in EXPORT_FIELDS:
+        raise TransferError(f'Unknown table {table!r}')
+    where, params = [], []
+    if date_from:
+        where.append('created_at >= ?')
+        params.append(date_from.isoformat())
+    if date_to:
+        where.append('created_at < ?')
+        params.append((date_to + timedelta(days=1)).isoformat())
+    clause = ('WHERE ' + ' AND '.join(where)) if where else ''
+    # Field names are checked against EXPORT_FIELDS, so interpolating them is safe
+    cursor = db.execute(f'SELECT {", ".join(fields)} FROM {table} {clause} ORDER BY id', params)
+    for row in cursor:
+        yield dict(zip(fields, row))
+
+
+def csv_safe(value):
+    if isinstance(value, str) and value.startswith(CSV_FORMULA_PREFIXES):
+        return "'" + value
+    return value
+
+
+def csv_unsafe(value):
+    """Undoes csv_safe, so exported CSVs import unchanged."""
+    if isinstance(value, str) and value.startswith("'") and value[1:].startswith(CSV_FORMULA_PREFIXES):
+        return value[1:]
+    return value
+
+
+def serialize(rows, fields, fmt):
+    """Yields the export document in chunks so large tables can be streamed."""
+    if fmt == 'csv':
+        buffer = io.StringIO()
+        writer = csv.DictWriter(buffer, fieldnames=fields)
+        writer.writeheader()
+        for row in rows:
+            writer.writerow({k: csv_safe(v) for k, v in row.items()})
+            yield buffer.getvalue()
+            buffer.seek(0)
+            buffer.truncate()
+        yield buffer.getvalue()
+    elif fmt == 'json':
+        yield '['
+        for i, row in enumerate(rows):
+            yield (',\n' if i else '\n') + json.dumps(row, ensure_ascii=False)
+        yield '\n]\n'
+    elif fmt == 'ndjson':
+        for row in rows:
+            yield json.dumps(row, ensure_ascii=False) + '\n'
+    else:
+        raise TransferError(f'Unknown format {fmt!r}; use one of: {", ".join(EXPORT_FORMATS)}')
+
+
+def export(db, table, fmt, fields=None, date_from=None, date_to=None):
+    """Validates the options and returns a chunk generator for the export."""
+    if fmt not in EXPORT_FORMATS:
+        raise TransferError(f'Unknown format {fmt!r}; use one of: {", ".join(EXPORT_FORMATS)}')
+    if table not in EXPORT_FIELDS:
+        raise TransferError(f'Unknown table {table!r}')
+    fields = parse_fields(table, fields)
+    date_from = parse_date(date_from, 'from') if isinstance(date_from, str) else date_from
+    date_to = parse_date(date_to, 'to') if isinstance(date_to, str) else date_to
+    return serialize(query_rows(db, table, fields, date_from, date_to), fields, fmt)
+
+
+# ---- Import ----
+
+def read_contacts_db(path):
+    """Reads contact rows from another SQLite database file."""
+    src = sqlite3.connect(f'file:{path}?mode=ro', uri=True)
+    src.row_factory = sqlite3.Row
+    try:
+        columns = {row[1] for row in src.execute('PRAGMA table_info(contacts)')}
+        if not {'name', 'email', 'created_at'} <= columns:
+            raise TransferError('The database has no compatible contacts table')
+        return [dict(row) for row in src.execute('SELECT * FROM contacts ORDER BY id')]
+    except sqlite3.DatabaseError as e:
+        raise TransferError(f'Could not read the database: {e}')
+    finally:
+        src.close()
+
+
+def read_contacts_csv(stream):
+    """Reads contact rows from a CSV text stream with a header line."""
+    reader = csv.DictReader(stream)
+    if not reader.fieldnames or not {'name', 'email'} <= set(reader.fieldnames):
+        raise TransferError('The CSV needs at least name and email columns')
+    return [{k: csv_unsafe(v) for k, v in row.items()} for row in reader]
+
+
+def text_value(row, name):
+    """A row's value as stripped text. SQLite columns are loosely typed, so
+    legacy databases may hold numbers or blobs where text is expected.
+    """
+    value = row.get(name)
+    if value is None:
+        return ''
+    if isinstance(value, bytes):
+        value = value.decode('utf-8', errors='replace')
+    return str(value).strip()
+
+
+def merge_contacts(db, rows):
+    """Inserts contacts that are not already present.
+
+    A row counts as a duplicate when a contact with the same email
+    (case-insensitive) and created_at exists. Rows without a timestamp get
+    the import time, and unknown statuses become 'new'. Returns counts of
+    imported, duplicate and invalid rows.
+    """
+    existing = {(email.lower(), created_at)
+                for email, created_at in db.execute('SELECT email, created_at FROM contacts')}
+    imported = duplicates = invalid = 0
+    now = datetime.utcnow().isoformat()
+    for row in rows:
+        name = text_value(row, 'name')
+        email = text_value(row, 'email')
+        if not name or not email:
+            invalid += 1
+            continue
+        created_at = text_value(row, 'created_at') or now
+        key = (email.lower(), created_at)
+        if key in existing:
+            duplicates += 1
+            continue
+        status = text_value(row, 'status')
+        if status not in STATUSES:
+            status = 'new'
+        db.execute(
+            'INSERT INTO contacts (name, email, message, created_at, source, chat_session_id, status)'
+            ' VALUES (?, ?, ?, ?, ?, ?, ?)',
+            (name, email, text_value(row, 'message'), created_at,
+             text_value(row, 'source') or 'import', text_value(row, 'chat_session_id') or None, status)
+        )
+        existing.add(key)
+        imported += 1
+    db.commit()
+    return {'imported': imported, 'duplicates': duplicates, 'invalid': invalid}
+
+
+def import_contacts(db, path):
+    """Merges contacts from a .db/.sqlite or .csv file into the app database."""
+    if path.lower().endswith(('.db', '.sqlite', '.sqlite3')):
+        rows = read_contacts_db(path)
+    elif path.lower().endswith('.csv'):
+        try:
+            with open(path, newline='', encoding='utf-8-sig') as fh:
+                rows = read_contacts_csv(fh)
+        except UnicodeDecodeError:
+            raise TransferError('The CSV must be saved as UTF-8')
+        except csv.Error as e:
+            raise TransferError(f'Could not read the CSV: {e}')
+    else:
+        raise TransferError('Import expects a .db, .sqlite or .csv file')
+    return merge_contacts(db, rows)
+
+
+# ---- CLI ----
+
+@click.command('export')
+@click.argument('table', type=click.Choice(sorted(EXPORT_FIELDS)))
+@click.option('--format', 'fmt', type=click.Choice(sorted(EXPORT_FORMATS)), default='csv', show_default=True)
+@click.option('--from', 'date_from', help='First day to include (YYYY-MM-DD).')
+@click.option('--to', 'date_to', help='Last day to include (YYYY-MM-DD).')
+@click.option('--fields', help='Comma-separated columns to export.')
+@click.option('-o', '--output', type=click.File('w', encoding='utf-8'), default='-', help='Output file (default: stdout).')
+@with_appcontext
+def export_command(table, fmt, date_from, date_to, fields, output):
+    """Export contacts or chats."""
+    try:
+        for chunk in export(get_db(), table, fmt, fields, date_from, date_to):
+            output.write(chunk)
+    except TransferError as e:
+        raise click.UsageError(str(e))
+
+
+@click.command('import-contacts')
+@click.argument('path', type=click.Path(exists=True, dir_okay=False))
+@with_appcontext
+def import_contacts_command(path):
+    """Merge contacts from a legacy .db file or a CSV export."""
+    try:
+        result = import_contacts(get_db(), path)
+    except TransferError as e:
+        raise click.UsageError(str(e))
+    click.echo(f"Imported {result['imported']} contact(s); "
+               f"skipped {result['duplicates']} duplicate(s) and {result['invalid']} invalid row(s).")
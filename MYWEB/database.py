@@ -0,0 +1,144 @@
+"""SQLite storage: connection handling, schema setup and shared queries."""
+from flask import g
+import sqlite3
+from datetime import datetime, timedelta
+import json
+import os
+
+import migrations
+
+# Database setup (SQLite)
+# Store all app data under a dedicated DataBase folder within the project root.
+DB_DIR = os.path.join(os.path.dirname(__file__), 'DataBase')
+# Ensure the DataBase directory exists
+os.makedirs(DB_DIR, exist_ok=True)
+# DATABASE points the app at another SQLite file (the server tests use a throwaway one)
+DATABASE = os.environ.get('DATABASE') or os.path.join(DB_DIR, 'appdata.db')
+
+# Workflow states the admin dashboard can assign to contacts and chat transcripts
+STATUSES = ('new', 'read', 'replied', 'archived')
+CONTACT_COLUMNS = 'id, name, email, message, created_at, source, chat_session_id, status'
+
+
+def now_iso(delta=0):
+    """UTC now (plus `delta` seconds) to the second, for bookkeeping columns
+    like queue retry times and token use.
+    """
+    return (datetime.utcnow() + timedelta(seconds=delta)).isoformat(timespec='seconds')
+
+
+def connect_db():
+    """Opens a new connection to the app database."""
+    db = sqlite3.connect(DATABASE)
+    db.row_factory = sqlite3.Row
+    return db
+
+def get_db():
+    """Connects to the specific database."""
+    db = getattr(g, '_database', None)
+    if db is None:
+        db = g._database = connect_db()
+    return db
+
+def close_connection(exception):
+    """Closes the database connection at the end of the request."""
+    db = getattr(g, '_database', None)
+    if db is not None:
+        db.close()
+
+def init_db():
+    """Brings the database schema up to date (see migrations)."""
+    migrations.migrate(DATABASE)
+
+def init_app(app):
+    """Registers connection teardown and migrates the schema on startup
+    (unless AUTO_MIGRATE=0, see migrations).
+    """
+    app.teardown_appcontext(close_connection)
+    if os.environ.get('AUTO_MIGRATE', '1') != '0':
+        init_db()
+
+
+def insert_contact(db, name, email, message, source='form', chat_session_id=None):
+    """Stores a contact submission and returns its id."""
+    cursor = db.execute(
+        'INSERT INTO contacts (name, email, message, created_at, source, chat_session_id) VALUES (?, ?, ?, ?, ?, ?)',
+        (name, email, message, datetime.utcnow().isoformat(), source, chat_session_id)
+    )
+    db.commit()
+    return cursor.lastrowid
+
+
+def store_chat_message(db, sender, message, session_id, extras=None):
+    """Persists one chat message ('user', 'bot', or 'owner' for the site
+    owner's live replies) for the given session.
+
+    `extras` holds the structured parts of a bot reply (see BotReply.extras)
+    and is stored as JSON only when at least one part is non-empty.
+    """
+    extras_json = json.dumps(extras) if extras and any(extras.values()) else None
+    db.execute('INSERT INTO chats (sender, message, created_at, session_id, extras) VALUES (?, ?, ?, ?, ?)',
+               (sender, message, datetime.utcnow().isoformat(), session_id, extras_json))
+    db.commit()
+
+
+def last_chat_message(db, session_id):
+    """Returns the most recent stored message of a session, or None."""
+    return db.execute('SELECT sender, message FROM chats WHERE session_id = ? ORDER BY id DESC LIMIT 1',
+                      (session_id,)).fetchone()
+
+
+def query_contacts(db, q='', status=None, limit=20, offset=0):
+    """Contacts, newest first, optionally matching `q` (name, email or
+    message) and in `status`. Returns (items, total).
+    """
+    where, params = [], []
+    if q:
+        where.append('(name LIKE ? OR email LIKE ? OR message LIKE ?)')
+        params += [f'%{q}%'] * 3
+    if status:
+        where.append('status = ?')
+        params.append(status)
+    clause = ('WHERE ' + ' AND '.join(where)) if where else ''
+    total = db.execute(f'SELECT COUNT(*) FROM contacts {clause}', params).fetchone()[0]
+    rows = db.execute(f'SELECT {CONTACT_COLUMNS} FROM contacts {clause} ORDER BY id DESC LIMIT ? OFFSET ?',
+                      params + [limit, offset]).fetchall()
+    return [dict(row) for row in rows], total
+
+
+def query_chat_sessions(db, q='', status=None, limit=20, offset=0):
+    """Chat sessions, most recently active first, optionally with a message
+    matching `q` and in `status`. Returns (items, total).
+    """
+    where, params = ['c.session_id IS NOT NULL'], []
+    if q:
+        where.append('c.session_id IN (SELECT session_id FROM chats WHERE message LIKE ?)')
+        params.append(f'%{q}%')
+    if status:
+        where.append("COALESCE(s.status, 'new') = ?")
+        params.append(status)
+    clause = 'WHERE ' + ' AND '.join(where)
+    total = db.execute(
+        'SELECT COUNT(DISTINCT c.session_id) FROM chats c'
+        f' LEFT JOIN chat_sessions s ON s.session_id = c.session_id {clause}',
+        params
+    ).fetchone()[0]
+    rows = db.execute(
+        f"""
+        SELECT c.session_id,
+               COALESCE(s.status, 'new') AS status,
+               MIN(c.created_at) AS started_at,
+               MAX(c.created_at) AS last_message_at,
+               COUNT(*) AS message_count,
+               (SELECT message FROM chats f WHERE f.session_id = c.session_id AND f.sender = 'user'
+                ORDER BY f.id LIMIT 1) AS preview,
+               (SELECT COUNT(*) FROM contacts l WHERE l.chat_session_id = c.session_id) AS lead_count
+        FROM chats c LEFT JOIN chat_sessions s ON s.session_id = c.session_id
+        {clause}
+        GROUP BY c.session_id
+        ORDER BY MAX(c.id) DESC
+        LIMIT ? OFFSET ?
+        """,
+        params + [limit, offset]
+    ).fetchall()
+    return [dict(row) for row in rows], total
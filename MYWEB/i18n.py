@@ -0,0 +1,86 @@
+"""Translations for visitor-facing text.
+
+Catalogs are flat JSON files in data/locales/<code>.json mapping dotted keys
+to strings (or lists of strings); `{name}` placeholders are filled on lookup.
+Missing keys fall back to the default locale, then to the key itself.
+
+The visitor's locale comes from the `lang` cookie (set by the language
+switcher in i18n.js, mirroring its localStorage override), else from the
+Accept-Language header.
+"""
+import json
+import os
+
+from flask import g, has_request_context, request
+
+LOCALES = {'en': 'English', 'hi': 'हिन्दी'}
+DEFAULT_LOCALE = 'en'
+COOKIE_NAME = 'lang'
+LOCALES_DIR = os.path.join(os.path.dirname(__file__), 'data', 'locales')
+
+_catalogs = {}  # locale -> (mtime, messages)
+
+
+def catalog(locale):
+    """Returns the messages of a locale, re-reading the file when it changes."""
+    path = os.path.join(LOCALES_DIR, locale + '.json')
+    try:
+        mtime = os.path.getmtime(path)
+    except OSError:
+        return {}
+    cached = _catalogs.get(locale)
+    if cached and cached[0] == mtime:
+        return cached[1]
+    with open(path, encoding='utf-8') as fh:
+        messages = json.load(fh)
+    _catalogs[locale] = (mtime, messages)
+    return messages
+
+
+def normalize_locale(value):
+    """Returns a supported locale code for values like 'hi' or 'hi-IN', else None."""
+    code = str(value or '').strip().lower().replace('_', '-').split('-')[0]
+    return code if code in LOCALES else None
+
+
+def get_locale():
+    """The current visitor's locale (the default outside of requests)."""
+    if not has_request_context():
+        return DEFAULT_LOCALE
+    if 'locale' not in g:
+        g.locale = (normalize_locale(request.cookies.get(COOKIE_NAME))
+                    or request.accept_languages.best_match(LOCALES.keys())
+                    or DEFAULT_LOCALE)
+    return g.locale
+
+
+def gettext(key, locale=None, **values):
+    """Translates a key into `locale` (default: the visitor's) and fills
+    `{name}` placeholders from `values`.
+    """
+    locale = locale or get_locale()
+    message = catalog(locale).get(key)
+    if message is None:
+        message = catalog(DEFAULT_LOCALE).get(key, key)
+    if values and isinstance(message, str):
+        message = message.format(**values)
+    return message
+
+
+def init_app(app):
+    """Makes `_()`, `current_locale()` and LOCALES available to templates and
+    marks pages as varying with the language inputs.
+    """
+    app.jinja_env.globals.update(
+        _=gettext,
+        current_locale=get_locale,
+        client_messages=lambda: dict(catalog(DEFAULT_LOCALE), **catalog(get_locale())),
+        LOCALES=LOCALES,
+    )
+
+    @app.after_request
+    def vary_on_language(response):
+        if response.mimetype == 'text/html':
+            response.vary.add('Accept-Language')
+            response.vary.add('Cookie')
+        return response
@@ -0,0 +1,109 @@
+"""Guided chat flow that turns a visitor who wants to hire into a contact.
+
+The flow asks for name, email and requirements one message at a time,
+validates each answer and finally stores a `contacts` row linked to the chat
+session (mailed to the owner and sent to webhooks), answering with a
+confirmation card. Progress lives in the `chat_flows` table so it survives
+page reloads and works across workers.
+"""
+from datetime import datetime, timedelta
+import json
+import re
+
+import notifications
+import webhooks
+from bot_engine import BotReply
+from database import insert_contact
+from i18n import gettext as _
+from validators import is_valid_email, is_valid_name
+
+FLOW_NAME = 'lead'
+# Abandoned flows are dropped so an old half-finished flow can't hijack a new chat
+FLOW_TIMEOUT = timedelta(minutes=30)
+MESSAGE_MIN_LENGTH = 10
+MESSAGE_MAX_LENGTH = 2000
+# English and Hindi ways of backing out; the Cancel chip's label matches too
+CANCEL_RE = re.compile(r'^\s*(cancel|stop|quit|exit|never\s*mind|रद्द|बंद)(?![\w\u0900-\u097f])', re.IGNORECASE)
+
+
+def prompt(key, locale, **values):
+    """Flow wording comes from the i18n catalogs (lead.* keys)."""
+    return _('lead.' + key, locale, **values)
+
+
+def cancel_chips(locale):
+    return [prompt('cancel', locale)]
+
+
+def get_state(db, session_id):
+    """Returns the active lead flow state {step, data} of a session, or None."""
+    row = db.execute('SELECT step, data, updated_at FROM chat_flows WHERE session_id = ? AND flow = ?',
+                     (session_id, FLOW_NAME)).fetchone()
+    if row is None:
+        return None
+    if datetime.utcnow() - datetime.fromisoformat(row['updated_at']) > FLOW_TIMEOUT:
+        clear_state(db, session_id)
+        return None
+    return {'step': row['step'], 'data': json.loads(row['data'])}
+
+
+def save_state(db, session_id, step, data):
+    db.execute(
+        'INSERT OR REPLACE INTO chat_flows (session_id, flow, step, data, updated_at) VALUES (?, ?, ?, ?, ?)',
+        (session_id, FLOW_NAME, step, json.dumps(data), datetime.utcnow().isoformat())
+    )
+    db.commit()
+
+
+def clear_state(db, session_id):
+    db.execute('DELETE FROM chat_flows WHERE session_id = ?', (session_id,))
+    db.commit()
+
+
+def start(db, session_id, intro=None, locale=None):
+    """Begins the flow; the triggering intent's reply is kept as the intro."""
+    save_state(db, session_id, 'name', {})
+    text = ' '.join(filter(None, [intro.text if intro else '', prompt('ask_name', locale)]))
+    return BotReply(text, cancel_chips(locale), links=intro.links if intro else None)
+
+
+def handle(db, session_id, message, locale=None):
+    """Processes a message for a session inside the flow, answering in
+    `locale` (default: the visitor's).
+
+    Returns the next BotReply, or None if the session has no flow running.
+    """
+    state = get_state(db, session_id)
+    if state is None:
+        return None
+    if CANCEL_RE.match(message):
+        clear_state(db, session_id)
+        return BotReply(prompt('cancelled', locale), [_('chat.chip_projects', locale), _('chat.chip_services', locale)])
+
+    step, data = state['step'], state['data']
+    if step == 'name':
+        if not is_valid_name(message):
+            return BotReply(prompt('invalid_name', locale), cancel_chips(locale))
+        data['name'] = message
+        save_state(db, session_id, 'email', data)
+        return BotReply(prompt('ask_email', locale, name=message), cancel_chips(locale))
+
+    if step == 'email':
+        if not is_valid_email(message):
+            return BotReply(prompt('invalid_email', locale), cancel_chips(locale))
+        data['email'] = message
+        save_state(db, session_id, 'message', data)
+        return BotReply(prompt('ask_message', locale), cancel_chips(locale))
+
+    # step == 'message'
+    if len(message) < MESSAGE_MIN_LENGTH:
+        return BotReply(prompt('invalid_message', locale), cancel_chips(locale))
+    data['message'] = message[:MESSAGE_MAX_LENGTH]
+    contact_id = insert_contact(db, data['name'], data['email'], data['message'], source='chat', chat_session_id=session_id)
+    notifications.notify_new_contact(db, contact_id, locale)
+    webhooks.notify_new_contact(db, contact_id)
+    clear_state(db, session_id)
+    return BotReply(
+        prompt('done', locale, **data),
+        cards=[{'title': prompt('card_title', locale), 'body': prompt('card_body', locale, **data)}],
+    )
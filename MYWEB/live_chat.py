@@ -0,0 +1,323 @@
+"""Live chat between visitors and the site owner over WebSockets.
+
+Visitors open /chat_live?session_id=... from the chat widget (chat.js); the
+owner's console in the admin dashboard opens /admin/live. The hub below keeps
+track of who is connected and relays frames between them:
+
+- the owner sees which visitors are chatting, every message of their sessions
+  and when they are typing;
+- visitors see whether the owner is online and when they are typing;
+- once the owner takes a session over, POST /api/v1/chats/messages stores
+  the visitor's messages without a bot reply, and the owner answers instead. The
+  bot takes back over when the owner hands the session back or disconnects.
+
+Visitor messages still go through the HTTP endpoints (rate limits, offline
+queue); only presence, typing and the owner's side travel over the sockets.
+Frames are JSON objects with a `type`. The hub lives in process memory, so
+the app must run as a single (threaded) process for everyone to meet; with
+more workers a warning is printed at startup and shown in the owner's console.
+"""
+from datetime import datetime
+from urllib.parse import urlsplit
+import json
+import os
+import shlex
+import sys
+import threading
+
+from flask import request
+from flask_sock import Sock
+
+import webhooks
+from database import store_chat_message
+from validators import validate_chat_message
+
+sock = Sock()
+
+MULTI_WORKER_WARNING = ('Live chat needs a single worker process, but the app runs with {workers}: '
+                        'visitors and the owner may land in different workers and miss each other. '
+                        'Start it with --workers 1 --threads 50.')
+
+
+def worker_count():
+    """Worker processes the app was started with, as far as the environment
+    tells: gunicorn's --workers/-w (on its command line or in
+    GUNICORN_CMD_ARGS), else WEB_CONCURRENCY. 1 when unknown.
+    """
+    args = shlex.split(os.environ.get('GUNICORN_CMD_ARGS', ''))
+    # Gunicorn's command line takes precedence over GUNICORN_CMD_ARGS
+    if os.path.basename(sys.argv[0]).startswith('gunicorn'):
+        args += sys.argv[1:]
+    count = os.environ.get('WEB_CONCURRENCY') or '1'
+    for i, arg in enumerate(args):
+        if arg in ('-w', '--workers') and i + 1 < len(args):
+            count = args[i + 1]
+        elif arg.startswith('--workers='):
+            count = arg.split('=', 1)[1]
+        elif arg.startswith('-w') and arg[2:].isdigit():
+            count = arg[2:]
+    try:
+        return max(int(count), 1)
+    except ValueError:
+        return 1
+
+
+def init_app(app):
+    """Registers the sockets and warns when the hub can't work (see above)."""
+    sock.init_app(app)
+    workers = worker_count()
+    if workers > 1:
+        print('Live chat warning:', MULTI_WORKER_WARNING.format(workers=workers))
+
+
+def send_frame(ws, frame):
+    """Sends one JSON frame; a socket that went away is dropped silently
+    (its handler cleans up when its receive loop ends).
+    """
+    try:
+        ws.send(json.dumps(frame))
+    except Exception:
+        pass
+
+
+def read_frame(ws):
+    """Waits for the next frame; malformed ones come back as {}."""
+    data = ws.receive()
+    try:
+        frame = json.loads(data)
+    except (TypeError, ValueError):
+        return {}
+    return frame if isinstance(frame, dict) else {}
+
+
+def same_origin():
+    """Browsers send cookies with cross-site WebSocket handshakes too, and
+    there is no CSRF header on them; only accept our own pages.
+    """
+    origin = request.headers.get('Origin')
+    return origin is None or urlsplit(origin).netloc == request.host
+
+
+class LiveChatHub:
+    """Connected visitors (by chat session) and owner consoles, and which
+    console has taken over which session. Safe to use from several threads.
+    """
+
+    def __init__(self):
+        self._lock = threading.Lock()
+        self._visitors = {}  # session_id -> set of sockets (one per open tab)
+        self._owners = set()
+        self._takeovers = {}  # session_id -> owner socket answering it
+
+    # ---- State ----
+
+    def is_live(self, session_id):
+        """True while an owner has taken the session over from the bot."""
+        with self._lock:
+            return session_id in self._takeovers
+
+    def holds(self, session_id, ws):
+        """True if this console is the one answering the session."""
+        with self._lock:
+            return self._takeovers.get(session_id) is ws
+
+    def sessions(self, owner=None):
+        """Online visitor sessions as the owner console lists them."""
+        with self._lock:
+            return [{'session_id': session_id, 'live': session_id in self._takeovers,
+                     'mine': owner is not None and self._takeovers.get(session_id) is owner}
+                    for session_id in self._visitors]
+
+    def _status(self, session_id):
+        return {'type': 'status', 'owner_online': bool(self._owners), 'live': session_id in self._takeovers}
+
+    # ---- Visitors ----
+
+    def add_visitor(self, session_id, ws):
+        with self._lock:
+            first = session_id not in self._visitors
+            self._visitors.setdefault(session_id, set()).add(ws)
+            status = self._status(session_id)
+            owners = list(self._owners)
+        send_frame(ws, status)
+        if first:
+            for owner in owners:
+                send_frame(owner, {'type': 'visitor', 'session_id': session_id, 'online': True})
+
+    def remove_visitor(self, session_id, ws):
+        with self._lock:
+            sockets = self._visitors.get(session_id, set())
+            sockets.discard(ws)
+            last = not sockets
+            if last:
+                self._visitors.pop(session_id, None)
+            owners = list(self._owners)
+        if last:
+            for owner in owners:
+                send_frame(owner, {'type': 'visitor', 'session_id': session_id, 'online': False})
+
+    def visitor_typing(self, session_id, typing):
+        for owner in self._owner_sockets():
+            send_frame(owner, {'type': 'typing', 'session_id': session_id, 'typing': typing})
+
+    def relay(self, session_id, sender, text):
+        """Shows a message stored by the HTTP endpoints ('user' or 'bot') to
+        the owner consoles.
+        """
+        frame = {'type': 'message', 'session_id': session_id, 'sender': sender, 'message': text,
+                 'created_at': datetime.utcnow().isoformat()}
+        for owner in self._owner_sockets():
+            send_frame(owner, frame)
+
+    # ---- Owners ----
+
+    def add_owner(self, ws):
+        with self._lock:
+            first = not self._owners
+            self._owners.add(ws)
+            visitors = self._all_visitor_sockets() if first else []
+        send_frame(ws, {'type': 'sessions', 'sessions': self.sessions(ws)})
+        for visitor in visitors:
+            send_frame(visitor, {'type': 'presence', 'owner_online': True})
+
+    def remove_owner(self, ws):
+        with self._lock:
+            self._owners.discard(ws)
+            held = [session_id for session_id, owner in self._takeovers.items() if owner is ws]
+            gone = not self._owners
+            visitors = self._all_visitor_sockets() if gone else []
+        # Whatever this console was answering goes back to the bot
+        for session_id in held:
+            self.release(session_id, ws)
+        for visitor in visitors:
+            send_frame(visitor, {'type': 'presence', 'owner_online': False})
+
+    def take_over(self, session_id, ws):
+        """Lets this console answer the session instead of the bot. Returns
+        False if the visitor is not connected.
+        """
+        with self._lock:
+            if session_id not in self._visitors:
+                return False
+            self._takeovers[session_id] = ws
+        self._handoff(session_id, True)
+        return True
+
+    def release(self, session_id, ws):
+        """Hands a session this console holds back to the bot."""
+        with self._lock:
+            if self._takeovers.get(session_id) is not ws:
+                return False
+            del self._takeovers[session_id]
+        self._handoff(session_id, False)
+        return True
+
+    def owner_typing(self, session_id, ws, typing):
+        with self._lock:
+            visitors = list(self._visitors.get(session_id, ())) if self._takeovers.get(session_id) is ws else []
+        for visitor in visitors:
+            send_frame(visitor, {'type': 'typing', 'typing': typing})
+
+    def owner_message(self, session_id, ws, text):
+        """Delivers a (stored) owner reply to the visitor and the other
+        consoles. Returns False unless this console holds the session.
+        """
+        created_at = datetime.utcnow().isoformat()
+        with self._lock:
+            if self._takeovers.get(session_id) is not ws:
+                return False
+            visitors = list(self._visitors.get(session_id, ()))
+            owners = list(self._owners)
+        for visitor in visitors:
+            send_frame(visitor, {'type': 'message', 'sender': 'owner', 'message': text, 'created_at': created_at})
+        for owner in owners:
+            send_frame(owner, {'type': 'message', 'session_id': session_id, 'sender': 'owner', 'message': text,
+                               'created_at': created_at})
+        return True
+
+    # ---- Helpers ----
+
+    def _owner_sockets(self):
+        with self._lock:
+            return list(self._owners)
+
+    def _all_visitor_sockets(self):
+        # Caller holds the lock
+        return [ws for sockets in self._visitors.values() for ws in sockets]
+
+    def _handoff(self, session_id, live):
+        with self._lock:
+            visitors = list(self._visitors.get(session_id, ()))
+            owner = self._takeovers.get(session_id)
+            owners = list(self._owners)
+        for visitor in visitors:
+            send_frame(visitor, {'type': 'handoff', 'live': live})
+        for console in owners:
+            send_frame(console, {'type': 'handoff', 'session_id': session_id, 'live': live, 'mine': console is owner})
+
+
+hub = LiveChatHub()
+
+
+def serve_visitor(ws, session_id):
+    """Runs a visitor's socket until it closes. Visitors only report typing;
+    their messages arrive through POST /api/v1/chats/messages.
+    """
+    hub.add_visitor(session_id, ws)
+    try:
+        while True:
+            frame = read_frame(ws)
+            if frame.get('type') == 'typing':
+                hub.visitor_typing(session_id, bool(frame.get('typing')))
+    finally:
+        hub.visitor_typing(session_id, False)
+        hub.remove_visitor(session_id, ws)
+
+
+def serve_owner(ws, db):
+    """Runs an owner console's socket until it closes.
+
+    Frames from the console: takeover / release / typing / message, each with
+    a session_id (message also carries `message`).
+    """
+    hub.add_owner(ws)
+    workers = worker_count()
+    if workers > 1:
+        send_frame(ws, {'type': 'error', 'error': MULTI_WORKER_WARNING.format(workers=workers)})
+    try:
+        while True:
+            frame = read_frame(ws)
+            kind = frame.get('type')
+            session_id = frame.get('session_id')
+            if not isinstance(session_id, str):
+                continue
+            if kind == 'takeover':
+                if not hub.take_over(session_id, ws):
+                    send_frame(ws, {'type': 'error', 'session_id': session_id, 'error': 'The visitor has left'})
+            elif kind == 'release':
+                hub.release(session_id, ws)
+            elif kind == 'typing':
+                hub.owner_typing(session_id, ws, bool(frame.get('typing')))
+            elif kind == 'message':
+                owner_reply(ws, db, session_id, frame.get('message'))
+    finally:
+        hub.remove_owner(ws)
+
+
+def owner_reply(ws, db, session_id, message):
+    message = (message if isinstance(message, str) else '').strip()
+    error = validate_chat_message(message)
+    if error is None and not hub.holds(session_id, ws):
+        error = 'Take over the conversation first'
+    if error:
+        send_frame(ws, {'type': 'error', 'session_id': session_id, 'error': error})
+        return
+    try:
+        store_chat_message(db, 'owner', message, session_id)
+    except Exception as e:
+        print('Live chat store error:', e)
+        send_frame(ws, {'type': 'error', 'session_id': session_id, 'error': 'Could not save the message'})
+        return
+    hub.owner_typing(session_id, ws, False)
+    hub.owner_message(session_id, ws, message)
+    webhooks.chat_message(db, session_id, 'owner', message)
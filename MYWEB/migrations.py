@@ -0,0 +1,404 @@
+"""Versioned schema migrations for the SQLite database.
+
+Each migration has a version number, a name and a list of operations: plain
+SQL statements or AddColumn. Applied versions are recorded in the
+schema_migrations table. On startup `migrate` applies pending migrations in
+order, each in its own transaction, after copying the database to a
+timestamped backup next to it in DataBase/ (set AUTO_MIGRATE=0 to skip
+this and migrate by hand). Append new migrations to the end of MIGRATIONS and
+never edit one that has already shipped.
+
+The script runs without importing the app, so reports reflect the database
+as it is:
+
+    python migrations.py status              # current version, pending migrations
+    python migrations.py upgrade --dry-run   # what would run, without touching anything
+    python migrations.py upgrade
+"""
+from collections import namedtuple
+from datetime import datetime
+import os
+import sqlite3
+
+import click
+
+Migration = namedtuple('Migration', 'version name operations')
+
+
+class AddColumn:
+    """ALTER TABLE ... ADD COLUMN that is skipped when the column exists.
+
+    Databases created before migrations existed may already have some of the
+    later columns, so column additions have to be idempotent.
+    """
+
+    def __init__(self, table, column, definition):
+        self.table = table
+        self.column = column
+        self.definition = definition
+
+    def sql(self):
+        return f'ALTER TABLE {self.table} ADD COLUMN {self.column} {self.definition}'
+
+    def needed(self, db):
+        columns = [row[1] for row in db.execute(f'PRAGMA table_info({self.table})')]
+        return self.column not in columns
+
+
+MIGRATIONS = [
+    Migration(1, 'create contacts and chats tables', [
+        """
+        CREATE TABLE IF NOT EXISTS contacts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            email TEXT NOT NULL,
+            message TEXT,
+            created_at TEXT NOT NULL
+        )
+        """,
+        # Chat messages table: stores both user and bot messages
+        """
+        CREATE TABLE IF NOT EXISTS chats (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sender TEXT NOT NULL, -- 'user' or 'bot'
+            message TEXT NOT NULL,
+            created_at TEXT NOT NULL
+        )
+        """,
+    ]),
+    Migration(2, 'chat session ids', [
+        AddColumn('chats', 'session_id', 'TEXT'),  # chat session the message belongs to
+        'CREATE INDEX IF NOT EXISTS idx_chats_session ON chats (session_id)',
+    ]),
+    Migration(3, 'structured bot reply extras', [
+        AddColumn('chats', 'extras', 'TEXT'),  # JSON quick replies/links/cards
+    ]),
+    Migration(4, 'chat lead capture', [
+        AddColumn('contacts', 'source', "TEXT NOT NULL DEFAULT 'form'"),  # 'form', 'chat' or 'import'
+        AddColumn('contacts', 'chat_session_id', 'TEXT'),  # chat transcript the lead came from
+        # Multi-turn chat flows in progress (one per session), e.g. lead capture
+        """
+        CREATE TABLE IF NOT EXISTS chat_flows (
+            session_id TEXT PRIMARY KEY,
+            flow TEXT NOT NULL,
+            step TEXT NOT NULL,
+            data TEXT NOT NULL, -- JSON answers collected so far
+            updated_at TEXT NOT NULL
+        )
+        """,
+    ]),
+    Migration(5, 'admin workflow status', [
+        AddColumn('contacts', 'status', "TEXT NOT NULL DEFAULT 'new'"),
+        # Admin workflow status per chat transcript; sessions without a row are 'new'
+        """
+        CREATE TABLE IF NOT EXISTS chat_sessions (
+            session_id TEXT PRIMARY KEY,
+            status TEXT NOT NULL DEFAULT 'new',
+            updated_at TEXT NOT NULL
+        )
+        """,
+    ]),
+    Migration(6, 'email queue', [
+        # Outgoing mail (see notifications); rows stay after sending as a log
+        """
+        CREATE TABLE IF NOT EXISTS email_queue (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            kind TEXT NOT NULL, -- 'contact_notice', 'autoreply' or 'chat_digest'
+            ref TEXT, -- what it is about: a contact id or the digest's day
+            recipient TEXT NOT NULL,
+            reply_to TEXT,
+            subject TEXT NOT NULL,
+            body_text TEXT NOT NULL,
+            body_html TEXT,
+            status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'sent' or 'failed'
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            next_attempt_at TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            sent_at TEXT
+        )
+        """,
+        'CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue (status, next_attempt_at)',
+    ]),
+    Migration(7, 'webhooks', [
+        # Endpoints that want events POSTed to them (see webhooks)
+        """
+        CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            url TEXT NOT NULL,
+            events TEXT NOT NULL, -- comma-separated event names, or '*'
+            secret TEXT NOT NULL, -- HMAC key for the signature header
+            description TEXT,
+            active INTEGER NOT NULL DEFAULT 1,
+            created_at TEXT NOT NULL
+        )
+        """,
+        # One row per event and subscription: the retry queue and the delivery log
+        """
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            subscription_id INTEGER NOT NULL,
+            event TEXT NOT NULL,
+            payload TEXT NOT NULL, -- the JSON body, sent as is on every attempt
+            status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'delivered' or 'failed'
+            attempts INTEGER NOT NULL DEFAULT 0,
+            response_status INTEGER,
+            last_error TEXT,
+            next_attempt_at TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            delivered_at TEXT
+        )
+        """,
+        'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)',
+    ]),
+    Migration(8, 'analytics', [
+        # Daily usage counts from the site's beacon (see analytics). Only
+        # aggregates are kept: nothing identifies a visitor or links events.
+        """
+        CREATE TABLE IF NOT EXISTS analytics_daily (
+            day TEXT NOT NULL, -- YYYY-MM-DD (UTC)
+            event TEXT NOT NULL,
+            target TEXT NOT NULL DEFAULT '', -- section id, theme, carousel control...
+            path TEXT NOT NULL DEFAULT '',
+            count INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (day, event, target, path)
+        )
+        """,
+    ]),
+    Migration(9, 'full-text search', [
+        # FTS5 indexes over the chat and contact text (see search). They are
+        # external-content tables: the text stays in chats/contacts and the
+        # triggers below keep the indexes in step. The trigram tokenizer
+        # matches any 3+ character substring, in any script (Hindi included).
+        "CREATE VIRTUAL TABLE IF NOT EXISTS chats_fts USING fts5(message, content='chats', content_rowid='id', tokenize='trigram')",
+        """
+        CREATE TRIGGER IF NOT EXISTS chats_fts_insert AFTER INSERT ON chats BEGIN
+            INSERT INTO chats_fts (rowid, message) VALUES (new.id, new.message);
+        END
+        """,
+        """
+        CREATE TRIGGER IF NOT EXISTS chats_fts_delete AFTER DELETE ON chats BEGIN
+            INSERT INTO chats_fts (chats_fts, rowid, message) VALUES ('delete', old.id, old.message);
+        END
+        """,
+        """
+        CREATE TRIGGER IF NOT EXISTS chats_fts_update AFTER UPDATE OF message ON chats BEGIN
+            INSERT INTO chats_fts (chats_fts, rowid, message) VALUES ('delete', old.id, old.message);
+            INSERT INTO chats_fts (rowid, message) VALUES (new.id, new.message);
+        END
+        """,
+        "CREATE VIRTUAL TABLE IF NOT EXISTS contacts_fts USING fts5(name, email, message, content='contacts', content_rowid='id', tokenize='trigram')",
+        """
+        CREATE TRIGGER IF NOT EXISTS contacts_fts_insert AFTER INSERT ON contacts BEGIN
+            INSERT INTO contacts_fts (rowid, name, email, message) VALUES (new.id, new.name, new.email, new.message);
+        END
+        """,
+        """
+        CREATE TRIGGER IF NOT EXISTS contacts_fts_delete AFTER DELETE ON contacts BEGIN
+            INSERT INTO contacts_fts (contacts_fts, rowid, name, email, message)
+            VALUES ('delete', old.id, old.name, old.email, old.message);
+        END
+        """,
+        """
+        CREATE TRIGGER IF NOT EXISTS contacts_fts_update AFTER UPDATE OF name, email, message ON contacts BEGIN
+            INSERT INTO contacts_fts (contacts_fts, rowid, name, email, message)
+            VALUES ('delete', old.id, old.name, old.email, old.message);
+            INSERT INTO contacts_fts (rowid, name, email, message) VALUES (new.id, new.name, new.email, new.message);
+        END
+        """,
+        # Index what is already there
+        "INSERT INTO chats_fts (chats_fts) VALUES ('rebuild')",
+        "INSERT INTO contacts_fts (contacts_fts) VALUES ('rebuild')",
+    ]),
+    Migration(10, 'api tokens', [
+        # Bearer tokens for the private /api/v1 routes (see api_v1); only a
+        # SHA-256 hash of each token is kept
+        """
+        CREATE TABLE IF NOT EXISTS api_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            created_at TEXT NOT NULL,
+            last_used_at TEXT
+        )
+        """,
+    ]),
+    Migration(11, 'session ids for legacy chats', [
+        # Chats stored before session ids existed have none, so the admin
+        # dashboard could not list or open them. Each day's messages become
+        # one session, e.g. legacy-2025-11-02.
+        "UPDATE chats SET session_id = 'legacy-' || substr(created_at, 1, 10) WHERE session_id IS NULL",
+    ]),
+]
+
+LATEST_VERSION = MIGRATIONS[-1].version
+
+
+def ensure_version_table(db):
+    db.execute(
+        """
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+        """
+    )
+
+
+def current_version(db):
+    """Highest applied migration version (0 for a database without any)."""
+    exists = db.execute("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").fetchone()
+    if not exists:
+        return 0
+    return db.execute('SELECT COALESCE(MAX(version), 0) FROM schema_migrations').fetchone()[0]
+
+
+def pending_migrations(db):
+    version = current_version(db)
+    return [m for m in MIGRATIONS if m.version > version]
+
+
+def one_line(sql):
+    """Collapses a multi-line statement (minus -- comments) for reports."""
+    parts = [line.split('--')[0].strip() for line in sql.strip().splitlines()]
+    return ' '.join(p for p in parts if p).replace('( ', '(').replace(' )', ')')
+
+
+def plan(db, migration):
+    """Lists the SQL a migration would run against this database right now."""
+    steps = []
+    for op in migration.operations:
+        if isinstance(op, AddColumn):
+            steps.append(op.sql() if op.needed(db) else f'-- skip, {op.table}.{op.column} exists')
+        else:
+            steps.append(one_line(op))
+    return steps
+
+
+def has_user_tables(db):
+    return db.execute("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").fetchone() is not None
+
+
+def backup_database(path):
+    """Copies the database to <name>-backup-<UTC timestamp>.db in its folder."""
+    stem = os.path.splitext(os.path.basename(path))[0]
+    target = os.path.join(os.path.dirname(path), f'{stem}-backup-{datetime.utcnow():%Y%m%d%H%M%S}.db')
+    src = sqlite3.connect(path)
+    dst = sqlite3.connect(target)
+    try:
+        # The backup API gives a consistent copy even if another connection is writing
+        src.backup(dst)
+    finally:
+        dst.close()
+        src.close()
+    return target
+
+
+def migrate(path, dry_run=False, backup=True):
+    """Brings the database at `path` up to LATEST_VERSION.
+
+    Returns (pending, backup_path): the migrations that were (or, with
+    dry_run, would be) applied and where the pre-migration copy was written.
+    A brand-new, empty database is not backed up.
+    """
+    db = sqlite3.connect(path, isolation_level=None)
+    try:
+        pending = pending_migrations(db)
+        if dry_run or not pending:
+            return pending, None
+
+        backup_path = backup_database(path) if backup and has_user_tables(db) else None
+        for migration in pending:
+            # IMMEDIATE takes the write lock up front, so parallel workers
+            # starting together apply each migration only once
+            db.execute('BEGIN IMMEDIATE')
+            try:
+                ensure_version_table(db)
+                if current_version(db) >= migration.version:
+                    db.execute('ROLLBACK')
+                    continue
+                for op in migration.operations:
+                    if isinstance(op, AddColumn):
+                        if op.needed(db):
+                            db.execute(op.sql())
+                    else:
+                        db.execute(op)
+                db.execute('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                           (migration.version, migration.name, datetime.utcnow().isoformat()))
+                db.execute('COMMIT')
+            except Exception:
+                db.execute('ROLLBACK')
+                raise
+            print(f'Applied migration {migration.version}: {migration.name}')
+        return pending, backup_path
+    finally:
+        db.close()
+
+
+def report(path):
+    """Human-readable dry-run report of the migrations pending for `path`.
+
+    The file is opened read-only; a missing one is reported as a new, empty
+    database without being created.
+    """
+    exists = os.path.exists(path)
+    db = sqlite3.connect(f'file:{path}?mode=ro', uri=True) if exists else sqlite3.connect(':memory:')
+    try:
+        pending = pending_migrations(db)
+        lines = [f'Database: {path}' + ('' if exists else ' (does not exist yet)'),
+                 f'Current version: {current_version(db)} (latest: {LATEST_VERSION})']
+        if not pending:
+            lines.append('Schema is up to date.')
+        else:
+            lines.append('Pending migrations:')
+            for migration in pending:
+                lines.append(f'  {migration.version}  {migration.name}')
+                lines += [f'       {step}' for step in plan(db, migration)]
+        return '\n'.join(lines)
+    finally:
+        db.close()
+
+
+# ---- CLI ----
+
+def default_database():
+    # Imported lazily: database imports this module
+    from database import DATABASE
+    return DATABASE
+
+
+@click.group()
+@click.option('--database', 'path', type=click.Path(dir_okay=False), default=default_database,
+              help='SQLite file to migrate (default: DataBase/appdata.db).')
+@click.pass_context
+def cli(ctx, path):
+    """Database schema migrations."""
+    ctx.obj = path
+
+
+@cli.command('status')
+@click.pass_obj
+def status_command(path):
+    """Show the schema version and pending migrations."""
+    click.echo(report(path))
+
+
+@cli.command('upgrade')
+@click.option('--dry-run', is_flag=True, help='Only report what would change.')
+@click.option('--no-backup', is_flag=True, help='Skip the copy made before migrating.')
+@click.pass_obj
+def upgrade_command(path, dry_run, no_backup):
+    """Apply pending migrations."""
+    if dry_run:
+        click.echo(report(path))
+        click.echo('Dry run: nothing was changed.')
+        return
+    pending, backup_path = migrate(path, backup=not no_backup)
+    if backup_path:
+        click.echo(f'Backup written to {backup_path}')
+    click.echo(f'Applied {len(pending)} migration(s).' if pending else 'Schema is up to date.')
+
+
+if __name__ == '__main__':
+    cli()
@@ -0,0 +1,316 @@
+"""Email notifications: a summary of each new contact for the site owner, an
+optional autoreply to visitors who use the contact form and a daily digest
+of chat activity.
+
+Messages are rendered from templates/email/ and queued in the email_queue
+table, then delivered through the configured transport:
+
+- SMTP when SMTP_HOST is set (SMTP_PORT, SMTP_USERNAME, SMTP_PASSWORD and
+  SMTP_SECURITY = starttls, ssl or none);
+- otherwise .eml files in MAIL_OUTBOX_DIR (default DataBase/mail_outbox), so
+  nothing leaves the machine during development.
+
+Owner mail goes to OWNER_EMAIL (nothing is sent to the owner without it),
+AUTOREPLY=1 turns on the visitor autoreply, MAIL_FROM sets the sender and
+SITE_URL the links in the messages (set it in production). A failed send
+stays queued and is retried with a growing delay; after MAX_ATTEMPTS it is
+marked 'failed'.
+New contacts are delivered straight away in the background; cron runs the
+rest:
+
+    flask --app app mail deliver   # every few minutes: retries
+    flask --app app mail digest    # daily: yesterday's chats (UTC)
+
+To watch the mail locally, run an SMTP stand-in such as
+`python -m aiosmtpd -n -l localhost:1025` and start the app with
+SMTP_HOST=localhost SMTP_PORT=1025 SMTP_SECURITY=none.
+"""
+from datetime import datetime, timedelta
+from email.message import EmailMessage
+from email.utils import formatdate, make_msgid
+import os
+import smtplib
+import ssl
+import uuid
+
+import click
+from flask import current_app
+from flask.cli import with_appcontext
+from jinja2 import TemplateNotFound
+
+from database import DB_DIR, get_db, now_iso
+from i18n import get_locale
+from retry_queue import BackgroundSender, RetryQueue
+
+MAX_ATTEMPTS = 6
+RETRY_BASE_SECONDS = 60  # waits of 1, 2, 4, 8 and 16 minutes between attempts
+CLAIM_SECONDS = 10 * 60  # a message being sent is left alone this long
+AUTOREPLY_INTERVAL = 24 * 60 * 60  # at most one autoreply per address in this time
+SMTP_TIMEOUT = 15
+DEFAULT_OUTBOX_DIR = os.path.join(DB_DIR, 'mail_outbox')
+DEFAULT_SENDER = 'Alamweb.in <noreply@alamweb.in>'
+DEFAULT_SITE_URL = 'http://localhost:5000'  # development; set SITE_URL in production
+
+queue = RetryQueue('email_queue', 'sent', 'sent_at', MAX_ATTEMPTS, RETRY_BASE_SECONDS, CLAIM_SECONDS)
+
+
+def owner_email():
+    return os.environ.get('OWNER_EMAIL', '').strip()
+
+
+def autoreply_enabled():
+    return os.environ.get('AUTOREPLY', '').lower() in ('1', 'true', 'yes', 'on')
+
+
+def site_url():
+    """Base URL for links in emails: SITE_URL, else the app's SERVER_NAME.
+    Never the request's Host header, which the visitor controls.
+    """
+    url = os.environ.get('SITE_URL')
+    if not url and current_app.config.get('SERVER_NAME'):
+        url = f"{current_app.config['PREFERRED_URL_SCHEME']}://{current_app.config['SERVER_NAME']}"
+    return (url or DEFAULT_SITE_URL).rstrip('/')
+
+
+# ---- Transports ----
+
+class SmtpTransport:
+    def __init__(self, host, port, username=None, password=None, security='starttls'):
+        self.host = host
+        self.port = port
+        self.username = username
+        self.password = password
+        self.security = security
+
+    def send(self, message):
+        smtp_class = smtplib.SMTP_SSL if self.security == 'ssl' else smtplib.SMTP
+        with smtp_class(self.host, self.port, timeout=SMTP_TIMEOUT) as smtp:
+            if self.security == 'starttls':
+                smtp.starttls(context=ssl.create_default_context())
+            if self.username:
+                smtp.login(self.username, self.password or '')
+            smtp.send_message(message)
+
+
+class FileTransport:
+    """Writes each message to an .eml file (a local outbox)."""
+
+    def __init__(self, directory):
+        self.directory = directory
+
+    def send(self, message):
+        os.makedirs(self.directory, exist_ok=True)
+        name = f'{datetime.utcnow():%Y%m%d-%H%M%S}-{uuid.uuid4().hex[:8]}.eml'
+        with open(os.path.join(self.directory, name), 'wb') as fh:
+            fh.write(message.as_bytes())
+
+
+def get_transport():
+    """SMTP when SMTP_HOST is configured, else the file outbox."""
+    host = os.environ.get('SMTP_HOST')
+    if not host:
+        return FileTransport(os.environ.get('MAIL_OUTBOX_DIR') or DEFAULT_OUTBOX_DIR)
+    security = os.environ.get('SMTP_SECURITY', 'starttls').lower()
+    port = int(os.environ.get('SMTP_PORT') or {'ssl': 465, 'none': 25}.get(security, 587))
+    return SmtpTransport(host, port, os.environ.get('SMTP_USERNAME'), os.environ.get('SMTP_PASSWORD'), security)
+
+
+# ---- Queue ----
+
+def enqueue(db, kind, recipient, subject, text, html=None, reply_to=None, ref=None):
+    """Queues a message for delivery and returns its id."""
+    cursor = db.execute(
+        'INSERT INTO email_queue (kind, ref, recipient, reply_to, subject, body_text, body_html,'
+        ' next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        (kind, ref, recipient, reply_to, subject, text, html, now_iso(), now_iso())
+    )
+    db.commit()
+    return cursor.lastrowid
+
+
+def build_message(row):
+    message = EmailMessage()
+    message['Subject'] = row['subject']
+    message['From'] = os.environ.get('MAIL_FROM') or DEFAULT_SENDER
+    message['To'] = row['recipient']
+    if row['reply_to']:
+        message['Reply-To'] = row['reply_to']
+    message['Date'] = formatdate(usegmt=True)
+    message['Message-ID'] = make_msgid()
+    message.set_content(row['body_text'])
+    if row['body_html']:
+        message.add_alternative(row['body_html'], subtype='html')
+    return message
+
+
+def deliver_due(db, transport=None, limit=50):
+    """Sends the queued messages that are due. Returns (sent, failed)."""
+    transport = transport or get_transport()
+    rows = db.execute(
+        "SELECT * FROM email_queue WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT ?",
+        (now_iso(), limit)
+    ).fetchall()
+    sent = failed = 0
+    for row in rows:
+        if not queue.claim(db, row['id']):
+            continue
+        attempts = row['attempts'] + 1
+        try:
+            transport.send(build_message(row))
+        except Exception as e:
+            print('Mail send error:', e)
+            queue.failed(db, row['id'], attempts, str(e))
+            failed += 1
+        else:
+            queue.done(db, row['id'], attempts)
+            sent += 1
+    return sent, failed
+
+
+background = BackgroundSender(deliver_due, 'Mail delivery')
+
+
+def deliver_in_background():
+    """Sends what is due without making the request wait for the mail server."""
+    background.wake()
+
+
+# ---- Messages ----
+
+def render_email(name, locale=None, **context):
+    """Renders templates/email/<name>.txt and, when it exists, <name>.html,
+    preferring <name>.<locale>.* variants. The text template sets `subject`.
+    Returns (subject, text, html).
+    """
+    env = current_app.jinja_env
+    names = [f'email/{name}.{locale}', f'email/{name}'] if locale else [f'email/{name}']
+    context = dict(context, site_url=site_url())
+    module = env.select_template([n + '.txt' for n in names]).make_module(context)
+    # Headers are a single line, whatever the template or the visitor's input did
+    subject = ' '.join(str(getattr(module, 'subject', '')).split())
+    try:
+        html = env.select_template([n + '.html' for n in names]).render(context)
+    except TemplateNotFound:
+        html = None
+    return subject, str(module).strip() + '\n', html
+
+
+def autoreply_sent_recently(db, email):
+    row = db.execute(
+        "SELECT 1 FROM email_queue WHERE kind = 'autoreply' AND recipient = ? COLLATE NOCASE AND created_at >= ?",
+        (email, now_iso(-AUTOREPLY_INTERVAL))
+    ).fetchone()
+    return row is not None
+
+
+def notify_new_contact(db, contact_id, locale=None, autoreply=False):
+    """Queues the owner's summary of a new contact, then sends it.
+
+    With AUTOREPLY on, `autoreply` also queues a thank-you to the visitor (in
+    their language). Only pass it for submissions that got past the rate
+    limit and the spam checks: the address is whatever the visitor typed, so
+    the text is fixed and each address gets at most one per
+    AUTOREPLY_INTERVAL. Mail problems are logged, never raised: the contact
+    is already stored.
+    """
+    try:
+        contact = db.execute('SELECT * FROM contacts WHERE id = ?', (contact_id,)).fetchone()
+        queued = False
+        if owner_email():
+            subject, text, html = render_email('contact_notice', contact=contact,
+                                               admin_url=site_url() + '/admin/')
+            enqueue(db, 'contact_notice', owner_email(), subject, text, html,
+                    reply_to=contact['email'], ref=str(contact_id))
+            queued = True
+        if autoreply and autoreply_enabled() and not autoreply_sent_recently(db, contact['email']):
+            subject, text, html = render_email('autoreply', locale or get_locale())
+            enqueue(db, 'autoreply', contact['email'], subject, text, html,
+                    reply_to=owner_email() or None, ref=str(contact_id))
+            queued = True
+        if queued:
+            deliver_in_background()
+    except Exception as e:
+        print('Mail queue error:', e)
+
+
+def chat_digest(db, day):
+    """Chat activity of one UTC day (YYYY-MM-DD): totals and one line per session."""
+    start = day + 'T00:00:00'
+    end = (datetime.strptime(day, '%Y-%m-%d') + timedelta(days=1)).strftime('%Y-%m-%dT00:00:00')
+    sessions = db.execute(
+        """
+        SELECT session_id,
+               MIN(created_at) AS started_at,
+               COUNT(*) AS message_count,
+               SUM(sender = 'owner') AS owner_count,
+               (SELECT message FROM chats f WHERE f.session_id = c.session_id AND f.sender = 'user'
+                  AND f.created_at >= ? AND f.created_at < ? ORDER BY f.id LIMIT 1) AS preview,
+               (SELECT COUNT(*) FROM contacts l WHERE l.chat_session_id = c.session_id
+                  AND l.created_at >= ? AND l.created_at < ?) AS lead_count
+        FROM chats c
+        WHERE session_id IS NOT NULL AND created_at >= ? AND created_at < ?
+        GROUP BY session_id
+        ORDER BY MIN(id)
+        """,
+        (start, end) * 3
+    ).fetchall()
+    totals = {
+        'sessions': len(sessions),
+        'messages': sum(s['message_count'] for s in sessions),
+        'leads': sum(s['lead_count'] for s in sessions),
+        'live': sum(1 for s in sessions if s['owner_count']),
+    }
+    return totals, sessions
+
+
+def queue_chat_digest(db, day):
+    """Queues the digest for `day` unless it was queued before, there is no
+    OWNER_EMAIL or nobody chatted. Returns the queue id or None.
+    """
+    if not owner_email():
+        return None
+    if db.execute("SELECT 1 FROM email_queue WHERE kind = 'chat_digest' AND ref = ?", (day,)).fetchone():
+        return None
+    totals, sessions = chat_digest(db, day)
+    if not sessions:
+        return None
+    subject, text, html = render_email('chat_digest', day=day, totals=totals, sessions=sessions,
+                                       admin_url=site_url() + '/admin/')
+    return enqueue(db, 'chat_digest', owner_email(), subject, text, html, ref=day)
+
+
+# ---- CLI ----
+
+@click.group('mail')
+def mail_command():
+    """Email notifications: queue delivery and the chat digest."""
+
+
+@mail_command.command('deliver')
+@click.option('--retry-failed', is_flag=True, help='Give messages that ran out of attempts another round.')
+@with_appcontext
+def deliver_command(retry_failed):
+    """Send queued messages that are due."""
+    db = get_db()
+    if retry_failed:
+        queue.retry_failed(db)
+    sent, failed = deliver_due(db, limit=1000)
+    click.echo(f'Sent {sent}, failed {failed}; {queue.waiting(db)} message(s) waiting.')
+
+
+@mail_command.command('digest')
+@click.option('--day', help='Day to summarise (YYYY-MM-DD, UTC). Default: yesterday.')
+@with_appcontext
+def digest_command(day):
+    """Email the owner a digest of a day's chats."""
+    day = day or (datetime.utcnow() - timedelta(days=1)).strftime('%Y-%m-%d')
+    try:
+        datetime.strptime(day, '%Y-%m-%d')
+    except ValueError:
+        raise click.UsageError('--day must look like YYYY-MM-DD')
+    db = get_db()
+    if queue_chat_digest(db, day) is None:
+        click.echo(f'No digest for {day} (no OWNER_EMAIL, no chats, or already sent).')
+        return
+    sent, failed = deliver_due(db)
+    click.echo(f'Digest for {day} queued; sent {sent}, failed {failed}.')
@@ -0,0 +1,74 @@
+"""Per-client request rate limiting.
+
+A sliding-window counter kept in process memory: with several workers each
+one enforces the limit on its own, which is enough to slow down floods and
+scripted posting without an external store.
+"""
+from collections import defaultdict, deque
+from functools import wraps
+import math
+import threading
+import time
+
+from flask import request, jsonify
+
+from i18n import gettext as _
+
+
+class RateLimiter:
+    """Allows `limit` hits per key within any `window` seconds."""
+
+    def __init__(self, limit, window):
+        self.limit = limit
+        self.window = window
+        self._hits = defaultdict(deque)
+        self._lock = threading.Lock()
+
+    def hit(self, key, now=None):
+        """Records a hit; returns None if allowed, else seconds until the next
+        hit would be allowed.
+        """
+        now = time.monotonic() if now is None else now
+        with self._lock:
+            hits = self._hits[key]
+            while hits and hits[0] <= now - self.window:
+                hits.popleft()
+            if len(hits) >= self.limit:
+                return max(math.ceil(hits[0] + self.window - now), 1)
+            hits.append(now)
+            if len(self._hits) > 10000:
+                self._prune(now)
+            return None
+
+    def _prune(self, now):
+        # Drop idle clients so the table cannot grow without bound
+        for key in [k for k, hits in self._hits.items() if not hits or hits[-1] <= now - self.window]:
+            del self._hits[key]
+
+
+def client_ip():
+    return request.remote_addr or 'unknown'
+
+
+def rate_limit(limiter):
+    """Route decorator answering 429 with a Retry-After header once the
+    client's IP exceeds the limiter's budget. Routes decorated with the same
+    limiter share one budget.
+    """
+    def decorator(view):
+        @wraps(view)
+        def wrapped(*args, **kwargs):
+            retry_after = limiter.hit(client_ip())
+            if retry_after is not None:
+                response = jsonify({
+                    'ok': False,
+                    'error': _('error.rate_limited', seconds=retry_after),
+                    'code': 'rate_limited',
+                    'retry_after': retry_after,
+                })
+                response.status_code = 429
+                response.headers['Retry-After'] = str(retry_after)
+                return response
+            return view(*args, **kwargs)
+        return wrapped
+    return decorator
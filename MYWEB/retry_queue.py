@@ -0,0 +1,102 @@
+"""Outgoing work kept in a table and sent with retries: the email queue (see
+notifications) and webhook deliveries (see webhooks).
+
+Such a table has `status` ('pending' until sent, then the queue's
+`done_status` or 'failed'), `attempts`, `last_error` and `next_attempt_at`.
+A sender claims each due row before working on it, so runs that overlap
+(the background thread and cron) never send the same row twice. Failures
+are retried with a doubling delay until `max_attempts`.
+"""
+import threading
+
+from database import connect_db, now_iso
+
+
+class RetryQueue:
+    def __init__(self, table, done_status, done_at, max_attempts, retry_base_seconds, claim_seconds):
+        self.table = table
+        self.done_status = done_status
+        self.done_at = done_at
+        self.max_attempts = max_attempts
+        self.retry_base_seconds = retry_base_seconds
+        self.claim_seconds = claim_seconds
+
+    def claim(self, db, row_id):
+        """Pushes a due row's next attempt out so a concurrent run skips it
+        while this one sends. If the process dies mid-send, it is retried later.
+        """
+        cursor = db.execute(
+            f"UPDATE {self.table} SET next_attempt_at = ? WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?",
+            (now_iso(self.claim_seconds), row_id, now_iso())
+        )
+        db.commit()
+        return cursor.rowcount == 1
+
+    def failed(self, db, row_id, attempts, error, **columns):
+        """Records a failed attempt: retried later, or 'failed' once out of attempts."""
+        self.update(db, row_id, dict(
+            columns,
+            status='failed' if attempts >= self.max_attempts else 'pending',
+            attempts=attempts,
+            last_error=error[:500],
+            next_attempt_at=now_iso(self.retry_base_seconds * 2 ** (attempts - 1)),
+        ))
+
+    def done(self, db, row_id, attempts, **columns):
+        self.update(db, row_id, dict(columns, status=self.done_status, attempts=attempts, last_error=None,
+                                     **{self.done_at: now_iso()}))
+
+    def update(self, db, row_id, columns):
+        # Column names come from this module and its callers, never from input
+        assignments = ', '.join(f'{name} = ?' for name in columns)
+        db.execute(f'UPDATE {self.table} SET {assignments} WHERE id = ?', list(columns.values()) + [row_id])
+        db.commit()
+
+    def retry_failed(self, db):
+        """Gives rows that ran out of attempts another round."""
+        db.execute(f"UPDATE {self.table} SET status = 'pending', attempts = 0, next_attempt_at = ?"
+                   " WHERE status = 'failed'", (now_iso(),))
+        db.commit()
+
+    def waiting(self, db):
+        return db.execute(f"SELECT COUNT(*) FROM {self.table} WHERE status = 'pending'").fetchone()[0]
+
+
+class BackgroundSender:
+    """Runs deliver_due(db) on one long-lived thread with its own connection,
+    so the request that queued the work doesn't wait for the receivers.
+
+    `wake` only signals the thread (starting it on first use), so a burst of
+    events such as a busy chat costs one pass, not a thread per event. A wake
+    during a pass is remembered and triggers another pass. `label` prefixes
+    logged errors.
+    """
+
+    def __init__(self, deliver_due, label):
+        self.deliver_due = deliver_due
+        self.label = label
+        self._wake = threading.Event()
+        self._lock = threading.Lock()
+        self._thread = None
+
+    def wake(self):
+        self._wake.set()
+        with self._lock:
+            if self._thread is None or not self._thread.is_alive():
+                self._thread = threading.Thread(target=self._run, name=self.label, daemon=True)
+                self._thread.start()
+
+    def _run(self):
+        while True:
+            self._wake.wait()
+            self._wake.clear()
+            self.run_once()
+
+    def run_once(self):
+        db = connect_db()
+        try:
+            self.deliver_due(db)
+        except Exception as e:
+            print(f'{self.label} error:', e)
+        finally:
+            db.close()
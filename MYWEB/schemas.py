@@ -0,0 +1,285 @@
+"""JSON schemas of the /api/v1 request and response bodies (see api_v1).
+
+They are written in the JSON Schema dialect of OpenAPI 3.0, so the same
+dicts validate incoming bodies and describe the API in the OpenAPI document.
+`validate` understands the keywords used here (type, nullable, properties,
+required, additionalProperties, items, minLength, maxLength, pattern, enum);
+others, like format, are documentation only.
+"""
+import re
+
+from database import STATUSES
+from i18n import gettext as _
+from validators import NAME_MAX_LENGTH, EMAIL_MAX_LENGTH, CONTACT_MESSAGE_MAX_LENGTH, CHAT_MESSAGE_MAX_LENGTH
+
+TYPES = {
+    'object': dict,
+    'array': list,
+    'string': str,
+    'integer': int,
+    'number': (int, float),
+    'boolean': bool,
+}
+
+
+def check(schema, value, path=''):
+    """Yields (path, message) for each way `value` breaks `schema`."""
+    expected = schema.get('type')
+    if value is None:
+        if not schema.get('nullable'):
+            yield path, _('validation.wrong_type', type=expected)
+        return
+    # bool is a subclass of int in Python, but not a number in JSON
+    if expected and (not isinstance(value, TYPES[expected])
+                     or (isinstance(value, bool) and expected in ('integer', 'number'))):
+        yield path, _('validation.wrong_type', type=expected)
+        return
+
+    if expected == 'object':
+        properties = schema.get('properties', {})
+        for name in schema.get('required', []):
+            if name not in value:
+                yield join(path, name), _('validation.required')
+        for name, item in value.items():
+            if name in properties:
+                yield from check(properties[name], item, join(path, name))
+            elif schema.get('additionalProperties') is False:
+                yield join(path, name), _('validation.unknown_field')
+    elif expected == 'array' and 'items' in schema:
+        for index, item in enumerate(value):
+            yield from check(schema['items'], item, f'{path}[{index}]')
+    elif expected == 'string':
+        if 'minLength' in schema and len(value) < schema['minLength']:
+            yield path, _('validation.too_short', min=schema['minLength'])
+        elif 'maxLength' in schema and len(value) > schema['maxLength']:
+            yield path, _('validation.too_long', max=schema['maxLength'])
+        elif 'pattern' in schema and not re.search(schema['pattern'], value):
+            yield path, _('validation.bad_format')
+
+    if 'enum' in schema and value not in schema['enum']:
+        yield path, _('validation.not_allowed', values=', '.join(map(str, schema['enum'])))
+
+
+def join(path, name):
+    return f'{path}.{name}' if path else name
+
+
+def validate(schema, data):
+    """Returns { field: message } with the first problem of each field that
+    breaks `schema`; empty when `data` is valid.
+    """
+    errors = {}
+    for path, message in check(schema, data):
+        errors.setdefault(path or 'body', message)
+    return errors
+
+
+def string_list(description=''):
+    schema = {'type': 'array', 'items': {'type': 'string'}}
+    if description:
+        schema['description'] = description
+    return schema
+
+
+# ---- Request bodies ----
+
+# Content rules (name at least 2 characters, a plausible email...) are checked
+# by validators.validate_contact afterwards, with friendlier messages
+CONTACT_INPUT = {
+    'type': 'object',
+    'properties': {
+        'name': {'type': 'string', 'maxLength': NAME_MAX_LENGTH},
+        'email': {'type': 'string', 'format': 'email', 'maxLength': EMAIL_MAX_LENGTH},
+        'message': {'type': 'string', 'maxLength': CONTACT_MESSAGE_MAX_LENGTH, 'nullable': True},
+        'form_token': {'type': 'string', 'nullable': True,
+                       'description': 'The signed token rendered into the contact form; submissions need one.'},
+        'website': {'type': 'string', 'nullable': True,
+                    'description': 'Honeypot field hidden from people. Must stay empty.'},
+    },
+    'required': ['name', 'email'],
+    'additionalProperties': False,
+}
+
+CONTACT_UPDATE = {
+    'type': 'object',
+    'properties': {
+        'status': {'type': 'string', 'enum': list(STATUSES)},
+    },
+    'required': ['status'],
+    'additionalProperties': False,
+}
+
+CHAT_MESSAGE_INPUT = {
+    'type': 'object',
+    'properties': {
+        'message': {'type': 'string', 'maxLength': CHAT_MESSAGE_MAX_LENGTH},
+        'session_id': {'type': 'string', 'nullable': True,
+                       'description': 'The chat session (8 to 64 letters, digits, - or _). '
+                                      'A new one is issued when it is missing or malformed.'},
+        'retry': {'type': 'boolean',
+                  'description': 'Resending after a failed reply: the message is not stored twice.'},
+    },
+    'required': ['message'],
+    'additionalProperties': False,
+}
+
+# ---- Responses ----
+
+LINK = {
+    'type': 'object',
+    'properties': {
+        'label': {'type': 'string'},
+        'href': {'type': 'string', 'description': 'A #section anchor or an http(s) URL.'},
+    },
+}
+
+CARD = {
+    'type': 'object',
+    'properties': {
+        'title': {'type': 'string'},
+        'body': {'type': 'string'},
+        'link': dict(LINK, nullable=True),
+    },
+}
+
+REPLY_EXTRAS = {
+    'quick_replies': string_list('Suggested answers, shown as buttons.'),
+    'links': {'type': 'array', 'items': {'$ref': '#/components/schemas/Link'}},
+    'cards': {'type': 'array', 'items': {'$ref': '#/components/schemas/Card'}},
+}
+
+PROJECT = {
+    'type': 'object',
+    'properties': {
+        'slug': {'type': 'string'},
+        'title': {'type': 'string'},
+        'summary': {'type': 'string'},
+        'description': {'type': 'string', 'description': 'Paragraphs separated by blank lines.'},
+        'category': {'type': 'string'},
+        'image': {'type': 'string'},
+        'image_alt': {'type': 'string'},
+        'tags': string_list(),
+        'tech': string_list(),
+        'date': {'type': 'string', 'description': 'YYYY, YYYY-MM or YYYY-MM-DD; empty when undated.'},
+        'links': {'type': 'array', 'items': {'$ref': '#/components/schemas/Link'}},
+    },
+}
+
+FORM_TOKEN = {
+    'type': 'object',
+    'properties': {
+        'ok': {'type': 'boolean'},
+        'form_token': {'type': 'string'},
+        'ready_in': {'type': 'integer', 'description': 'Seconds before the token is accepted.'},
+    },
+}
+
+CONTACT = {
+    'type': 'object',
+    'properties': {
+        'id': {'type': 'integer'},
+        'name': {'type': 'string'},
+        'email': {'type': 'string', 'format': 'email'},
+        'message': {'type': 'string'},
+        'created_at': {'type': 'string', 'format': 'date-time'},
+        'source': {'type': 'string', 'enum': ['form', 'chat']},
+        'chat_session_id': {'type': 'string', 'nullable': True,
+                            'description': 'The chat a lead was captured in.'},
+        'status': {'type': 'string', 'enum': list(STATUSES)},
+    },
+}
+
+CHAT_SESSION = {
+    'type': 'object',
+    'properties': {
+        'session_id': {'type': 'string'},
+        'status': {'type': 'string', 'enum': list(STATUSES)},
+        'started_at': {'type': 'string', 'format': 'date-time'},
+        'last_message_at': {'type': 'string', 'format': 'date-time'},
+        'message_count': {'type': 'integer'},
+        'preview': {'type': 'string', 'nullable': True, 'description': "The visitor's first message."},
+        'lead_count': {'type': 'integer', 'description': 'Contacts captured in this chat.'},
+    },
+}
+
+CHAT_MESSAGE = {
+    'type': 'object',
+    'properties': dict({
+        'id': {'type': 'integer'},
+        'sender': {'type': 'string', 'enum': ['user', 'bot', 'owner']},
+        'message': {'type': 'string'},
+        'created_at': {'type': 'string', 'format': 'date-time'},
+    }, **REPLY_EXTRAS),
+}
+
+CHAT_REPLY = {
+    'type': 'object',
+    'properties': dict({
+        'ok': {'type': 'boolean'},
+        'session_id': {'type': 'string'},
+        'live': {'type': 'boolean',
+                 'description': 'The site owner has the conversation; their answer comes over /chat_live.'},
+        'reply': {'type': 'string'},
+    }, **REPLY_EXTRAS),
+}
+
+ERROR = {
+    'type': 'object',
+    'properties': {
+        'ok': {'type': 'boolean', 'enum': [False]},
+        'error': {'type': 'string', 'description': "A message for people, in the visitor's language."},
+        'code': {'type': 'string'},
+        'fields': {'type': 'object', 'additionalProperties': {'type': 'string'},
+                   'description': 'With validation_failed: a message per invalid field.'},
+        'retry_after': {'type': 'integer', 'description': 'With rate_limited: seconds to wait.'},
+    },
+    'required': ['ok', 'error', 'code'],
+}
+
+# Named schemas, listed under components in the OpenAPI document
+COMPONENTS = {
+    'Project': PROJECT,
+    'Contact': CONTACT,
+    'ContactInput': CONTACT_INPUT,
+    'ContactUpdate': CONTACT_UPDATE,
+    'ChatSession': CHAT_SESSION,
+    'ChatMessage': CHAT_MESSAGE,
+    'ChatMessageInput': CHAT_MESSAGE_INPUT,
+    'ChatReply': CHAT_REPLY,
+    'Link': LINK,
+    'Card': CARD,
+    'Error': ERROR,
+}
+
+
+def ref(schema):
+    """A $ref to `schema` if it is one of COMPONENTS, else the schema itself."""
+    for name, component in COMPONENTS.items():
+        if component is schema:
+            return {'$ref': '#/components/schemas/' + name}
+    return schema
+
+
+def item_of(schema):
+    """Schema of a { ok, item } response."""
+    return {'type': 'object', 'properties': {'ok': {'type': 'boolean'}, 'item': ref(schema)}}
+
+
+def message_of():
+    """Schema of a { ok, message } response."""
+    return {'type': 'object', 'properties': {'ok': {'type': 'boolean'}, 'message': {'type': 'string'}}}
+
+
+def page_of(schema, **extra):
+    """Schema of one page of a list of `schema`; `extra` adds properties."""
+    return {
+        'type': 'object',
+        'properties': dict({
+            'ok': {'type': 'boolean'},
+            'items': {'type': 'array', 'items': ref(schema)},
+            'page': {'type': 'integer'},
+            'per_page': {'type': 'integer'},
+            'total': {'type': 'integer'},
+            'pages': {'type': 'integer'},
+        }, **extra),
+    }
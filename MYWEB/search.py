@@ -0,0 +1,142 @@
+"""Full-text search over chat messages and contacts for the admin dashboard.
+
+Migration 9 keeps FTS5 indexes (chats_fts, contacts_fts) in step with the
+chats and contacts tables. They use the trigram tokenizer, so a query
+matches any text containing each of its words, from 3 characters up:
+"webs" finds "website", in English and Hindi alike. Words are matched as
+typed (no operators), all of them must appear, and results come best match
+first with the matching parts marked in a short snippet.
+
+If the indexes ever drift (e.g. a database restored from an old copy),
+`flask --app app search rebuild` recreates them from the tables.
+"""
+from datetime import date, timedelta
+import secrets
+
+import click
+from flask.cli import with_appcontext
+from markupsafe import escape
+
+from database import get_db
+
+MIN_TERM_LENGTH = 3  # the trigram tokenizer can't match shorter strings
+MAX_TERMS = 8
+SENDERS = ('user', 'bot', 'owner')
+SNIPPET_TOKENS = 16
+
+
+class SearchError(ValueError):
+    """Invalid search request; the message is safe to show to the admin."""
+
+
+def fts_query(q):
+    """Turns what the admin typed into an FTS5 query: every word of at least
+    MIN_TERM_LENGTH characters, quoted so FTS5 syntax has no effect. Returns
+    None when no word is long enough.
+    """
+    terms = [term for term in (q or '').split() if len(term) >= MIN_TERM_LENGTH][:MAX_TERMS]
+    if not terms:
+        return None
+    return ' '.join('"' + term.replace('"', '""') + '"' for term in terms)
+
+
+def parse_day(value, name):
+    if not value:
+        return None
+    try:
+        return date.fromisoformat(value)
+    except ValueError:
+        raise SearchError(f'{name} must be a date like 2025-01-31')
+
+
+def date_clause(column, date_from, date_to):
+    """SQL conditions for inclusive day bounds on an ISO timestamp column."""
+    where, params = [], []
+    if date_from:
+        where.append(f'{column} >= ?')
+        params.append(date_from.isoformat())
+    if date_to:
+        where.append(f'{column} < ?')
+        params.append((date_to + timedelta(days=1)).isoformat())
+    return where, params
+
+
+def snippet_marks():
+    """Start and end markers for the matches in a snippet. They are random for
+    each search, so stored text can't contain them; they survive escaping
+    and are swapped for <mark> afterwards.
+    """
+    nonce = secrets.token_hex(8)
+    return f'[{nonce}[', f']{nonce}]'
+
+
+def marked(snippet, marks):
+    """HTML-escapes a snippet and marks the matches with <mark>."""
+    start, end = marks
+    return str(escape(snippet or '')).replace(start, '<mark>').replace(end, '</mark>')
+
+
+def run(db, sql_select, sql_from, where, params, limit, offset):
+    """`sql_select` takes the snippet markers as its two parameters."""
+    clause = ' AND '.join(where)
+    total = db.execute(f'SELECT COUNT(*) {sql_from} WHERE {clause}', params).fetchone()[0]
+    marks = snippet_marks()
+    rows = db.execute(f'{sql_select} {sql_from} WHERE {clause} ORDER BY rank LIMIT ? OFFSET ?',
+                      list(marks) + params + [limit, offset]).fetchall()
+    items = []
+    for row in rows:
+        item = dict(row)
+        item['snippet'] = marked(item['snippet'], marks)
+        items.append(item)
+    return items, total
+
+
+def search_chats(db, query, sender=None, date_from=None, date_to=None, limit=20, offset=0):
+    """Chat messages matching `query` (an fts_query). Returns (items, total)."""
+    where, params = ['chats_fts MATCH ?'], [query]
+    if sender:
+        where.append('c.sender = ?')
+        params.append(sender)
+    dates, date_params = date_clause('c.created_at', date_from, date_to)
+    return run(
+        db,
+        'SELECT c.id, c.session_id, c.sender, c.created_at,'
+        f" snippet(chats_fts, 0, ?, ?, '…', {SNIPPET_TOKENS}) AS snippet",
+        'FROM chats_fts JOIN chats c ON c.id = chats_fts.rowid',
+        where + dates, params + date_params, limit, offset
+    )
+
+
+def search_contacts(db, query, date_from=None, date_to=None, limit=20, offset=0):
+    """Contacts whose name, email or message match. Returns (items, total)."""
+    where, params = ['contacts_fts MATCH ?'], [query]
+    dates, date_params = date_clause('c.created_at', date_from, date_to)
+    return run(
+        db,
+        'SELECT c.id, c.name, c.email, c.created_at, c.source, c.chat_session_id, c.status,'
+        f" snippet(contacts_fts, -1, ?, ?, '…', {SNIPPET_TOKENS}) AS snippet",
+        'FROM contacts_fts JOIN contacts c ON c.id = contacts_fts.rowid',
+        where + dates, params + date_params, limit, offset
+    )
+
+
+def rebuild(db):
+    """Recreates both indexes from the chats and contacts tables."""
+    db.execute("INSERT INTO chats_fts (chats_fts) VALUES ('rebuild')")
+    db.execute("INSERT INTO contacts_fts (contacts_fts) VALUES ('rebuild')")
+    db.commit()
+
+
+# ---- CLI ----
+
+@click.group('search')
+def search_command():
+    """Full-text search indexes."""
+
+
+@search_command.command('rebuild')
+@with_appcontext
+def rebuild_command():
+    """Rebuild the chat and contact search indexes."""
+    rebuild(get_db())
+    click.echo('Search indexes rebuilt.')
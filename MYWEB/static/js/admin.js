@@ -0,0 +1,975 @@
+// admin.js - admin dashboard: contact submissions, chat transcripts, history
+// search, the live chat console, usage analytics and outgoing webhooks
+
+// ---- Utilities ----
+const $ = s => document.querySelector(s);
+const $$ = s => Array.from(document.querySelectorAll(s));
+
+const STATUSES = window.ADMIN_STATUSES || ['new', 'read', 'replied', 'archived'];
+
+// Small element builder: el('td', 'p-3', 'text') -> <td class="p-3">text</td>
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined && text !== null) node.textContent = text;
+  return node;
+}
+
+function formatDate(iso) {
+  if (!iso) return '';
+  // Stored timestamps are naive UTC
+  const d = new Date(iso.endsWith('Z') ? iso : iso + 'Z');
+  return isNaN(d) ? iso : d.toLocaleString();
+}
+
+const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+const CSRF_TOKEN = csrfMeta ? csrfMeta.content : '';
+
+// JSON request helper; throws with the server's error message on failure.
+// String bodies are sent as JSON; FormData goes out as multipart. Every call
+// carries the CSRF token the server checks on non-GET requests.
+async function api(url, options = {}) {
+  const headers = { 'X-CSRFToken': CSRF_TOKEN };
+  if (typeof options.body === 'string') headers['Content-Type'] = 'application/json';
+  const res = await fetch(url, {
+    ...options,
+    headers: { ...headers, ...(options.headers || {}) },
+    credentials: 'same-origin'
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 401) {
+    window.location.href = '/admin/login?next=/admin/';
+    throw new Error('Signed out');
+  }
+  if (!res.ok || !data.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+function showMessage(text, isError = false) {
+  const box = $('#admin-message');
+  if (!box) return;
+  box.textContent = text;
+  box.classList.remove('hidden', 'text-red-400', 'text-green-400');
+  box.classList.add(isError ? 'text-red-400' : 'text-green-400');
+  clearTimeout(showMessage.timer);
+  showMessage.timer = setTimeout(() => box.classList.add('hidden'), 4000);
+}
+
+// One chat message: the visitor on the right, the bot and the owner on the left
+function messageBubble(msg) {
+  const wrapper = el('div', msg.sender === 'user' ? 'text-right' : 'text-left');
+  let tone = 'bg-gray-800 text-cyanCustom';
+  if (msg.sender === 'user') tone = 'bg-gray-700';
+  else if (msg.sender === 'owner') tone = 'bg-gray-800 border border-cyanCustom';
+  const bubble = el('div', 'inline-block max-w-[80%] p-2 rounded whitespace-pre-line text-left ' + tone, msg.message);
+  bubble.title = formatDate(msg.created_at);
+  wrapper.appendChild(bubble);
+  return wrapper;
+}
+
+function statusSelect(current, onChange) {
+  const select = el('select', 'bg-gray-950 p-1 rounded border border-gray-700');
+  STATUSES.forEach(status => {
+    const option = el('option', '', status);
+    option.value = status;
+    option.selected = status === current;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => onChange(select.value, select));
+  return select;
+}
+
+/* -------------------------
+   State + shared toolbar
+   ------------------------- */
+const state = { tab: 'contacts', page: 1, pages: 1, q: '', status: '', selectedSession: null };
+
+function queryString() {
+  const params = new URLSearchParams({ page: state.page });
+  if (state.q) params.set('q', state.q);
+  if (state.status) params.set('status', state.status);
+  return params.toString();
+}
+
+function updatePager(data) {
+  state.pages = data.pages;
+  $('#admin-page-info').textContent = `Page ${data.page} of ${data.pages} · ${data.total} total`;
+  $('#admin-prev').disabled = data.page <= 1;
+  $('#admin-next').disabled = data.page >= data.pages;
+}
+
+function refresh() {
+  if (state.tab === 'live') return clearLiveBadge();
+  if (state.tab === 'search') return $('#search-form').elements.q.focus();
+  if (state.tab === 'contacts') return loadContacts();
+  if (state.tab === 'chats') return loadChatSessions();
+  if (state.tab === 'analytics') return loadAnalytics();
+  if (state.tab === 'webhooks') return loadWebhooks();
+}
+
+/* -------------------------
+   Contacts
+   ------------------------- */
+async function loadContacts() {
+  const body = $('#contacts-body');
+  try {
+    const data = await api('/admin/api/contacts?' + queryString());
+    body.innerHTML = '';
+    if (data.items.length === 0) {
+      const row = el('tr');
+      const cell = el('td', 'p-6 text-center text-gray-500', 'No contacts found.');
+      cell.colSpan = 7;
+      row.appendChild(cell);
+      body.appendChild(row);
+    }
+    data.items.forEach(contact => body.appendChild(renderContactRow(contact)));
+    updatePager(data);
+  } catch (err) {
+    showMessage(err.message, true);
+  }
+}
+
+function renderContactRow(contact) {
+  const row = el('tr', 'border-t border-gray-800 align-top' + (contact.status === 'new' ? ' font-semibold' : ''));
+  row.appendChild(el('td', 'p-3 whitespace-nowrap text-gray-400', formatDate(contact.created_at)));
+  row.appendChild(el('td', 'p-3', contact.name));
+
+  const emailCell = el('td', 'p-3');
+  const mail = el('a', 'text-cyanCustom underline', contact.email);
+  mail.href = 'mailto:' + encodeURIComponent(contact.email).replace(/%40/g, '@');
+  emailCell.appendChild(mail);
+  row.appendChild(emailCell);
+
+  row.appendChild(el('td', 'p-3 max-w-md whitespace-pre-line text-gray-300', contact.message || '—'));
+
+  const sourceCell = el('td', 'p-3 text-gray-400', contact.source);
+  if (contact.chat_session_id) {
+    const link = el('button', 'block text-xs text-cyanCustom underline', 'transcript');
+    link.type = 'button';
+    link.addEventListener('click', () => openTranscriptTab(contact.chat_session_id));
+    sourceCell.appendChild(link);
+  }
+  row.appendChild(sourceCell);
+
+  const statusCell = el('td', 'p-3');
+  statusCell.appendChild(statusSelect(contact.status, async (status, select) => {
+    try {
+      await api(`/admin/api/contacts/${contact.id}`, { method: 'PATCH', body: JSON.stringify({ status }) });
+      row.classList.toggle('font-semibold', status === 'new');
+      showMessage('Status updated.');
+    } catch (err) {
+      select.value = contact.status;
+      showMessage(err.message, true);
+    }
+  }));
+  row.appendChild(statusCell);
+
+  const actions = el('td', 'p-3 text-right');
+  const del = el('button', 'text-red-400 hover:text-red-300', 'Delete');
+  del.type = 'button';
+  del.addEventListener('click', async () => {
+    if (!confirm(`Delete the message from ${contact.name}?`)) return;
+    try {
+      await api(`/admin/api/contacts/${contact.id}`, { method: 'DELETE' });
+      showMessage('Contact deleted.');
+      loadContacts();
+    } catch (err) {
+      showMessage(err.message, true);
+    }
+  });
+  actions.appendChild(del);
+  row.appendChild(actions);
+  return row;
+}
+
+/* -------------------------
+   Chat transcripts
+   ------------------------- */
+async function loadChatSessions() {
+  const list = $('#chat-sessions');
+  try {
+    const data = await api('/admin/api/chats?' + queryString());
+    list.innerHTML = '';
+    if (data.items.length === 0) list.appendChild(el('li', 'text-gray-500', 'No conversations found.'));
+    data.items.forEach(chat => list.appendChild(renderSessionItem(chat)));
+    updatePager(data);
+  } catch (err) {
+    showMessage(err.message, true);
+  }
+}
+
+function renderSessionItem(chat) {
+  const item = el('li');
+  const button = el('button', 'w-full text-left p-3 rounded-lg border border-gray-800 bg-gray-900 hover:border-cyanCustom');
+  button.type = 'button';
+  if (chat.session_id === state.selectedSession) button.classList.add('border-cyanCustom');
+
+  const top = el('div', 'flex justify-between gap-2 text-xs text-gray-400');
+  top.appendChild(el('span', '', formatDate(chat.last_message_at)));
+  top.appendChild(el('span', chat.status === 'new' ? 'text-cyanCustom' : '', chat.status));
+  button.appendChild(top);
+  button.appendChild(el('div', 'mt-1 truncate' + (chat.status === 'new' ? ' font-semibold' : ''), chat.preview || '(no visitor message)'));
+  const meta = `${chat.message_count} messages` + (chat.lead_count ? ` · ${chat.lead_count} lead` : '');
+  button.appendChild(el('div', 'text-xs text-gray-500 mt-1', meta));
+
+  button.addEventListener('click', () => openTranscript(chat));
+  item.appendChild(button);
+  return item;
+}
+
+async function openTranscript(chat) {
+  state.selectedSession = chat.session_id;
+  const panel = $('#chat-transcript');
+  try {
+    const data = await api('/admin/api/chats/' + encodeURIComponent(chat.session_id));
+    panel.innerHTML = '';
+
+    const toolbar = el('div', 'flex flex-wrap items-center justify-between gap-3 mb-4 pb-3 border-b border-gray-800');
+    toolbar.appendChild(el('code', 'text-xs text-gray-500', chat.session_id));
+    const controls = el('div', 'flex items-center gap-3');
+    controls.appendChild(statusSelect(chat.status, (status, select) => setChatStatus(chat, status, select)));
+    const del = el('button', 'text-red-400 hover:text-red-300 text-sm', 'Delete');
+    del.type = 'button';
+    del.addEventListener('click', () => deleteTranscript(chat));
+    controls.appendChild(del);
+    toolbar.appendChild(controls);
+    panel.appendChild(toolbar);
+
+    const log = el('div', 'space-y-2 text-sm');
+    data.messages.forEach(msg => log.appendChild(messageBubble(msg)));
+    panel.appendChild(log);
+
+    // Opening a new transcript marks it as read
+    if (chat.status === 'new') await setChatStatus(chat, 'read');
+    else loadChatSessions();
+  } catch (err) {
+    showMessage(err.message, true);
+  }
+}
+
+async function setChatStatus(chat, status, select) {
+  try {
+    await api('/admin/api/chats/' + encodeURIComponent(chat.session_id), { method: 'PATCH', body: JSON.stringify({ status }) });
+    chat.status = status;
+    if (select) showMessage('Status updated.');
+    loadChatSessions();
+  } catch (err) {
+    if (select) select.value = chat.status;
+    showMessage(err.message, true);
+  }
+}
+
+async function deleteTranscript(chat) {
+  if (!confirm('Delete this whole conversation?')) return;
+  try {
+    await api('/admin/api/chats/' + encodeURIComponent(chat.session_id), { method: 'DELETE' });
+    state.selectedSession = null;
+    $('#chat-transcript').innerHTML = '<p class="text-gray-500">Select a conversation.</p>';
+    showMessage('Conversation deleted.');
+    loadChatSessions();
+  } catch (err) {
+    showMessage(err.message, true);
+  }
+}
+
+// Jump from a chat lead in the contacts table to its transcript
+function openTranscriptTab(sessionId) {
+  switchTab('chats');
+  openTranscript({ session_id: sessionId, status: 'read' });
+}
+
+/* -------------------------
+   Search (see search.py)
+   ------------------------- */
+// Results follow the typing: requests are debounced and a newer one cancels
+// the one still in flight
+const SEARCH_MIN_LENGTH = 3;
+const SEARCH_PER_PAGE = 10;
+const SENDER_LABELS = { user: 'Visitor', bot: 'Bot', owner: 'Owner' };
+const searchState = { timer: null, controller: null, pages: { chats: 1, contacts: 1 } };
+
+function searchParams(scope, page) {
+  const f = $('#search-form').elements;
+  const params = new URLSearchParams({ q: f.q.value.trim(), scope, page, per_page: SEARCH_PER_PAGE });
+  ['sender', 'from', 'to'].forEach(name => { if (f[name].value) params.set(name, f[name].value); });
+  return params;
+}
+
+function searchable(q) {
+  return q.split(/\s+/).some(word => word.length >= SEARCH_MIN_LENGTH);
+}
+
+// Snippets come from the server HTML-escaped, with the matches in <mark>
+function searchResult(top, snippet, onOpen) {
+  const item = el('li');
+  const button = el('button', 'w-full text-left p-3 rounded-lg border border-gray-800 bg-gray-900 hover:border-cyanCustom');
+  button.type = 'button';
+  button.appendChild(top);
+  const text = el('div', 'mt-1 text-sm text-gray-300 whitespace-pre-line [&_mark]:bg-cyanCustom/30 [&_mark]:text-inherit [&_mark]:rounded');
+  text.innerHTML = snippet;
+  button.appendChild(text);
+  button.addEventListener('click', onOpen);
+  item.appendChild(button);
+  return item;
+}
+
+function chatResult(msg) {
+  const top = el('div', 'flex justify-between gap-2 text-xs text-gray-400');
+  top.appendChild(el('span', '', SENDER_LABELS[msg.sender] || msg.sender));
+  top.appendChild(el('span', '', formatDate(msg.created_at)));
+  return searchResult(top, msg.snippet, () => openTranscriptTab(msg.session_id));
+}
+
+function contactResult(contact) {
+  const top = el('div', 'flex justify-between gap-2 text-xs text-gray-400');
+  top.appendChild(el('span', 'font-semibold text-gray-200', `${contact.name} <${contact.email}>`));
+  top.appendChild(el('span', '', `${contact.source} · ${formatDate(contact.created_at)}`));
+  // Opens the contacts list filtered to this address
+  return searchResult(top, contact.snippet, () => {
+    state.q = contact.email;
+    $('#admin-search').value = contact.email;
+    switchTab('contacts');
+  });
+}
+
+function renderSearchGroup(group, data, append) {
+  const box = $('#search-' + group);
+  const list = box.querySelector('.search-results');
+  if (!append) list.innerHTML = '';
+  if (data.total === 0) list.appendChild(el('li', 'text-gray-500 text-sm', 'No matches.'));
+  data.items.forEach(item => list.appendChild(group === 'chats' ? chatResult(item) : contactResult(item)));
+  searchState.pages[group] = data.page;
+  box.querySelector('.search-more').classList.toggle('hidden', data.page >= data.pages);
+  box.classList.remove('hidden');
+}
+
+// scope 'all', 'chats' or 'contacts'; a page past the first appends to its group
+async function runSearch(scope, page = 1) {
+  const q = $('#search-form').elements.q.value.trim();
+  if (searchState.controller) searchState.controller.abort();
+  searchState.controller = null;
+  if (!searchable(q)) {
+    $('#search-chats').classList.add('hidden');
+    $('#search-contacts').classList.add('hidden');
+    $('#search-status').textContent = q ? `Type a word of at least ${SEARCH_MIN_LENGTH} letters.` : '';
+    return;
+  }
+  const controller = new AbortController();
+  searchState.controller = controller;
+  try {
+    const data = await api('/admin/api/search?' + searchParams(scope, page), { signal: controller.signal });
+    ['chats', 'contacts'].forEach(group => {
+      if (data[group]) renderSearchGroup(group, data[group], page > 1);
+      else if (page === 1) $('#search-' + group).classList.add('hidden');
+    });
+    if (page === 1) {
+      const counts = [];
+      if (data.chats) counts.push(`${data.chats.total} chat message(s)`);
+      if (data.contacts) counts.push(`${data.contacts.total} contact(s)`);
+      $('#search-status').textContent = `Found ${counts.join(' and ')}.`;
+    }
+  } catch (err) {
+    if (err.name !== 'AbortError') showMessage(err.message, true);
+  }
+}
+
+function initSearchTab() {
+  const form = $('#search-form');
+  if (!form) return;
+  const search = () => runSearch(form.elements.scope.value);
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    clearTimeout(searchState.timer);
+    search();
+  });
+  form.elements.q.addEventListener('input', () => {
+    clearTimeout(searchState.timer);
+    searchState.timer = setTimeout(search, 250);
+  });
+  ['scope', 'sender', 'from', 'to'].forEach(name => form.elements[name].addEventListener('change', search));
+  ['chats', 'contacts'].forEach(group => {
+    $(`#search-${group} .search-more`).addEventListener('click', () => runSearch(group, searchState.pages[group] + 1));
+  });
+}
+
+/* -------------------------
+   Live chat (see live_chat.py)
+   ------------------------- */
+// The console stays connected on every tab so visitors see the owner as
+// online and new conversations are noticed; the bot answers until a
+// conversation is taken over, and again once it is handed back or the
+// console disconnects.
+const LIVE_RECONNECT_MAX_MS = 30000;
+const LIVE_TYPING_IDLE_MS = 3000;
+const live = {
+  ws: null,
+  delay: 1000,
+  sessions: new Map(), // session_id -> { online, live, mine, typing, messages }
+  selected: null,
+  unread: 0,
+  typingSent: false,
+  typingTimer: null
+};
+
+function connectLive() {
+  const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const ws = new WebSocket(`${scheme}//${location.host}/admin/live`);
+  live.ws = ws;
+  ws.addEventListener('open', () => {
+    live.delay = 1000;
+    $('#live-connection').textContent = 'Online: visitors see that you are available.';
+  });
+  ws.addEventListener('message', (e) => {
+    let frame = null;
+    try { frame = JSON.parse(e.data); } catch (err) { return; }
+    if (frame) onLiveFrame(frame);
+  });
+  ws.addEventListener('close', (e) => {
+    live.ws = null;
+    live.typingSent = false;
+    // Policy violation: the admin session has expired
+    if (e.code === 1008) {
+      window.location.href = '/admin/login?next=/admin/';
+      return;
+    }
+    // The server handed everything this console held back to the bot
+    live.sessions.forEach(session => { session.live = false; session.mine = false; });
+    renderLive();
+    $('#live-connection').textContent = 'Offline, reconnecting...';
+    setTimeout(connectLive, live.delay);
+    live.delay = Math.min(live.delay * 2, LIVE_RECONNECT_MAX_MS);
+  });
+}
+
+function sendLive(frame) {
+  if (!live.ws || live.ws.readyState !== WebSocket.OPEN) return false;
+  live.ws.send(JSON.stringify(frame));
+  return true;
+}
+
+function liveSession(sessionId) {
+  if (!live.sessions.has(sessionId)) {
+    live.sessions.set(sessionId, { online: false, live: false, mine: false, typing: false, messages: null });
+  }
+  return live.sessions.get(sessionId);
+}
+
+function onLiveFrame(frame) {
+  const session = frame.session_id ? liveSession(frame.session_id) : null;
+  switch (frame.type) {
+    case 'sessions':
+      live.sessions.forEach(s => { s.online = false; });
+      frame.sessions.forEach(item => Object.assign(liveSession(item.session_id), { online: true, live: item.live, mine: item.mine }));
+      break;
+    case 'visitor':
+      session.online = frame.online;
+      if (!frame.online) session.typing = false;
+      else notifyOwner('A visitor opened the chat', '', frame.session_id);
+      break;
+    case 'typing':
+      session.typing = frame.typing;
+      break;
+    case 'message':
+      session.typing = false;
+      if (session.messages) session.messages.push(frame);
+      if (frame.sender === 'user') notifyOwner('New chat message', frame.message, frame.session_id);
+      break;
+    case 'handoff':
+      session.live = frame.live;
+      session.mine = frame.mine;
+      break;
+    case 'error':
+      showMessage(frame.error, true);
+      break;
+  }
+  renderLive();
+}
+
+// Counts unseen activity on the Live tab (and in the page title) and shows a
+// system notification while the dashboard is in the background
+function notifyOwner(title, body, sessionId) {
+  if (!document.hidden && state.tab === 'live' && live.selected === sessionId) return;
+  live.unread++;
+  updateLiveBadge();
+  if (!document.hidden || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const notification = new Notification(title, { body, tag: 'live-' + sessionId });
+  notification.addEventListener('click', () => {
+    window.focus();
+    switchTab('live');
+    selectLiveSession(sessionId);
+    notification.close();
+  });
+}
+
+function updateLiveBadge() {
+  const badge = $('#live-badge');
+  badge.textContent = live.unread;
+  badge.classList.toggle('hidden', live.unread === 0);
+  document.title = (live.unread ? `(${live.unread}) ` : '') + document.title.replace(/^\(\d+\) /, '');
+}
+
+function clearLiveBadge() {
+  if (state.tab !== 'live' || document.hidden) return;
+  live.unread = 0;
+  updateLiveBadge();
+}
+
+function renderLive() {
+  const list = $('#live-sessions');
+  list.innerHTML = '';
+  const sessions = Array.from(live.sessions).filter(([, s]) => s.online || s.live);
+  if (sessions.length === 0) list.appendChild(el('li', 'text-gray-500', 'Nobody is chatting right now.'));
+  sessions.forEach(([sessionId, session]) => {
+    const button = el('button', 'w-full text-left p-3 rounded-lg border border-gray-800 bg-gray-900 hover:border-cyanCustom');
+    button.type = 'button';
+    if (sessionId === live.selected) button.classList.add('border-cyanCustom');
+    button.appendChild(el('code', 'block truncate text-xs text-gray-400', sessionId));
+    let label = session.online ? 'Chatting with the bot' : 'Left the page';
+    if (session.live) label = session.mine ? 'You are answering' : 'Answered by another console';
+    if (session.typing) label += ' · typing...';
+    button.appendChild(el('div', 'mt-1 text-sm' + (session.mine ? ' text-cyanCustom' : ''), label));
+    button.addEventListener('click', () => selectLiveSession(sessionId));
+    const item = el('li');
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+  renderLiveConversation();
+}
+
+function renderLiveConversation() {
+  const session = live.selected && live.sessions.get(live.selected);
+  const takeover = $('#live-takeover');
+  $('#live-session').textContent = session ? live.selected : 'Select a visitor.';
+  takeover.classList.toggle('hidden', !session || (!session.online && !session.mine));
+  if (session) takeover.textContent = session.mine ? 'Hand back to the bot' : 'Take over';
+  $('#live-form').classList.toggle('hidden', !session || !session.mine);
+  $('#live-typing').classList.toggle('hidden', !session || !session.typing);
+
+  const log = $('#live-log');
+  log.innerHTML = '';
+  if (session && session.messages) {
+    session.messages.forEach(msg => log.appendChild(messageBubble(msg)));
+    log.scrollTop = log.scrollHeight;
+  }
+}
+
+async function selectLiveSession(sessionId) {
+  if (sessionId !== live.selected) setOwnerTyping(false);
+  live.selected = sessionId;
+  const session = liveSession(sessionId);
+  clearLiveBadge();
+  renderLive();
+  if (session.messages) return;
+  try {
+    const data = await api('/admin/api/chats/' + encodeURIComponent(sessionId));
+    session.messages = data.messages;
+  } catch (err) {
+    // A visitor who has only opened the chat has no messages yet
+    session.messages = [];
+  }
+  renderLiveConversation();
+}
+
+function setOwnerTyping(typing) {
+  clearTimeout(live.typingTimer);
+  if (typing) live.typingTimer = setTimeout(() => setOwnerTyping(false), LIVE_TYPING_IDLE_MS);
+  if (typing !== live.typingSent && sendLive({ type: 'typing', session_id: live.selected, typing })) live.typingSent = typing;
+}
+
+function initLiveTab() {
+  if (typeof WebSocket === 'undefined') {
+    $('#live-connection').textContent = 'This browser does not support live chat.';
+    return;
+  }
+  $('#live-takeover').addEventListener('click', () => {
+    const session = live.sessions.get(live.selected);
+    if (session) sendLive({ type: session.mine ? 'release' : 'takeover', session_id: live.selected });
+  });
+
+  const input = $('#live-input');
+  input.addEventListener('input', () => setOwnerTyping(input.value.trim() !== ''));
+  $('#live-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const message = input.value.trim();
+    if (!message) return;
+    setOwnerTyping(false);
+    if (sendLive({ type: 'message', session_id: live.selected, message })) input.value = '';
+    else showMessage('Not connected; the message was not sent.', true);
+  });
+
+  // Browsers only ask for notification permission after a click
+  const notify = $('#live-notify');
+  if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+    notify.classList.remove('hidden');
+    notify.addEventListener('click', async () => {
+      await Notification.requestPermission();
+      notify.classList.add('hidden');
+    });
+  }
+
+  document.addEventListener('visibilitychange', clearLiveBadge);
+  renderLive();
+  connectLive();
+}
+
+/* -------------------------
+   Analytics (see analytics.py)
+   ------------------------- */
+const ANALYTICS_EVENTS = {
+  section_view: 'Section views',
+  chat_open: 'Chat opens',
+  contact_start: 'Contact form starts',
+  contact_submit: 'Contact form submits',
+  theme_toggle: 'Theme toggles',
+  carousel_nav: 'Carousel navigation'
+};
+// Breakdowns by target: which sections, which theme, which carousel control
+const ANALYTICS_BREAKDOWNS = {
+  section_view: 'Sections reached',
+  theme_toggle: 'Themes picked',
+  carousel_nav: 'Carousel controls'
+};
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// One bar per day, scaled to the busiest day; hovering a bar shows its count
+function barChart(days, counts) {
+  const max = Math.max(...counts, 1);
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${days.length * 10} 60`);
+  svg.setAttribute('preserveAspectRatio', 'none');
+  svg.setAttribute('class', 'w-full h-24 text-cyanCustom');
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-label', days.map((day, i) => `${day}: ${counts[i]}`).join(', '));
+  counts.forEach((count, i) => {
+    const height = Math.max((count / max) * 58, count ? 2 : 0.5);
+    const bar = document.createElementNS(SVG_NS, 'rect');
+    bar.setAttribute('x', i * 10 + 1);
+    bar.setAttribute('y', 60 - height);
+    bar.setAttribute('width', 8);
+    bar.setAttribute('height', height);
+    bar.setAttribute('class', count ? 'fill-current' : 'fill-current opacity-20');
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = `${days[i]}: ${count}`;
+    bar.appendChild(title);
+    svg.appendChild(bar);
+  });
+  return svg;
+}
+
+function breakdownCard(title, rows, labelKey) {
+  const card = el('div', 'bg-gray-900 border border-gray-800 rounded-xl p-4 text-sm');
+  card.appendChild(el('h3', 'font-semibold mb-3', title));
+  if (rows.length === 0) card.appendChild(el('p', 'text-gray-500', 'Nothing yet.'));
+  const max = Math.max(...rows.map(row => row.count), 1);
+  rows.slice(0, 10).forEach(row => {
+    const line = el('div', 'mb-2');
+    const label = el('div', 'flex justify-between gap-2');
+    label.appendChild(el('span', 'truncate', row[labelKey]));
+    label.appendChild(el('span', 'text-gray-400', row.count));
+    line.appendChild(label);
+    const bar = el('div', 'h-1 mt-1 rounded bg-cyanCustom');
+    bar.style.width = `${(row.count / max) * 100}%`;
+    line.appendChild(bar);
+    card.appendChild(line);
+  });
+  return card;
+}
+
+async function loadAnalytics() {
+  try {
+    const data = await api('/admin/api/analytics?days=' + $('#analytics-days').value);
+    const charts = $('#analytics-charts');
+    charts.innerHTML = '';
+    Object.entries(ANALYTICS_EVENTS).forEach(([event, title]) => {
+      const card = el('div', 'bg-gray-900 border border-gray-800 rounded-xl p-4');
+      const head = el('div', 'flex items-baseline justify-between gap-2 mb-3');
+      head.appendChild(el('h3', 'text-sm text-gray-400', title));
+      head.appendChild(el('span', 'text-2xl font-semibold', data.totals[event] || 0));
+      card.appendChild(head);
+      card.appendChild(barChart(data.days, data.series[event] || []));
+      const range = el('div', 'flex justify-between text-xs text-gray-500 mt-1');
+      range.appendChild(el('span', '', data.days[0]));
+      range.appendChild(el('span', '', data.days[data.days.length - 1]));
+      card.appendChild(range);
+      charts.appendChild(card);
+    });
+
+    const breakdowns = $('#analytics-breakdowns');
+    breakdowns.innerHTML = '';
+    Object.entries(ANALYTICS_BREAKDOWNS).forEach(([event, title]) => {
+      breakdowns.appendChild(breakdownCard(title, data.targets[event] || [], 'target'));
+    });
+    breakdowns.appendChild(breakdownCard('Pages', data.pages, 'path'));
+  } catch (err) {
+    showMessage(err.message, true);
+  }
+}
+
+/* -------------------------
+   Webhooks (see webhooks.py)
+   ------------------------- */
+// Subscriptions on top, the delivery log (paged with the shared pager) below
+const DELIVERY_TONES = { delivered: 'text-green-400', failed: 'text-red-400', pending: 'text-yellow-400' };
+let webhookStatus = '';
+
+async function loadWebhooks() {
+  const params = new URLSearchParams({ page: state.page });
+  if (webhookStatus) params.set('status', webhookStatus);
+  try {
+    const [subscriptions, deliveries] = await Promise.all([
+      api('/admin/api/webhooks'),
+      api('/admin/api/webhooks/deliveries?' + params)
+    ]);
+    renderWebhookList(subscriptions.items);
+    renderDeliveries(deliveries.items);
+    updatePager(deliveries);
+  } catch (err) {
+    showMessage(err.message, true);
+  }
+}
+
+async function webhookAction(url, options, done) {
+  try {
+    await api(url, options);
+    showMessage(done);
+    loadWebhooks();
+  } catch (err) {
+    showMessage(err.message, true);
+  }
+}
+
+function renderWebhookList(items) {
+  const list = $('#webhook-list');
+  list.innerHTML = '';
+  if (items.length === 0) list.appendChild(el('li', 'text-gray-500', 'No webhooks yet.'));
+  items.forEach(hook => {
+    const item = el('li', 'p-4 rounded-xl border border-gray-800 bg-gray-900 space-y-2 text-sm' + (hook.active ? '' : ' opacity-60'));
+    const top = el('div', 'flex flex-wrap justify-between gap-2');
+    top.appendChild(el('code', 'break-all text-cyanCustom', hook.url));
+    top.appendChild(el('span', 'text-xs text-gray-400', hook.active ? 'active' : 'paused'));
+    item.appendChild(top);
+    if (hook.description) item.appendChild(el('p', 'text-gray-300', hook.description));
+    const events = hook.events[0] === '*' ? 'all events' : hook.events.join(', ');
+    item.appendChild(el('p', 'text-xs text-gray-500', `Events: ${events} · added ${formatDate(hook.created_at)}`));
+
+    const secret = el('details', 'text-xs');
+    secret.appendChild(el('summary', 'cursor-pointer text-gray-400', 'Signing secret'));
+    secret.appendChild(el('code', 'block mt-1 break-all select-all', hook.secret));
+    item.appendChild(secret);
+
+    const actions = el('div', 'flex gap-4 pt-1');
+    const button = (label, className, onClick) => {
+      const btn = el('button', className, label);
+      btn.type = 'button';
+      btn.addEventListener('click', onClick);
+      actions.appendChild(btn);
+    };
+    const url = '/admin/api/webhooks/' + hook.id;
+    button('Send test', 'text-cyanCustom hover:underline', () =>
+      webhookAction(url + '/ping', { method: 'POST' }, 'Test event queued.'));
+    button(hook.active ? 'Pause' : 'Resume', 'text-gray-300 hover:underline', () =>
+      webhookAction(url, { method: 'PATCH', body: JSON.stringify({ active: !hook.active }) },
+        hook.active ? 'Webhook paused; it gets no new events until resumed.' : 'Webhook resumed.'));
+    button('Delete', 'text-red-400 hover:text-red-300', () => {
+      if (!confirm(`Delete the webhook for ${hook.url} and its delivery log?`)) return;
+      webhookAction(url, { method: 'DELETE' }, 'Webhook deleted.');
+    });
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+}
+
+function renderDeliveries(items) {
+  const body = $('#webhook-deliveries');
+  body.innerHTML = '';
+  if (items.length === 0) {
+    const row = el('tr');
+    const cell = el('td', 'p-6 text-center text-gray-500', 'No deliveries yet.');
+    cell.colSpan = 7;
+    row.appendChild(cell);
+    body.appendChild(row);
+  }
+  items.forEach(delivery => body.appendChild(renderDeliveryRow(delivery)));
+}
+
+function renderDeliveryRow(delivery) {
+  const row = el('tr', 'border-t border-gray-800 align-top');
+  row.appendChild(el('td', 'p-3 whitespace-nowrap text-gray-400', formatDate(delivery.created_at)));
+  row.appendChild(el('td', 'p-3', delivery.event));
+  const endpoint = el('td', 'p-3 max-w-xs truncate text-gray-400', delivery.url);
+  endpoint.title = delivery.url;
+  row.appendChild(endpoint);
+
+  const status = el('td', 'p-3 ' + (DELIVERY_TONES[delivery.status] || ''), delivery.status);
+  if (delivery.status === 'pending' && delivery.attempts) {
+    status.appendChild(el('span', 'block text-xs text-gray-500', 'retry ' + formatDate(delivery.next_attempt_at)));
+  }
+  row.appendChild(status);
+  row.appendChild(el('td', 'p-3', delivery.attempts));
+  row.appendChild(el('td', 'p-3 max-w-xs text-gray-400', delivery.last_error || delivery.response_status || '—'));
+
+  const actions = el('td', 'p-3 text-right whitespace-nowrap space-x-3');
+  const show = el('button', 'text-gray-300 hover:underline', 'Payload');
+  show.type = 'button';
+  show.setAttribute('aria-expanded', 'false');
+  show.addEventListener('click', () => {
+    const open = row.nextElementSibling && row.nextElementSibling.classList.contains('delivery-payload');
+    if (open) {
+      row.nextElementSibling.remove();
+    } else {
+      const detail = el('tr', 'delivery-payload');
+      const cell = el('td', 'p-3 bg-gray-950');
+      cell.colSpan = 7;
+      let payload = delivery.payload;
+      try { payload = JSON.stringify(JSON.parse(payload), null, 2); } catch (err) { /* shown as stored */ }
+      cell.appendChild(el('pre', 'text-xs whitespace-pre-wrap break-all', payload));
+      detail.appendChild(cell);
+      row.after(detail);
+    }
+    show.setAttribute('aria-expanded', String(!open));
+  });
+  actions.appendChild(show);
+
+  const replay = el('button', 'text-cyanCustom hover:underline', 'Replay');
+  replay.type = 'button';
+  replay.addEventListener('click', () =>
+    webhookAction(`/admin/api/webhooks/deliveries/${delivery.id}/replay`, { method: 'POST' }, 'Delivery queued again.'));
+  actions.appendChild(replay);
+  row.appendChild(actions);
+  return row;
+}
+
+function initWebhooksTab() {
+  const form = $('#webhook-form');
+  if (!form) return;
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const events = $$('#webhook-form input[name="events"]:checked').map(input => input.value);
+    if (events.length === 0) return showMessage('Pick at least one event.', true);
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    try {
+      await api('/admin/api/webhooks', {
+        method: 'POST',
+        body: JSON.stringify({ url: form.elements.url.value, description: form.elements.description.value, events })
+      });
+      form.reset();
+      showMessage('Webhook added. Use its signing secret to verify requests.');
+      loadWebhooks();
+    } catch (err) {
+      showMessage(err.message, true);
+    } finally {
+      button.disabled = false;
+    }
+  });
+  $('#webhook-status').addEventListener('change', (e) => {
+    webhookStatus = e.target.value;
+    state.page = 1;
+    loadWebhooks();
+  });
+}
+
+/* -------------------------
+   Export / import
+   ------------------------- */
+function renderExportFields() {
+  const form = $('#export-form');
+  const box = $('#export-fields');
+  const fields = (window.EXPORT_FIELDS || {})[form.elements.table.value] || [];
+  box.innerHTML = '';
+  fields.forEach(field => {
+    const label = el('label', 'inline-flex items-center gap-1');
+    const input = el('input');
+    input.type = 'checkbox';
+    input.name = 'fields';
+    input.value = field;
+    input.checked = true;
+    label.appendChild(input);
+    label.appendChild(el('span', '', field));
+    box.appendChild(label);
+  });
+}
+
+function initDataTab() {
+  const exportForm = $('#export-form');
+  const importForm = $('#import-form');
+  if (!exportForm || !importForm) return;
+
+  renderExportFields();
+  exportForm.elements.table.addEventListener('change', renderExportFields);
+  exportForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const f = exportForm.elements;
+    const fields = $$('#export-fields input:checked').map(input => input.value);
+    if (fields.length === 0) return showMessage('Pick at least one field.', true);
+    const params = new URLSearchParams({ fields: fields.join(',') });
+    if (f.from.value) params.set('from', f.from.value);
+    if (f.to.value) params.set('to', f.to.value);
+    // A plain navigation lets the browser handle the attachment download
+    window.location.href = `/admin/export/${f.table.value}.${f.format.value}?${params}`;
+  });
+
+  importForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const button = importForm.querySelector('button[type="submit"]');
+    button.disabled = true;
+    try {
+      const data = await api('/admin/api/import', { method: 'POST', body: new FormData(importForm) });
+      showMessage(`Imported ${data.imported} contact(s); skipped ${data.duplicates} duplicate(s) and ${data.invalid} invalid row(s).`);
+      importForm.reset();
+    } catch (err) {
+      showMessage(err.message, true);
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+/* -------------------------
+   Tabs, search, paging
+   ------------------------- */
+function switchTab(tab) {
+  state.tab = tab;
+  state.page = 1;
+  $$('.admin-tab').forEach(btn => {
+    const active = btn.dataset.tab === tab;
+    btn.classList.toggle('bg-cyanCustom', active);
+    btn.classList.toggle('text-gray-900', active);
+    btn.setAttribute('aria-selected', active);
+  });
+  $$('.admin-panel').forEach(panel => panel.classList.toggle('hidden', panel.id !== 'tab-' + tab));
+  // Search and status filter only apply to the list tabs; the webhook
+  // delivery log pages too
+  const isList = tab === 'contacts' || tab === 'chats';
+  $('#admin-toolbar').classList.toggle('hidden', !isList);
+  $('#admin-pager').classList.toggle('hidden', !isList && tab !== 'webhooks');
+  refresh();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  $$('.admin-tab').forEach(btn => btn.addEventListener('click', () => switchTab(btn.dataset.tab)));
+
+  let searchTimer = null;
+  $('#admin-search').addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      state.q = e.target.value.trim();
+      state.page = 1;
+      refresh();
+    }, 300);
+  });
+  $('#admin-status').addEventListener('change', (e) => {
+    state.status = e.target.value;
+    state.page = 1;
+    refresh();
+  });
+  $('#admin-prev').addEventListener('click', () => { if (state.page > 1) { state.page--; refresh(); } });
+  $('#admin-next').addEventListener('click', () => { if (state.page < state.pages) { state.page++; refresh(); } });
+  initDataTab();
+  initLiveTab();
+  initWebhooksTab();
+  initSearchTab();
+  $('#analytics-days')?.addEventListener('change', loadAnalytics);
+
+  switchTab('contacts');
+});
@@ -0,0 +1,62 @@
+// analytics.js - first-party usage counts: which sections visitors reach and
+// how they use the chat, contact form, theme toggle and carousels. Events are
+// batched and sent with navigator.sendBeacon to /analytics (see analytics.py),
+// which keeps daily counts only: no cookies, IPs or visitor ids. Browsers
+// sending Do Not Track or Global Privacy Control are not counted at all.
+
+const ENDPOINT = '/analytics';
+const FLUSH_DELAY_MS = 5000;
+const MAX_BATCH = 20;
+
+let queue = [];
+let flushTimer = null;
+let enabled = false;
+const once = new Set(); // event:target pairs counted at most once per page view
+
+function optedOut() {
+  return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+// Records one event; `target` says which section, theme or button it was about
+export function track(event, target = '') {
+  if (!enabled) return;
+  queue.push({ event, target: String(target), path: location.pathname });
+  if (queue.length >= MAX_BATCH) flush();
+  else if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+}
+
+// track() for things that happen once per page view (a section coming into view)
+export function trackOnce(event, target = '') {
+  const key = event + ':' + target;
+  if (once.has(key)) return;
+  once.add(key);
+  track(event, target);
+}
+
+// Sends the queued events. sendBeacon survives the page being closed; fetch
+// with keepalive is the fallback where it is missing or refuses the batch.
+export function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (queue.length === 0) return;
+  const body = JSON.stringify({ events: queue });
+  queue = [];
+  const blob = new Blob([body], { type: 'application/json' });
+  if (navigator.sendBeacon && navigator.sendBeacon(ENDPOINT, blob)) return;
+  if (typeof fetch === 'function') {
+    fetch(ENDPOINT, { method: 'POST', body, keepalive: true, credentials: 'omit', headers: { 'Content-Type': 'application/json' } })
+      .catch(() => {});
+  }
+}
+
+export function initAnalytics() {
+  enabled = !optedOut();
+  queue = [];
+  once.clear();
+  if (!enabled) return;
+  // Whatever is queued goes out when the visitor leaves or switches tabs
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  window.addEventListener('pagehide', flush);
+}
@@ -0,0 +1,42 @@
+// animations.js - the GSAP-powered transitions. motion.js imports this module
+// lazily (see loadAnimations); callers fall back to plain DOM/CSS changes
+// until it has loaded, or when it can't be.
+import { gsap } from 'gsap';
+import { ScrollToPlugin } from 'gsap/ScrollToPlugin';
+
+gsap.registerPlugin(ScrollToPlugin);
+
+// Sun <-> moon: fade/scale out the old icon, fade/scale in the new one with a slight rotate
+export function swapThemeIcon(svgEl, toLight) {
+  const sun = svgEl.querySelector('.icon-sun');
+  const moon = svgEl.querySelector('.icon-moon');
+  if (!sun || !moon) return;
+  const [from, to] = toLight ? [moon, sun] : [sun, moon];
+  gsap.timeline()
+    .to(from, { opacity: 0, scale: 0.75, transformOrigin: '12px 12px', duration: 0.28, ease: 'power2.in' })
+    .fromTo(to, { opacity: 0, scale: 0.8, rotation: toLight ? -20 : 20 }, { opacity: 1, scale: 1, rotation: 0, duration: 0.45, ease: 'back.out(1.4)' }, '<');
+}
+
+export function scrollToY(y) {
+  gsap.to(window, { duration: 1.2, scrollTo: { y }, ease: 'power2.inOut' });
+}
+
+export function openMenu(menu) {
+  gsap.set(menu, { height: 'auto' });
+  gsap.from(menu, { height: 0, duration: 0.4, ease: 'power2.inOut' });
+}
+
+export function closeMenu(menu) {
+  gsap.to(menu, { height: 0, duration: 0.3, ease: 'power2.inOut' });
+}
+
+export function showPanel(panel) {
+  gsap.fromTo(panel,
+    { opacity: 0, scale: 0.8, y: 10 },
+    { opacity: 1, scale: 1, y: 0, duration: 0.3, ease: 'back.out(1.7)' }
+  );
+}
+
+export function hidePanel(panel, onComplete) {
+  gsap.to(panel, { opacity: 0, scale: 0.8, y: 10, duration: 0.2, ease: 'power2.in', onComplete });
+}
@@ -0,0 +1,73 @@
+// api.js - fetch helpers shared by the page modules and the client for the
+// JSON API under /api/v1 (see api_v1.py)
+
+// Shared request helper: same-origin fetch that carries the CSRF token from
+// <meta name="csrf-token">, which the server requires on every POST.
+// Requests that never reached the server reject with err.offline set.
+export function apiFetch(url, options = {}) {
+  const meta = document.querySelector('meta[name="csrf-token"]');
+  const headers = Object.assign({}, options.headers);
+  if (meta && meta.content) headers['X-CSRFToken'] = meta.content;
+  return fetch(url, Object.assign({}, options, { headers, credentials: 'same-origin' })).catch(err => {
+    if (err.name !== 'AbortError') err.offline = true;
+    throw err;
+  });
+}
+
+// Seconds to wait after a 429, from the Retry-After header or the JSON body
+export function retryAfterSeconds(res, data) {
+  const seconds = parseInt(res.headers.get('Retry-After') || (data && data.retry_after), 10);
+  return seconds > 0 ? seconds : 30;
+}
+
+const API_ROOT = '/api/v1/';
+
+// A failed API call. `code` is the server's error code (see api_v1.py), or
+// 'offline' when the request never reached it; `message` is the server's
+// text for visitors and may be empty. `fields` maps invalid fields to their
+// messages and `retryAfter` is set for rate limits.
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'server_error', fields = null, retryAfter = 0 } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.retryAfter = retryAfter;
+    this.offline = code === 'offline';
+  }
+}
+
+// Calls the API and resolves with the JSON body; every failure rejects with
+// an ApiError (aborts keep their AbortError). `path` is relative to /api/v1
+// ('contacts'); absolute paths are used as they are, as in outbox entries
+// queued before /api/v1. `body` is sent as JSON. With `stream`, a
+// text/event-stream answer resolves with the Response itself.
+export async function api(path, { method = 'GET', body, signal, stream = false } = {}) {
+  const headers = { Accept: stream ? 'text/event-stream' : 'application/json' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  let res;
+  try {
+    res = await apiFetch(path.startsWith('/') ? path : API_ROOT + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new ApiError('', { code: 'offline' });
+  }
+
+  if (stream && res.ok && res.body && (res.headers.get('Content-Type') || '').includes('text/event-stream')) return res;
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.ok) {
+    throw new ApiError(data.error || '', {
+      status: res.status,
+      code: data.code || 'server_error',
+      fields: data.fields || null,
+      retryAfter: res.status === 429 ? retryAfterSeconds(res, data) : 0
+    });
+  }
+  return data;
+}
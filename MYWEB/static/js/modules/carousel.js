@@ -0,0 +1,159 @@
+// carousel.js - reusable, accessible carousel (used for the testimonials)
+import { track as trackEvent } from './analytics.js';
+import { t } from './i18n.js';
+import { prefersReducedMotion } from './motion.js';
+
+// Turns a container into a carousel. Markup inside the root:
+//   [data-carousel-track] > .carousel-slide   slides, stacked by style.css
+//   [data-carousel-prev] / [data-carousel-next] buttons   (optional)
+//   [data-carousel-dots]    filled with one dot per slide  (optional)
+//   [data-carousel-toggle]  pauses / resumes autoplay      (optional)
+// Autoplay pauses while the carousel is hovered or focused and stays off for
+// visitors who prefer reduced motion. Navigation by the visitor (not
+// autoplay) is counted as carousel_nav with how it happened (see analytics.js).
+const CAROUSEL_SWIPE_THRESHOLD = 40; // px of horizontal travel that counts as a swipe
+const CAROUSEL_SHIFT = 40;           // px a slide travels while fading in/out
+
+export function createCarousel(root, options = {}) {
+  const track = root.querySelector('[data-carousel-track]');
+  const slides = track ? Array.from(track.querySelectorAll('.carousel-slide')) : [];
+  if (slides.length === 0) return null;
+
+  const count = slides.length;
+  const interval = options.interval || parseInt(root.dataset.carouselInterval, 10) || 6000;
+  const slideLabel = options.slideLabel || 'slide';
+  const dotsBox = root.querySelector('[data-carousel-dots]');
+  const toggle = root.querySelector('[data-carousel-toggle]');
+  let current = 0;
+  let timer = null;
+  let playing = options.autoplay !== false && count > 1 && !prefersReducedMotion();
+  let hovered = false;
+  let focused = false;
+
+  slides.forEach((slide, i) => {
+    slide.setAttribute('role', 'group');
+    slide.setAttribute('aria-roledescription', 'slide');
+    slide.setAttribute('aria-label', t('carousel.slide_of', { n: i + 1, count }));
+  });
+
+  const dots = slides.map((slide, i) => {
+    const dot = document.createElement('button');
+    dot.type = 'button';
+    dot.className = 'carousel-dot';
+    dot.setAttribute('aria-label', t('carousel.show_slide', { label: slideLabel, n: i + 1, count }));
+    dot.addEventListener('click', () => navigate('dot', () => goTo(i)));
+    return dot;
+  });
+  if (dotsBox) dotsBox.replaceChildren(...(count > 1 ? dots : []));
+
+  function updateHeight() {
+    track.style.height = slides[current].offsetHeight + 'px';
+  }
+
+  function update() {
+    slides.forEach((slide, i) => {
+      const active = i === current;
+      slide.classList.toggle('is-active', active);
+      slide.setAttribute('aria-hidden', String(!active));
+      slide.inert = !active;
+    });
+    dots.forEach((dot, i) => dot.setAttribute('aria-current', String(i === current)));
+    updateHeight();
+  }
+
+  // Autoplay runs only while playing and nobody is reading or interacting.
+  // The live region is polite only when slides change on request.
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    const running = playing && !hovered && !focused && !document.hidden;
+    if (running) timer = setTimeout(next, interval);
+    track.setAttribute('aria-live', running ? 'off' : 'polite');
+    if (toggle) {
+      toggle.hidden = count < 2;
+      toggle.textContent = t(playing ? 'carousel.pause' : 'carousel.play');
+      toggle.setAttribute('aria-label', t(playing ? 'carousel.pause_label' : 'carousel.play_label'));
+    }
+  }
+
+  // direction: 1 slides in from the right (forward), -1 from the left.
+  // It comes from the request, not from comparing indexes, so wrapping from
+  // the last slide to the first still moves forward.
+  function show(index, direction) {
+    const target = ((index % count) + count) % count;
+    if (target !== current) {
+      const shift = prefersReducedMotion() ? 0 : CAROUSEL_SHIFT;
+      const incoming = slides[target];
+      // Park the incoming slide on its entry side without animating, then let it slide in
+      incoming.style.transition = 'none';
+      incoming.style.transform = `translateX(${direction * shift}px)`;
+      void incoming.offsetWidth;
+      incoming.style.transition = '';
+      incoming.style.transform = '';
+      slides[current].style.transform = `translateX(${-direction * shift}px)`;
+      current = target;
+      update();
+    }
+    schedule();
+  }
+
+  function next() { show(current + 1, 1); }
+  function prev() { show(current - 1, -1); }
+  function goTo(index) { show(index, index >= current ? 1 : -1); }
+  function play() { playing = count > 1; schedule(); }
+  function pause() { playing = false; schedule(); }
+  function navigate(how, action) {
+    trackEvent('carousel_nav', how);
+    action();
+  }
+
+  root.querySelector('[data-carousel-prev]')?.addEventListener('click', () => navigate('prev', prev));
+  root.querySelector('[data-carousel-next]')?.addEventListener('click', () => navigate('next', next));
+  if (toggle) toggle.addEventListener('click', () => (playing ? pause() : play()));
+
+  root.addEventListener('mouseenter', () => { hovered = true; schedule(); });
+  root.addEventListener('mouseleave', () => { hovered = false; schedule(); });
+  root.addEventListener('focusin', () => { focused = true; schedule(); });
+  root.addEventListener('focusout', (e) => {
+    if (root.contains(e.relatedTarget)) return;
+    focused = false;
+    schedule();
+  });
+  document.addEventListener('visibilitychange', schedule);
+
+  root.addEventListener('keydown', (e) => {
+    const actions = { ArrowLeft: prev, ArrowRight: next, Home: () => goTo(0), End: () => goTo(count - 1) };
+    if (!actions[e.key]) return;
+    e.preventDefault();
+    navigate('key', actions[e.key]);
+  });
+
+  // Swipe: horizontal drags change slides; vertical ones are left to scrolling
+  let swipeStart = null;
+  track.addEventListener('pointerdown', (e) => { swipeStart = { x: e.clientX, y: e.clientY }; });
+  track.addEventListener('pointercancel', () => { swipeStart = null; });
+  track.addEventListener('pointerup', (e) => {
+    if (!swipeStart) return;
+    const dx = e.clientX - swipeStart.x;
+    const dy = e.clientY - swipeStart.y;
+    swipeStart = null;
+    if (Math.abs(dx) < CAROUSEL_SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+    navigate('swipe', dx < 0 ? next : prev);
+  });
+
+  // Keep the track as tall as the active slide when text reflows
+  if (typeof ResizeObserver !== 'undefined') {
+    const observer = new ResizeObserver(updateHeight);
+    slides.forEach(slide => observer.observe(slide));
+  } else {
+    let resizeTimer = null;
+    window.addEventListener('resize', () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(updateHeight, 150);
+    });
+  }
+
+  update();
+  schedule();
+  return { next, prev, goTo, play, pause, get index() { return current; } };
+}
@@ -0,0 +1,571 @@
+// chat.js - the floating chat widget: sends visitor messages to
+// /api/v1/chats/messages (streamed where the browser can read streams),
+// renders the bot's replies with their cards, links and quick replies,
+// restores the session's history and queues messages offline.
+// While the site owner answers live (liveChat.js), their replies come over a
+// WebSocket instead of the bot's.
+import { track } from './analytics.js';
+import { api, ApiError } from './api.js';
+import { $, focusableIn } from './dom.js';
+import { t } from './i18n.js';
+import { connectLiveChat } from './liveChat.js';
+import { animations, prefersReducedMotion } from './motion.js';
+import { scrollToSection } from './navigation.js';
+import { outboxAdd, outboxEntries, outboxRemove, registerOutbox, setOutboxStatus } from './outbox.js';
+
+const CHAT_SESSION_KEY = 'chatSessionId';
+const CHAT_HISTORY_LIMIT = 100; // messages restored on page load
+
+// Bubble styles per sender; anything unknown is shown as the bot
+const BUBBLE_CLASSES = {
+  user: 'inline-block bg-gray-700 text-gray-100 p-2 rounded',
+  bot: 'inline-block bg-gray-800 text-cyanCustom p-2 rounded',
+  owner: 'inline-block bg-gray-800 text-gray-100 border border-cyanCustom p-2 rounded'
+};
+
+let chatWidget = null; // what initChatForm hands back for the panel to use
+
+// Returns the visitor's chat session id, creating and persisting one on first use
+function getChatSessionId() {
+  let id = null;
+  try { id = localStorage.getItem(CHAT_SESSION_KEY); } catch (e) { /* storage disabled */ }
+  if (!id) {
+    id = (window.crypto && typeof crypto.randomUUID === 'function')
+      ? crypto.randomUUID()
+      : Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
+    setChatSessionId(id);
+  }
+  return id;
+}
+
+function setChatSessionId(id) {
+  try { localStorage.setItem(CHAT_SESSION_KEY, id); } catch (e) { /* storage disabled */ }
+}
+
+// Message list, streaming replies, quick replies, the offline queue and the
+// live channel to the owner. Returns { connectLive }.
+function initChatForm() {
+  const chatForm = document.getElementById('chat-form');
+  const chatLog = document.getElementById('chat-log');
+  const chatInput = document.getElementById('chat-input');
+  const chatAnnouncer = document.getElementById('chat-announcer');
+  if (!chatForm || !chatLog || !chatInput) return;
+
+  // The log itself is not live: streamed replies would be read out chunk by
+  // chunk. Finished replies and notes are announced whole from here instead.
+  function announce(text) {
+    if (!chatAnnouncer || !text) return;
+    chatAnnouncer.textContent = '';
+    // A fresh node per message, so a repeated reply is read again
+    const line = document.createElement('p');
+    line.textContent = text;
+    chatAnnouncer.appendChild(line);
+  }
+
+  // Helper: append a message wrapper and return the bubble element for incremental updates
+  function createMessageBubble(who = 'user') {
+    const wrapper = document.createElement('div');
+    wrapper.className = who === 'user' ? 'text-right mb-2' : 'text-left mb-2';
+    const bubble = document.createElement('div');
+    bubble.className = BUBBLE_CLASSES[who] || BUBBLE_CLASSES.bot;
+    // Use a text node for safe incremental typing
+    const textNode = document.createTextNode('');
+    bubble.appendChild(textNode);
+    wrapper.appendChild(bubble);
+    chatLog.appendChild(wrapper);
+    chatLog.scrollTop = chatLog.scrollHeight;
+    return { wrapper, bubble, textNode };
+  }
+
+  // A note from the widget itself (cancelled, errors, the owner joining...)
+  function addNote(text) {
+    const note = createMessageBubble('bot');
+    note.bubble.classList.add('italic', 'opacity-80');
+    note.textNode.data = text;
+    announce(text);
+    return note;
+  }
+
+  // Typing indicator for the bot or the owner (three-dot animation via JS)
+  function showTypingIndicator(){
+    const { wrapper, bubble } = createMessageBubble('bot');
+    bubble.classList.add('opacity-80', 'italic', 'text-sm');
+    const indicator = document.createElement('span');
+    indicator.textContent = '...';
+    bubble.innerHTML = '';
+    bubble.appendChild(indicator);
+    wrapper.setAttribute('aria-hidden', 'true');
+    if (prefersReducedMotion()) return { wrapper, bubble, indicator, stop: () => {} };
+
+    let i = 0;
+    const frames = ['.', '..', '...'];
+    const iv = setInterval(() => {
+      indicator.textContent = frames[i % frames.length];
+      i++;
+      chatLog.scrollTop = chatLog.scrollHeight;
+    }, 400);
+
+    return { wrapper, bubble, indicator, stop: () => { clearInterval(iv); } };
+  }
+
+  // Only section anchors and absolute http(s) URLs are rendered as links
+  const SAFE_HREF = /^(#[\w-]+|https?:\/\/\S+)$/;
+
+  function createReplyLink(link, className) {
+    if (!link || !link.label || !SAFE_HREF.test(link.href || '')) return null;
+    const a = document.createElement('a');
+    a.href = link.href;
+    a.textContent = link.label;
+    a.className = className;
+    if (link.href.startsWith('#')) {
+      a.addEventListener('click', (e) => {
+        e.preventDefault();
+        scrollToSection(link.href);
+      });
+    } else {
+      a.target = '_blank';
+      a.rel = 'noopener noreferrer';
+    }
+    return a;
+  }
+
+  // Remove quick-reply chips once the conversation has moved on
+  function clearQuickReplies() {
+    chatLog.querySelectorAll('.chat-quick-replies').forEach(el => el.remove());
+  }
+
+  // Render the structured parts of a bot reply (cards, links, quick replies)
+  // below its bubble. Everything goes through textContent, never innerHTML.
+  function renderReplyExtras(wrapper, extras, withQuickReplies = true) {
+    if (!extras) return;
+
+    (extras.cards || []).forEach(card => {
+      const el = document.createElement('div');
+      el.className = 'chat-card mt-2 p-3 rounded border border-gray-700 bg-gray-900 text-left';
+      if (card.title) {
+        const title = document.createElement('div');
+        title.className = 'font-semibold text-gray-100';
+        title.textContent = card.title;
+        el.appendChild(title);
+      }
+      if (card.body) {
+        const body = document.createElement('p');
+        body.className = 'text-gray-400 mt-1 whitespace-pre-line';
+        body.textContent = card.body;
+        el.appendChild(body);
+      }
+      const link = createReplyLink(card.link, 'inline-block mt-2 text-cyanCustom underline');
+      if (link) el.appendChild(link);
+      wrapper.appendChild(el);
+    });
+
+    const links = (extras.links || []).map(l => createReplyLink(l, 'text-cyanCustom underline')).filter(Boolean);
+    if (links.length) {
+      const row = document.createElement('div');
+      row.className = 'chat-links mt-1 flex flex-wrap gap-3';
+      links.forEach(a => row.appendChild(a));
+      wrapper.appendChild(row);
+    }
+
+    const quickReplies = extras.quick_replies || [];
+    if (withQuickReplies && quickReplies.length) {
+      const row = document.createElement('div');
+      row.className = 'chat-quick-replies mt-2 flex flex-wrap gap-2';
+      quickReplies.forEach(label => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'px-3 py-1 rounded-full border border-cyanCustom text-cyanCustom text-xs hover:bg-gray-800';
+        chip.textContent = label;
+        chip.addEventListener('click', () => submitChatText(label));
+        row.appendChild(chip);
+      });
+      wrapper.appendChild(row);
+    }
+    chatLog.scrollTop = chatLog.scrollHeight;
+  }
+
+  // Restore earlier messages of this session (rendered instantly, no typing effect)
+  async function loadChatHistory() {
+    try {
+      const sessionId = encodeURIComponent(getChatSessionId());
+      const data = await api(`chats/${sessionId}/messages?per_page=${CHAT_HISTORY_LIMIT}`);
+      // The API lists newest first
+      const messages = (data.items || []).slice().reverse();
+      messages.forEach((msg, i) => {
+        const bubble = createMessageBubble(msg.sender);
+        bubble.textNode.data = msg.message;
+        // Chips only make sense on the latest message
+        if (msg.sender === 'bot') renderReplyExtras(bubble.wrapper, msg, i === messages.length - 1);
+      });
+    } catch (err) {
+      // History is a nicety; the widget still works without it
+      console.warn('Could not restore chat history:', err);
+    }
+  }
+
+  const chatControls = document.getElementById('chat-controls');
+  const chatCancel = document.getElementById('chat-cancel');
+  const chatRetry = document.getElementById('chat-retry');
+  let activeReply = null;     // AbortController of the reply currently streaming
+  let lastUserMessage = null; // resent by the Retry button
+  let lastUserBubble = null;  // marked as pending when the message is queued offline
+  const pendingChat = new Map(); // outbox entry id -> status label under the user's bubble
+
+  // Show the Stop button while streaming, Retry after a failure, nothing otherwise
+  function setChatControls(state) {
+    if (!chatControls) return;
+    chatControls.classList.toggle('hidden', state === 'idle');
+    if (chatCancel) chatCancel.classList.toggle('hidden', state !== 'streaming');
+    if (chatRetry) chatRetry.classList.toggle('hidden', state !== 'failed');
+  }
+
+  // Parse one SSE frame ("event: x\ndata: {...}") into { event, data }
+  function parseSSEFrame(frame) {
+    let event = 'message';
+    const dataLines = [];
+    frame.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (dataLines.length === 0) return null;
+    try {
+      return { event, data: JSON.parse(dataLines.join('\n')) };
+    } catch (e) {
+      return { event, data: dataLines.join('\n') };
+    }
+  }
+
+  // Rate-limited: disable sending (and Retry) until the server accepts messages again
+  let chatPauseTimer = null;
+  function pauseChat(seconds) {
+    const chatSubmit = chatForm.querySelector('button[type="submit"]');
+    chatInput.disabled = true;
+    if (chatSubmit) chatSubmit.disabled = true;
+    if (chatRetry) chatRetry.disabled = true;
+    clearTimeout(chatPauseTimer);
+    chatPauseTimer = setTimeout(() => {
+      chatInput.disabled = false;
+      if (chatSubmit) chatSubmit.disabled = false;
+      if (chatRetry) chatRetry.disabled = false;
+      chatInput.focus();
+    }, seconds * 1000);
+  }
+
+  // Request a reply and feed it to onEvent(event, data) chunk by chunk.
+  // Asks for a stream when the browser can read response streams; a JSON
+  // answer (no stream support, or the owner answering live) is emitted at once.
+  async function requestBotReply(payload, signal, onEvent) {
+    const canStream = typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+    const answer = await api('chats/messages', { method: 'POST', body: payload, signal, stream: canStream });
+
+    if (!(answer instanceof Response)) {
+      if (answer.session_id) onEvent('session', { session_id: answer.session_id });
+      // The owner has the conversation: the answer comes over the live socket
+      if (answer.live) {
+        onEvent('live', answer);
+        return;
+      }
+      onEvent('token', { text: answer.reply || '' });
+      onEvent('done', answer);
+      return;
+    }
+
+    const reader = answer.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const frame = parseSSEFrame(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (frame) onEvent(frame.event, frame.data);
+      }
+    }
+  }
+
+  async function sendChatMessage(text, retry = false) {
+    if (activeReply) activeReply.abort();
+    const controller = new AbortController();
+    activeReply = controller;
+    lastUserMessage = text;
+    setChatControls('streaming');
+
+    // Typing indicator stays up until the first chunk arrives
+    const typing = showTypingIndicator();
+    let bot = null;
+    const botBubble = () => {
+      if (!bot) {
+        typing.stop();
+        typing.wrapper.remove();
+        bot = createMessageBubble('bot');
+      }
+      return bot;
+    };
+
+    try {
+      let failure = null;
+      let answeredLive = false;
+      await requestBotReply({ message: text, session_id: getChatSessionId(), retry }, controller.signal, (event, data) => {
+        if (event === 'session' && data.session_id) {
+          // The server issues a fresh id if ours was rejected; keep using that one
+          setChatSessionId(data.session_id);
+        } else if (event === 'token') {
+          botBubble().textNode.data += data.text || '';
+          chatLog.scrollTop = chatLog.scrollHeight;
+        } else if (event === 'done') {
+          renderReplyExtras(botBubble().wrapper, data);
+        } else if (event === 'error') {
+          failure = data.error;
+        } else if (event === 'live') {
+          answeredLive = true;
+        }
+      });
+      if (failure) throw new ApiError(failure);
+      if (answeredLive) {
+        typing.stop();
+        typing.wrapper.remove();
+        setLive(true);
+        setChatControls('idle');
+        return;
+      }
+      if (!bot || !bot.textNode.data) botBubble().textNode.data = t('chat.default_reply');
+      announce(bot.textNode.data);
+      setChatControls('idle');
+    } catch (err) {
+      typing.stop();
+      typing.wrapper.remove();
+      // A newer message superseded this one; it owns the controls now
+      if (activeReply !== controller) return;
+      // Offline: keep the message and send it once the connection is back
+      if (err.offline && lastUserBubble && await queueChatMessage(text, lastUserBubble.wrapper)) {
+        setChatControls('idle');
+        return;
+      }
+      let note = t('chat.network_error');
+      if (err.name === 'AbortError') note = t('chat.cancelled');
+      else if (err instanceof ApiError && !err.offline) note = err.message || t('chat.bot_failed');
+      addNote(note);
+      setChatControls('failed');
+      if (err.retryAfter) pauseChat(err.retryAfter);
+    } finally {
+      if (activeReply === controller) activeReply = null;
+    }
+  }
+
+  if (chatCancel) chatCancel.addEventListener('click', () => { if (activeReply) activeReply.abort(); });
+  if (chatRetry) chatRetry.addEventListener('click', () => { if (lastUserMessage) sendChatMessage(lastUserMessage, true); });
+
+  // Send a visitor message, typed or picked from a quick-reply chip
+  function submitChatText(text) {
+    clearQuickReplies();
+    // Show user's message immediately (no typing for user)
+    const userBubble = createMessageBubble('user');
+    userBubble.textNode.data = text;
+    lastUserBubble = userBubble;
+    sendChatMessage(text);
+  }
+
+  function trackPendingChat(id, wrapper) {
+    const status = document.createElement('div');
+    status.className = 'chat-outbox-status text-xs mt-1';
+    setOutboxStatus(status, 'pending');
+    wrapper.appendChild(status);
+    pendingChat.set(id, status);
+  }
+
+  async function queueChatMessage(text, wrapper) {
+    const entry = await outboxAdd('chat', 'chats/messages', { message: text, session_id: getChatSessionId() });
+    if (!entry) return false;
+    trackPendingChat(entry.id, wrapper);
+    return true;
+  }
+
+  // Messages still queued from an earlier visit go below the restored history
+  async function restorePendingChat() {
+    const sessionId = getChatSessionId();
+    (await outboxEntries('chat')).forEach(entry => {
+      // A rejected message was already reported as failed
+      if (entry.rejected) return outboxRemove(entry.id);
+      if (entry.payload.session_id !== sessionId) return;
+      const bubble = createMessageBubble('user');
+      bubble.textNode.data = entry.payload.message;
+      trackPendingChat(entry.id, bubble.wrapper);
+    });
+  }
+
+  // A queued message reached the server: show the bot's answer
+  function onChatReplayed(entry, ok, data) {
+    const status = pendingChat.get(entry.id);
+    pendingChat.delete(entry.id);
+    if (status) {
+      setOutboxStatus(status, ok ? 'sent' : 'failed', data.error || t('chat.bot_failed'));
+      if (ok) setTimeout(() => status.remove(), 3000);
+    }
+    // The failure is shown under the message; there is nothing to hand back
+    if (!ok) return outboxRemove(entry.id);
+    if (data.session_id) setChatSessionId(data.session_id);
+    if (data.live) return setLive(true);
+    clearQuickReplies();
+    const bot = createMessageBubble('bot');
+    bot.textNode.data = data.reply || t('chat.default_reply');
+    renderReplyExtras(bot.wrapper, data);
+    announce(bot.textNode.data);
+  }
+
+  // ---- Live chat with the site owner ----
+  const chatStatus = document.getElementById('chat-status');
+  const liveState = { ownerOnline: false, live: false };
+  let live = null;         // liveChat.js connection, opened with the panel
+  let ownerTyping = null;  // the owner's typing indicator while it shows
+
+  function showLiveStatus() {
+    if (!chatStatus) return;
+    let text = '';
+    if (liveState.live) text = t('chat.owner_live');
+    else if (liveState.ownerOnline) text = t('chat.owner_online');
+    chatStatus.textContent = text;
+    chatStatus.classList.toggle('hidden', !text);
+  }
+
+  function setOwnerTyping(typing) {
+    if (typing && !ownerTyping) {
+      ownerTyping = showTypingIndicator();
+    } else if (!typing && ownerTyping) {
+      ownerTyping.stop();
+      ownerTyping.wrapper.remove();
+      ownerTyping = null;
+    }
+  }
+
+  function setLive(isLive) {
+    liveState.live = isLive;
+    if (!isLive) setOwnerTyping(false);
+    showLiveStatus();
+  }
+
+  function onLiveFrame(frame) {
+    switch (frame.type) {
+      case 'status':
+        liveState.ownerOnline = !!frame.owner_online;
+        setLive(!!frame.live);
+        break;
+      case 'presence':
+        liveState.ownerOnline = !!frame.owner_online;
+        showLiveStatus();
+        break;
+      case 'handoff':
+        if (!!frame.live !== liveState.live) addNote(t(frame.live ? 'chat.owner_joined' : 'chat.owner_left'));
+        setLive(!!frame.live);
+        break;
+      case 'typing':
+        setOwnerTyping(!!frame.typing && liveState.live);
+        break;
+      case 'message': {
+        setOwnerTyping(false);
+        clearQuickReplies();
+        const owner = createMessageBubble('owner');
+        owner.textNode.data = frame.message || '';
+        announce(t('chat.owner_says', { message: owner.textNode.data }));
+        break;
+      }
+    }
+  }
+
+  // Until the socket is back nothing is known about the owner; the bot answers
+  function onLiveClose() {
+    liveState.ownerOnline = false;
+    setLive(false);
+  }
+
+  function connectLive() {
+    if (!live) live = connectLiveChat(getChatSessionId, { onFrame: onLiveFrame, onClose: onLiveClose });
+  }
+
+  chatInput.addEventListener('input', () => { if (live) live.setTyping(chatInput.value.trim() !== ''); });
+
+  loadChatHistory()
+    .then(restorePendingChat)
+    .then(() => registerOutbox('chat', onChatReplayed));
+
+  chatForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text) return;
+    chatInput.value = '';
+    if (live) live.setTyping(false);
+    submitChatText(text);
+  });
+
+  return { connectLive };
+}
+
+// The open panel is a dialog: focus moves into it, Tab cycles inside it and
+// Escape (or the close button) returns focus to the toggle
+function isChatOpen() {
+  const chatPanel = $('#chat-panel');
+  return !!chatPanel && !chatPanel.classList.contains('hidden');
+}
+
+function openChatPanel() {
+  const chatPanel = $('#chat-panel');
+  chatPanel.classList.remove('hidden');
+  $('#chat-toggle')?.setAttribute('aria-expanded', 'true');
+  // Opening the panel is what tells the owner a visitor is chatting
+  chatWidget?.connectLive();
+  if (animations) animations.showPanel(chatPanel);
+  ($('#chat-input') || focusableIn(chatPanel)[0])?.focus();
+}
+
+function closeChatPanel() {
+  const chatPanel = $('#chat-panel');
+  const chatToggle = $('#chat-toggle');
+  chatToggle?.setAttribute('aria-expanded', 'false');
+  if (animations) animations.hidePanel(chatPanel, () => chatPanel.classList.add('hidden'));
+  else chatPanel.classList.add('hidden');
+  chatToggle?.focus();
+}
+
+function toggleChatPanel() {
+  if (isChatOpen()) {
+    closeChatPanel();
+  } else {
+    track('chat_open');
+    openChatPanel();
+  }
+}
+
+function onChatPanelKeydown(e) {
+  if (!isChatOpen()) return;
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeChatPanel();
+    return;
+  }
+  if (e.key !== 'Tab') return;
+  const focusable = focusableIn(e.currentTarget);
+  if (focusable.length === 0) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+export function initChat() {
+  const chatToggle = $('#chat-toggle');
+  const chatClose = $('#chat-close');
+  const chatPanel = $('#chat-panel');
+  if (chatPanel) {
+    if (chatToggle) chatToggle.addEventListener('click', toggleChatPanel);
+    if (chatClose) chatClose.addEventListener('click', closeChatPanel);
+    chatPanel.addEventListener('keydown', onChatPanelKeydown);
+  }
+  chatWidget = initChatForm();
+}
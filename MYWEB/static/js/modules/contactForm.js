@@ -0,0 +1,190 @@
+// contactForm.js - the #contact form: posted to /api/v1/contacts with
+// per-field errors, rate-limit countdown and offline queueing
+import { track } from './analytics.js';
+import { api, ApiError } from './api.js';
+import { t } from './i18n.js';
+import { outboxAdd, outboxEntries, outboxRemove, registerOutbox, setOutboxStatus } from './outbox.js';
+
+export function initContactForm() {
+  const contactForm = document.getElementById('contact-form');
+  const contactSuccess = document.getElementById('contact-success');
+  const contactOutbox = document.getElementById('contact-outbox');
+  if (!contactForm) return;
+
+  // Status line above the form: green for success, red for errors
+  let contactStatusTimer = null;
+  function showContactStatus(text, isError) {
+    if (!contactSuccess) return;
+    contactSuccess.textContent = text;
+    contactSuccess.classList.remove('hidden');
+    contactSuccess.classList.add('block');
+    contactSuccess.classList.toggle('text-red-400', isError);
+    contactSuccess.classList.toggle('text-green-400', !isError);
+    // Hide success/error after 5s
+    clearTimeout(contactStatusTimer);
+    contactStatusTimer = setTimeout(() => {
+      contactSuccess.classList.add('hidden');
+      contactSuccess.classList.remove('block');
+    }, 5000);
+  }
+
+  // Per-field messages from the server, shown under the matching input
+  function setFieldError(name, message) {
+    const field = contactForm.elements[name];
+    const slot = contactForm.querySelector(`[data-field-error="${name}"]`);
+    if (field) {
+      if (message) field.setAttribute('aria-invalid', 'true');
+      else field.removeAttribute('aria-invalid');
+      field.classList.toggle('border-red-500', !!message);
+      field.classList.toggle('border-gray-700', !message);
+    }
+    if (slot) {
+      slot.textContent = message || '';
+      slot.classList.toggle('hidden', !message);
+    }
+  }
+
+  function showFieldErrors(fields) {
+    ['name', 'email', 'message'].forEach(name => setFieldError(name, fields[name]));
+    const first = Object.keys(fields).map(name => contactForm.elements[name]).find(Boolean);
+    if (first) first.focus();
+  }
+
+  // The first keystroke of each message counts as a start (see analytics.js)
+  let contactStarted = false;
+  contactForm.addEventListener('input', (e) => {
+    if (e.target.name) setFieldError(e.target.name, null);
+    if (!contactStarted) {
+      contactStarted = true;
+      track('contact_start');
+    }
+  });
+
+  function contactSent(queued) {
+    track('contact_submit', queued ? 'offline' : '');
+    contactStarted = false;
+  }
+
+  // Rate-limited: keep the button disabled with a countdown until Retry-After passes
+  let contactLockedUntil = 0;
+  function lockContactForm(submitBtn, seconds) {
+    contactLockedUntil = Date.now() + seconds * 1000;
+    if (!submitBtn) return;
+    const tick = () => {
+      const left = Math.ceil((contactLockedUntil - Date.now()) / 1000);
+      if (left <= 0) {
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = submitBtn.dataset.origText || t('contact.send');
+        return;
+      }
+      submitBtn.disabled = true;
+      submitBtn.textContent = t('contact.retry_in', { seconds: left });
+      setTimeout(tick, 1000);
+    };
+    tick();
+  }
+
+  // Messages written offline, listed under the status line until they are sent
+  const contactOutboxItems = new Map(); // outbox entry id -> status label
+  function addContactOutboxItem(entry) {
+    const status = document.createElement('span');
+    if (contactOutbox) {
+      const item = document.createElement('li');
+      item.textContent = t('offline.contact_item', { name: entry.payload.name }) + ' — ';
+      item.appendChild(status);
+      contactOutbox.appendChild(item);
+      contactOutbox.classList.remove('hidden');
+    }
+    setOutboxStatus(status, 'pending');
+    contactOutboxItems.set(entry.id, status);
+    return status;
+  }
+
+  // Rejected entries whose message is back in the form. They stay queued
+  // until the form is sent again, so a reload doesn't lose them.
+  const restoredContacts = new Set();
+  function forgetRestoredContacts() {
+    restoredContacts.forEach(outboxRemove);
+    restoredContacts.clear();
+  }
+
+  async function queueContact(payload) {
+    const entry = await outboxAdd('contact', 'contacts', payload);
+    if (!entry) return false;
+    forgetRestoredContacts();
+    addContactOutboxItem(entry);
+    showContactStatus(t('offline.contact_queued'), false);
+    contactSent(true);
+    contactForm.reset();
+    showFieldErrors({});
+    return true;
+  }
+
+  // Rejected (e.g. invalid email): put the message back so it can be fixed,
+  // unless the visitor has started a new one
+  function restoreRejectedContact(entry, fields) {
+    if (contactForm.elements.message.value) return;
+    ['name', 'email', 'message'].forEach(name => { contactForm.elements[name].value = entry.payload[name] || ''; });
+    if (fields) showFieldErrors(fields);
+    restoredContacts.add(entry.id);
+  }
+
+  function onContactReplayed(entry, ok, data) {
+    const status = contactOutboxItems.get(entry.id) || addContactOutboxItem(entry);
+    contactOutboxItems.delete(entry.id);
+    setOutboxStatus(status, ok ? 'sent' : 'failed', data.error || t('contact.failed'));
+    if (!ok) restoreRejectedContact(entry, data.fields);
+  }
+
+  outboxEntries('contact')
+    .then(entries => entries.forEach(entry => {
+      const status = addContactOutboxItem(entry);
+      if (!entry.rejected) return;
+      contactOutboxItems.delete(entry.id);
+      setOutboxStatus(status, 'failed', entry.error || t('contact.failed'));
+      restoreRejectedContact(entry);
+    }))
+    .then(() => registerOutbox('contact', onContactReplayed));
+
+  contactForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (Date.now() < contactLockedUntil) return;
+    const submitBtn = contactForm.querySelector('button[type="submit"]');
+    const formData = new FormData(contactForm);
+    const payload = {
+      name: formData.get('name'),
+      email: formData.get('email'),
+      message: formData.get('message'),
+      website: formData.get('website'),
+      form_token: formData.get('form_token')
+    };
+
+    let retryAfter = 0;
+    try {
+      if (submitBtn) { submitBtn.disabled = true; submitBtn.dataset.origText = submitBtn.innerHTML; submitBtn.textContent = t('contact.sending'); }
+
+      const data = await api('contacts', { method: 'POST', body: payload });
+      forgetRestoredContacts();
+      showContactStatus(data.message || t('contact.sent'), false);
+      contactSent(false);
+      contactForm.reset();
+      showFieldErrors({});
+    } catch (err) {
+      if (err instanceof ApiError && !err.offline) {
+        retryAfter = err.retryAfter;
+        if (err.fields) showFieldErrors(err.fields);
+        showContactStatus(err.message || t('contact.failed'), true);
+      } else if (!err.offline || !await queueContact(payload)) {
+        // Offline: keep the message and send it once the connection is back
+        showContactStatus(t('contact.network_error'), true);
+      }
+    } finally {
+      if (retryAfter) {
+        lockContactForm(submitBtn, retryAfter);
+      } else if (submitBtn) {
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = submitBtn.dataset.origText || t('contact.send');
+      }
+    }
+  });
+}
@@ -0,0 +1,11 @@
+// dom.js - query shorthands shared by the page modules
+export const $ = s => document.querySelector(s);
+export const $$ = s => Array.from(document.querySelectorAll(s));
+
+const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Elements inside `root` that Tab can reach, in document order
+export function focusableIn(root) {
+  return Array.from(root.querySelectorAll(FOCUSABLE))
+    .filter(el => !el.disabled && !el.closest('.hidden, [hidden], [inert]'));
+}
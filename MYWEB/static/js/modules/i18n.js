@@ -0,0 +1,47 @@
+// i18n.js - UI strings in the visitor's language and the language switcher.
+// base.html embeds the visitor's catalog as window.I18N (see i18n.py).
+import { $$ } from './dom.js';
+
+const FALLBACK_I18N = { locale: 'en', locales: { en: 'English' }, messages: {} };
+export const LANG_KEY = 'lang';
+
+function catalog() {
+  return window.I18N || FALLBACK_I18N;
+}
+
+// t('contact.retry_in', { seconds: 5 }) -> "Try again in 5s"; unknown keys come back as-is
+export function t(key, vars) {
+  const message = catalog().messages[key];
+  if (message === undefined) return key;
+  if (!vars || typeof message !== 'string') return message;
+  return message.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? vars[name] : m));
+}
+
+// The server renders in the locale from the `lang` cookie (or Accept-Language);
+// localStorage holds the visitor's explicit choice and wins
+export function setLanguage(code) {
+  try { localStorage.setItem(LANG_KEY, code); } catch (e) { /* storage disabled */ }
+  document.cookie = `${LANG_KEY}=${encodeURIComponent(code)}; path=/; max-age=31536000; SameSite=Lax`;
+  if (code !== catalog().locale) location.reload();
+}
+
+// Runs before anything renders: re-applies a stored choice the server did not see
+export function syncStoredLanguage() {
+  const { locale, locales } = catalog();
+  let stored = null;
+  try { stored = localStorage.getItem(LANG_KEY); } catch (e) { /* storage disabled */ }
+  if (!stored || !(stored in locales) || stored === locale) return;
+  // The cookie went missing (cleared, new subdomain...): restore it and re-render,
+  // but only once per tab in case cookies are blocked
+  try {
+    if (sessionStorage.getItem('langSynced')) return;
+    sessionStorage.setItem('langSynced', '1');
+  } catch (e) { return; }
+  setLanguage(stored);
+}
+
+export function initLanguageSwitcher() {
+  $$('.lang-switcher').forEach(select => {
+    select.addEventListener('change', () => setLanguage(select.value));
+  });
+}
@@ -0,0 +1,70 @@
+// liveChat.js - the chat widget's WebSocket to the site owner (/chat_live, see
+// live_chat.py): owner presence and typing, live replies, and the visitor's
+// own typing. Visitor messages keep going over HTTP, so the widget works the
+// same (bot only) when sockets are unavailable.
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const TYPING_IDLE_MS = 3000; // typing ends after this long without a keystroke
+
+export function liveChatUrl(sessionId) {
+  const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${scheme}//${location.host}/chat_live?session_id=${encodeURIComponent(sessionId)}`;
+}
+
+// Opens the socket and keeps it open, reconnecting with a growing delay.
+// onFrame(frame) receives the server's frames ({ type: 'status' | 'presence'
+// | 'handoff' | 'typing' | 'message', ... }); onClose() runs whenever the
+// connection drops. Returns null without WebSocket support.
+export function connectLiveChat(getSessionId, { onFrame, onClose }) {
+  if (typeof WebSocket === 'undefined') return null;
+  let ws = null;
+  let delay = RECONNECT_MIN_MS;
+  let retryTimer = null;
+  let stopped = false;
+  let typingSent = false;
+  let typingTimer = null;
+
+  function open() {
+    // The session id is read again on every attempt; the server may have issued a new one
+    ws = new WebSocket(liveChatUrl(getSessionId()));
+    ws.addEventListener('open', () => { delay = RECONNECT_MIN_MS; });
+    ws.addEventListener('message', (e) => {
+      let frame = null;
+      try { frame = JSON.parse(e.data); } catch (err) { return; }
+      if (frame && frame.type) onFrame(frame);
+    });
+    ws.addEventListener('close', () => {
+      ws = null;
+      typingSent = false;
+      if (stopped) return;
+      if (onClose) onClose();
+      retryTimer = setTimeout(open, delay);
+      delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+    });
+  }
+
+  function send(frame) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+    ws.send(JSON.stringify(frame));
+    return true;
+  }
+
+  // Reports typing on changes only; a burst of keystrokes is one frame
+  function setTyping(typing) {
+    clearTimeout(typingTimer);
+    if (typing) typingTimer = setTimeout(() => setTyping(false), TYPING_IDLE_MS);
+    if (typing !== typingSent && send({ type: 'typing', typing })) typingSent = typing;
+  }
+
+  open();
+  return {
+    setTyping,
+    close() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      clearTimeout(typingTimer);
+      if (ws) ws.close();
+    }
+  };
+}
@@ -0,0 +1,46 @@
+// motion.js - GSAP lives in its own chunk (animations.js), fetched once the
+// page has loaded. Until it arrives, or when it can't (offline without a
+// cached copy, blocked, reduced motion), `animations` stays null and every
+// caller falls back to a plain DOM/CSS change.
+export let animations = null;
+let animationsPromise = null;
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+export function prefersReducedMotion() {
+  return !!(window.matchMedia && window.matchMedia(REDUCED_MOTION).matches);
+}
+
+// Calls fn(reduced) whenever the visitor changes the reduced-motion setting
+export function onReducedMotionChange(fn) {
+  const query = window.matchMedia && window.matchMedia(REDUCED_MOTION);
+  if (query && query.addEventListener) query.addEventListener('change', () => fn(query.matches));
+}
+
+export function loadAnimations() {
+  if (!animationsPromise) {
+    animationsPromise = import('./animations.js')
+      .catch(err => {
+        console.warn('Animations unavailable, using CSS fallbacks:', err);
+        return null;
+      });
+  }
+  // Checked on arrival too: the setting may have changed while it loaded
+  return animationsPromise.then(module => {
+    animations = prefersReducedMotion() ? null : module;
+    return animations;
+  });
+}
+
+// Fetch the animation chunk when the browser is idle after load, and drop
+// (or restore) it when the reduced-motion setting changes
+export function initMotion() {
+  window.addEventListener('load', () => {
+    if (prefersReducedMotion()) return;
+    const whenIdle = window.requestIdleCallback || (fn => setTimeout(fn, 200));
+    whenIdle(() => loadAnimations());
+  });
+  onReducedMotionChange(reduced => {
+    if (reduced) animations = null;
+    else loadAnimations();
+  });
+}
@@ -0,0 +1,73 @@
+// navigation.js - smooth scrolling to page sections and the mobile menu
+import { $, $$ } from './dom.js';
+import { animations, prefersReducedMotion } from './motion.js';
+
+// Scroll to a section (e.g. '#projects'), leaving room for the fixed header
+export function scrollToSection(targetId) {
+  const target = document.querySelector(targetId);
+  if (!target) return;
+  const header = $('#main-header');
+  const offset = (header ? header.offsetHeight : 0) + 10; // Offset by header height + a little padding
+
+  const top = target.getBoundingClientRect().top + window.scrollY - offset;
+
+  if (animations) animations.scrollToY(top);
+  else window.scrollTo({ top, behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+}
+
+// The closed menu is inert so its links drop out of the tab order and the
+// accessibility tree; aria-expanded on the button carries the state.
+function toggleMobileMenu() {
+    const menuButton = $('#menu-button');
+    const mobileMenu = $('#mobile-menu');
+    if (!menuButton || !mobileMenu) return;
+    const isExpanded = menuButton.getAttribute('aria-expanded') === 'true';
+    menuButton.setAttribute('aria-expanded', String(!isExpanded));
+    mobileMenu.inert = isExpanded;
+
+    if (isExpanded) {
+        // Close menu
+        if (animations) animations.closeMenu(mobileMenu);
+        else mobileMenu.style.height = '0px';
+    } else {
+        // Open menu (GSAP animates to height 'auto'; the CSS transition needs a fixed height)
+        if (animations) animations.openMenu(mobileMenu);
+        else mobileMenu.style.height = mobileMenu.scrollHeight + 'px';
+    }
+}
+
+function isMenuOpen() {
+  const menuButton = $('#menu-button');
+  return !!menuButton && menuButton.getAttribute('aria-expanded') === 'true';
+}
+
+export function initNavigation() {
+  $$('.smooth-scroll').forEach(anchor => {
+    anchor.addEventListener('click', function (e) {
+      e.preventDefault();
+      scrollToSection(this.getAttribute('href'));
+      // Close mobile menu if open
+      if (isMenuOpen()) toggleMobileMenu();
+    });
+  });
+
+  const menuButton = $('#menu-button');
+  if (menuButton) {
+      menuButton.addEventListener('click', toggleMobileMenu);
+  }
+  // Escape closes the open menu and hands focus back to its button
+  document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || e.defaultPrevented || !isMenuOpen()) return;
+      toggleMobileMenu();
+      menuButton.focus();
+  });
+  // Close menu when a link is clicked
+  $$('.mobile-link').forEach(link => {
+      link.addEventListener('click', () => {
+          if (isMenuOpen()) {
+              // Use setTimeout to ensure the scroll starts before menu closes
+              setTimeout(toggleMobileMenu, 100); 
+          }
+      });
+  });
+}
@@ -0,0 +1,176 @@
+// outbox.js - offline outbox: contact and chat posts made while offline are
+// kept in IndexedDB and replayed once the connection is back
+import { api, ApiError } from './api.js';
+import { t } from './i18n.js';
+
+const OUTBOX_DB = 'alamweb-outbox';
+const OUTBOX_STORE = 'requests';
+const OUTBOX_RETRY_MS = 30 * 1000; // next attempt after a failed replay
+const OUTBOX_STATUS_CLASSES = { pending: 'text-yellow-400', sent: 'text-green-400', failed: 'text-red-400' };
+const outboxSupported = typeof indexedDB !== 'undefined';
+const outboxHandlers = {}; // kind -> onResult(entry, ok, data)
+let outboxFlushing = false;
+let outboxFlushAgain = false;
+let outboxRetryTimer = null;
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(OUTBOX_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run one request against the store and resolve with its result once committed
+async function outboxRequest(mode, makeRequest) {
+  const db = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const req = makeRequest(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => { db.close(); resolve(req.result); };
+    tx.onerror = tx.onabort = () => { db.close(); reject(tx.error); };
+  });
+}
+
+// Queue a JSON POST to an API path (see api.js); resolves with the stored
+// entry, or null without IndexedDB
+export async function outboxAdd(kind, url, payload) {
+  if (!outboxSupported) return null;
+  const entry = { kind, url, payload, created_at: Date.now() };
+  try {
+    entry.id = await outboxRequest('readwrite', store => store.add(entry));
+    return entry;
+  } catch (err) {
+    console.warn('Could not queue request:', err);
+    return null;
+  }
+}
+
+// Queued entries, oldest first. Entries the server rejected stay (with
+// `rejected` set) until their UI removes them with outboxRemove.
+export async function outboxEntries(kind) {
+  if (!outboxSupported) return [];
+  try {
+    const entries = await outboxRequest('readonly', store => store.getAll());
+    return kind ? entries.filter(entry => entry.kind === kind) : entries;
+  } catch (err) {
+    console.warn('Could not read queued requests:', err);
+    return [];
+  }
+}
+
+function outboxDelete(id) {
+  return outboxRequest('readwrite', store => store.delete(id));
+}
+
+// Drop an entry, e.g. a rejected one its UI has dealt with
+export async function outboxRemove(id) {
+  if (!outboxSupported) return;
+  try {
+    await outboxDelete(id);
+  } catch (err) {
+    console.warn('Could not remove queued request:', err);
+  }
+}
+
+function outboxReject(entry, error) {
+  return outboxRequest('readwrite', store => store.put(Object.assign({}, entry, { rejected: true, error })));
+}
+
+// The UI for one kind of entry ('contact', 'chat') reports replay results;
+// entries are only replayed once their UI is ready to show the outcome
+export function registerOutbox(kind, onResult) {
+  outboxHandlers[kind] = onResult;
+  flushOutbox();
+}
+
+// Pending / sent / failed label shown next to a queued item
+export function setOutboxStatus(el, state, error) {
+  el.textContent = state === 'failed' ? t('offline.failed', { error }) : t('offline.' + state);
+  el.dataset.outboxState = state;
+  Object.values(OUTBOX_STATUS_CLASSES).forEach(cls => el.classList.remove(cls));
+  el.classList.add(OUTBOX_STATUS_CLASSES[state]);
+}
+
+// The cached page may carry the token of an expired session
+async function refreshCsrfToken() {
+  const res = await fetch('/api/csrf', { credentials: 'same-origin', cache: 'no-store' });
+  const data = await res.json();
+  const meta = document.querySelector('meta[name="csrf-token"]');
+  if (meta && data.csrf_token) meta.content = data.csrf_token;
+}
+
+// Contact entries carry the form token of the page they were written on,
+// which expires after a few hours; replays use a fresh one
+async function freshFormToken() {
+  const data = await api('contacts/form-token');
+  if (data.ready_in > 0) await new Promise(resolve => setTimeout(resolve, data.ready_in * 1000));
+  return data.form_token;
+}
+
+function scheduleOutboxRetry() {
+  clearTimeout(outboxRetryTimer);
+  outboxRetryTimer = setTimeout(flushOutbox, OUTBOX_RETRY_MS);
+}
+
+// Replay queued posts in order. Accepted entries leave the queue; rejected
+// ones are kept, marked `rejected`, for their UI to hand back to the
+// visitor. Offline, rate limits and server errors keep them (and everything
+// after them) for a later attempt.
+async function replayOutbox() {
+  const entries = (await outboxEntries()).filter(entry => outboxHandlers[entry.kind] && !entry.rejected);
+  if (!entries.length) return;
+  let formToken = null;
+  try {
+    await refreshCsrfToken();
+    if (entries.some(entry => 'form_token' in entry.payload)) formToken = await freshFormToken();
+  } catch (err) {
+    scheduleOutboxRetry();
+    return;
+  }
+  for (const entry of entries) {
+    const body = 'form_token' in entry.payload ? Object.assign({}, entry.payload, { form_token: formToken }) : entry.payload;
+    let ok = true;
+    let data;
+    try {
+      data = await api(entry.url, { method: 'POST', body });
+    } catch (err) {
+      if (!(err instanceof ApiError) || err.offline || err.status === 429 || err.status >= 500) {
+        scheduleOutboxRetry();
+        return;
+      }
+      ok = false;
+      data = { error: err.message, fields: err.fields };
+    }
+    if (ok) await outboxDelete(entry.id);
+    else await outboxReject(entry, data.error);
+    outboxHandlers[entry.kind](entry, ok, data);
+  }
+}
+
+// One replay at a time; calls made meanwhile trigger another pass afterwards
+export async function flushOutbox() {
+  if (!outboxSupported) return;
+  if (outboxFlushing) {
+    outboxFlushAgain = true;
+    return;
+  }
+  outboxFlushing = true;
+  clearTimeout(outboxRetryTimer);
+  try {
+    do {
+      outboxFlushAgain = false;
+      await replayOutbox();
+    } while (outboxFlushAgain);
+  } catch (err) {
+    console.warn('Could not replay queued requests:', err);
+  } finally {
+    outboxFlushing = false;
+  }
+}
+
+// Replay whenever the browser reports the connection is back
+export function initOutbox() {
+  window.addEventListener('online', flushOutbox);
+}
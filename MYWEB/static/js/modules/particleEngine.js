@@ -0,0 +1,202 @@
+// particleEngine.js - the hero's particle simulation and its drawing. No DOM
+// here: the same loop runs on the main thread or, with an OffscreenCanvas,
+// inside particles.worker.js. particles.js drives it with messages.
+
+export const DEFAULT_CONFIG = {
+  density: 1,         // 1 = one particle per 90,000 px² (a third of that on narrow canvases)
+  speed: 1,           // multiplier of the base drift (up to 0.2 px per frame)
+  color: null,        // 'r g b' or '#rrggbb'; null follows the theme accent
+  alpha: 0.5,         // used with `color`; the theme supplies its own
+  linkDistance: 110,  // px; particles closer than this are joined by a line (0 = no lines)
+  repelRadius: 100,   // px around the pointer that particles are pushed out of (0 = off)
+  repelForce: 3,      // px per frame at the pointer, fading to 0 at the radius
+  maxParticles: 160
+};
+
+const AREA_PER_PARTICLE = 90000;
+const NARROW_WIDTH = 768;
+const BASE_SPEED = 0.2;
+const FRAME_MS = 1000 / 60;
+const MAX_STEP_FRAMES = 3; // after a stall, catch up at most this many frames
+const LINK_ALPHA = 0.6;    // lines are fainter than the particles themselves
+
+// '34 211 238', '34, 211, 238' or '#22d3ee' -> '34, 211, 238' (null if unreadable)
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  const hex = /^#([0-9a-f]{6})$/i.exec(text);
+  if (hex) {
+    const n = parseInt(hex[1], 16);
+    return [n >> 16, (n >> 8) & 255, n & 255].join(', ');
+  }
+  const parts = text.split(/[\s,]+/).map(Number);
+  if (parts.length !== 3 || parts.some(n => !Number.isInteger(n) || n < 0 || n > 255)) return null;
+  return parts.join(', ');
+}
+
+export function particleCount(width, height, config = DEFAULT_CONFIG) {
+  let count = (width * height) / AREA_PER_PARTICLE * config.density;
+  if (width < NARROW_WIDTH) count /= 3;
+  return Math.min(config.maxParticles, Math.max(0, Math.round(count)));
+}
+
+// A fresh set of particles spread over a width x height (CSS px) area
+export function createField(width, height, config = DEFAULT_CONFIG, random = Math.random) {
+  const particles = [];
+  const count = particleCount(width, height, config);
+  for (let i = 0; i < count; i++) {
+    const size = random() * 2 + 1;
+    particles.push({
+      x: random() * Math.max(0, width - size * 2) + size,
+      y: random() * Math.max(0, height - size * 2) + size,
+      vx: (random() * 2 - 1) * BASE_SPEED * config.speed,
+      vy: (random() * 2 - 1) * BASE_SPEED * config.speed,
+      size
+    });
+  }
+  return { width, height, particles };
+}
+
+// Advance the particles by `dt` ms: drift, bounce off the edges and move
+// out of the way of the pointer ({ x, y } in CSS px, or null)
+export function stepField(field, dt, pointer, config = DEFAULT_CONFIG) {
+  const frames = Math.min(dt / FRAME_MS, MAX_STEP_FRAMES);
+  const radius = pointer ? config.repelRadius : 0;
+  field.particles.forEach(p => {
+    p.x += p.vx * frames;
+    p.y += p.vy * frames;
+    if (radius > 0) {
+      const dx = p.x - pointer.x;
+      const dy = p.y - pointer.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance > 0 && distance < radius) {
+        const push = config.repelForce * (1 - distance / radius) * frames;
+        p.x += (dx / distance) * push;
+        p.y += (dy / distance) * push;
+      }
+    }
+    if (p.x < 0 || p.x > field.width) {
+      p.vx = -p.vx;
+      p.x = Math.min(Math.max(p.x, 0), field.width);
+    }
+    if (p.y < 0 || p.y > field.height) {
+      p.vy = -p.vy;
+      p.y = Math.min(Math.max(p.y, 0), field.height);
+    }
+  });
+}
+
+// color: { rgb: '34, 211, 238', alpha: 0.5 }
+export function drawField(ctx, field, color, config = DEFAULT_CONFIG) {
+  const { particles } = field;
+  const link = config.linkDistance;
+  if (link > 0) {
+    ctx.lineWidth = 1;
+    for (let i = 0; i < particles.length; i++) {
+      const a = particles[i];
+      for (let j = i + 1; j < particles.length; j++) {
+        const b = particles[j];
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        // Cheap bounding-box test before the square root
+        if (Math.abs(dx) > link || Math.abs(dy) > link) continue;
+        const distance = Math.hypot(dx, dy);
+        if (distance >= link) continue;
+        ctx.strokeStyle = `rgba(${color.rgb}, ${(color.alpha * LINK_ALPHA * (1 - distance / link)).toFixed(3)})`;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+      }
+    }
+  }
+  ctx.fillStyle = `rgba(${color.rgb}, ${color.alpha})`;
+  particles.forEach(p => {
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2, false);
+    ctx.fill();
+  });
+}
+
+// Renders a field on `canvas` (an HTMLCanvasElement or OffscreenCanvas).
+// Driven by handle(message):
+//   { type: 'init', config, width, height, dpr, color, running }
+//   { type: 'resize', width, height, dpr }   CSS size and devicePixelRatio
+//   { type: 'color', color }
+//   { type: 'pointer', pointer }             { x, y } or null
+//   { type: 'run', running }                 animate, or hold a still frame
+export function createParticleLoop(canvas) {
+  const ctx = canvas.getContext('2d');
+  const requestFrame = globalThis.requestAnimationFrame
+    ? fn => globalThis.requestAnimationFrame(fn)
+    : fn => setTimeout(() => fn(performance.now()), FRAME_MS);
+  const cancelFrame = globalThis.cancelAnimationFrame ? id => globalThis.cancelAnimationFrame(id) : id => clearTimeout(id);
+  let config = DEFAULT_CONFIG;
+  let field = createField(0, 0, config);
+  let color = { rgb: '34, 211, 238', alpha: 0.5 };
+  let dpr = 1;
+  let pointer = null;
+  let frame = null;
+  let last = 0;
+
+  function draw() {
+    if (!ctx) return;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    drawField(ctx, field, color, config);
+  }
+
+  function tick(now) {
+    frame = requestFrame(tick);
+    stepField(field, last ? now - last : FRAME_MS, pointer, config);
+    last = now;
+    draw();
+  }
+
+  function setRunning(running) {
+    if (running && frame === null) {
+      last = 0;
+      frame = requestFrame(tick);
+    } else if (!running && frame !== null) {
+      cancelFrame(frame);
+      frame = null;
+    }
+  }
+
+  function resize(width, height, ratio) {
+    dpr = ratio || 1;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    field = createField(width, height, config);
+    draw();
+  }
+
+  return {
+    handle(msg) {
+      switch (msg.type) {
+        case 'init':
+          config = Object.assign({}, DEFAULT_CONFIG, msg.config);
+          color = msg.color;
+          resize(msg.width, msg.height, msg.dpr);
+          setRunning(msg.running);
+          break;
+        case 'resize':
+          resize(msg.width, msg.height, msg.dpr);
+          break;
+        case 'color':
+          color = msg.color;
+          if (frame === null) draw();
+          break;
+        case 'pointer':
+          pointer = msg.pointer;
+          break;
+        case 'run':
+          setRunning(msg.running);
+          break;
+      }
+    },
+    get running() { return frame !== null; },
+    get field() { return field; }
+  };
+}
@@ -0,0 +1,171 @@
+// particles.js - the particle background of the hero (#particles-canvas).
+// The simulation and drawing live in particleEngine.js; this module feeds it
+// the canvas size, theme colour and pointer, and only lets it animate while
+// the hero is on screen, the tab is visible and motion is welcome. With an
+// OffscreenCanvas the drawing happens in particles.worker.js.
+//
+// Settings come from data attributes on the canvas, e.g.
+//   <canvas id="particles-canvas" data-particle-density="1.5"
+//           data-particle-speed="0.5" data-particle-color="#a78bfa">
+// or from initParticles(options); see DEFAULT_CONFIG for all of them.
+import { DEFAULT_CONFIG, createParticleLoop, parseColor } from './particleEngine.js';
+import { onReducedMotionChange, prefersReducedMotion } from './motion.js';
+
+const RESIZE_DEBOUNCE_MS = 150;
+const MAX_PIXEL_RATIO = 2; // sharper than this costs fill rate without a visible gain
+
+// Numeric settings readable from data-particle-* attributes
+const NUMERIC_SETTINGS = ['density', 'speed', 'alpha', 'linkDistance', 'repelRadius', 'repelForce', 'maxParticles'];
+
+function readConfig(canvas, options) {
+  const config = Object.assign({}, DEFAULT_CONFIG);
+  NUMERIC_SETTINGS.forEach(name => {
+    const attr = canvas.dataset['particle' + name[0].toUpperCase() + name.slice(1)];
+    const value = parseFloat(attr);
+    if (attr !== undefined && Number.isFinite(value) && value >= 0) config[name] = value;
+  });
+  if (canvas.dataset.particleColor) config.color = canvas.dataset.particleColor;
+  return Object.assign(config, options);
+}
+
+// The configured colour, or the theme's (--accent, --particle-alpha in style.css)
+function particleColor(config) {
+  const fixed = parseColor(config.color);
+  if (fixed) return { rgb: fixed, alpha: config.alpha };
+  const styles = getComputedStyle(document.documentElement);
+  const alpha = parseFloat(styles.getPropertyValue('--particle-alpha'));
+  return {
+    rgb: parseColor(styles.getPropertyValue('--accent')) || '34, 211, 238',
+    alpha: Number.isFinite(alpha) ? alpha : DEFAULT_CONFIG.alpha
+  };
+}
+
+function pixelRatio() {
+  return Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+}
+
+// Hand the canvas to a worker. Resolves with a post(message) function once
+// the worker runs, or rejects (the canvas is then unusable and must be replaced).
+function startWorker(canvas, url, init) {
+  return new Promise((resolve, reject) => {
+    const offscreen = canvas.transferControlToOffscreen();
+    const worker = new Worker(url, { type: 'module' });
+    worker.addEventListener('message', (e) => {
+      if (e.data.type === 'ready') resolve(msg => worker.postMessage(msg));
+    });
+    worker.addEventListener('error', (e) => {
+      worker.terminate();
+      reject(e.error || new Error(e.message || 'worker failed'));
+    }, { once: true });
+    worker.postMessage(Object.assign({ type: 'init', canvas: offscreen }, init), [offscreen]);
+  });
+}
+
+export function initParticles(options = {}) {
+  let canvas = document.getElementById('particles-canvas');
+  if (!canvas) return null;
+  const area = canvas.closest('section') || canvas.parentElement;
+  const config = readConfig(canvas, options);
+  const state = { onScreen: true, reduced: prefersReducedMotion() };
+  let post = null;
+  let loop = null; // main-thread renderer, when there is no worker
+
+  function shouldRun() {
+    return state.onScreen && !state.reduced && !document.hidden;
+  }
+
+  function size() {
+    return { width: canvas.clientWidth, height: canvas.clientHeight, dpr: pixelRatio() };
+  }
+
+  function initMessage() {
+    return Object.assign({ config, color: particleColor(config), running: shouldRun() }, size());
+  }
+
+  function runOnMainThread() {
+    loop = createParticleLoop(canvas);
+    post = msg => loop.handle(msg);
+    post(Object.assign({ type: 'init' }, initMessage()));
+  }
+
+  const workerUrl = canvas.dataset.worker;
+  if (workerUrl && typeof Worker !== 'undefined' && canvas.transferControlToOffscreen) {
+    // Messages sent before the worker is ready are queued; init carries the latest state
+    const queued = [];
+    post = msg => queued.push(msg);
+    startWorker(canvas, workerUrl, initMessage())
+      .then(send => {
+        post = send;
+        queued.forEach(send);
+      })
+      .catch(err => {
+        console.warn('Particle worker unavailable, drawing on the main thread:', err);
+        // A canvas that was transferred can't get a context any more
+        const fresh = canvas.cloneNode(false);
+        canvas.replaceWith(fresh);
+        canvas = fresh;
+        runOnMainThread();
+      });
+  } else if (canvas.getContext('2d')) {
+    runOnMainThread();
+  } else {
+    return null;
+  }
+
+  function update() {
+    post({ type: 'run', running: shouldRun() });
+  }
+
+  // Pause while the hero is scrolled away or the tab is in the background
+  if (typeof IntersectionObserver !== 'undefined' && area) {
+    new IntersectionObserver(entries => {
+      state.onScreen = entries[entries.length - 1].isIntersecting;
+      update();
+    }).observe(area);
+  }
+  document.addEventListener('visibilitychange', update);
+  onReducedMotionChange(reduced => {
+    state.reduced = reduced;
+    update();
+  });
+
+  // Resize once the window (or the hero) has settled
+  let resizeTimer = null;
+  function scheduleResize() {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => post(Object.assign({ type: 'resize' }, size())), RESIZE_DEBOUNCE_MS);
+  }
+  if (typeof ResizeObserver !== 'undefined') {
+    let first = true;
+    new ResizeObserver(() => {
+      // The observer reports the initial size straight away; init already has it
+      if (first) first = false;
+      else scheduleResize();
+    }).observe(canvas);
+  }
+  // devicePixelRatio changes (browser zoom, another screen) come with a resize event
+  window.addEventListener('resize', scheduleResize);
+
+  // Follow theme and accent changes (see theme.js)
+  document.addEventListener('themechange', () => post({ type: 'color', color: particleColor(config) }));
+
+  // Particles make way for the mouse or a finger. The canvas sits behind the
+  // hero's content, so the events are taken from the hero itself.
+  if (area && config.repelRadius > 0) {
+    area.addEventListener('pointermove', (e) => {
+      if (!shouldRun()) return;
+      const rect = canvas.getBoundingClientRect();
+      post({ type: 'pointer', pointer: { x: e.clientX - rect.left, y: e.clientY - rect.top } });
+    });
+    const clear = () => post({ type: 'pointer', pointer: null });
+    area.addEventListener('pointerleave', clear);
+    area.addEventListener('pointercancel', clear);
+    area.addEventListener('pointerup', (e) => { if (e.pointerType !== 'mouse') clear(); });
+  }
+
+  return {
+    config,
+    get running() { return shouldRun(); },
+    get offThread() { return loop === null; }
+  };
+}
@@ -0,0 +1,15 @@
+// particles.worker.js - renders the hero particles on the OffscreenCanvas that
+// particles.js hands over, keeping the animation off the main thread.
+import { createParticleLoop } from './particleEngine.js';
+
+let loop = null;
+
+self.addEventListener('message', (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    loop = createParticleLoop(msg.canvas);
+    // From here on the page relies on this worker for drawing
+    self.postMessage({ type: 'ready' });
+  }
+  if (loop) loop.handle(msg);
+});
@@ -0,0 +1,256 @@
+// projects.js - the #projects section: cards from /api/v1/projects, tag/tech
+// filters, search, sorting and the deep-linkable detail modal
+import { api } from './api.js';
+import { $ } from './dom.js';
+import { t } from './i18n.js';
+import { scrollToSection } from './navigation.js';
+import { observeReveals } from './reveal.js';
+
+// Cards come from /api/v1/projects; #projects/<slug> opens a project's details
+const PROJECT_HASH_PREFIX = '#projects/';
+const PROJECT_CARD_CLASS = 'project-card block bg-gray-800 rounded-xl shadow-xl overflow-hidden border border-gray-700 transform hover:scale-[1.02] transition duration-300';
+const PROJECT_CHIP_CLASS = 'px-4 py-1 rounded-full text-sm font-medium border transition';
+// The API's largest page
+const PROJECTS_PER_PAGE = 100;
+
+// Fetches every page of projects. Resolves with the first page's body (which
+// carries the tag and tech facets) holding the items of all pages.
+async function loadAllProjects() {
+  const first = await api(`projects?per_page=${PROJECTS_PER_PAGE}`);
+  const items = first.items || [];
+  for (let page = 2; page <= (first.pages || 1); page++) {
+    const data = await api(`projects?per_page=${PROJECTS_PER_PAGE}&page=${page}`);
+    items.push(...(data.items || []));
+  }
+  return Object.assign({}, first, { items });
+}
+
+export function initProjects() {
+  const grid = $('#projects-grid');
+  const modal = $('#project-modal');
+  if (!grid || !modal) return;
+
+  const toolbar = $('#projects-toolbar');
+  const search = $('#projects-search');
+  const techSelect = $('#projects-tech');
+  const sortSelect = $('#projects-sort');
+  const tagBox = $('#projects-tags');
+  const status = $('#projects-status');
+  const state = { items: [], tag: '', tech: '', query: '', sort: 'newest' };
+  let modalTrigger = null;
+
+  function createCard(project, index) {
+    const card = document.createElement('a');
+    card.href = PROJECT_HASH_PREFIX + project.slug;
+    card.className = PROJECT_CARD_CLASS;
+    card.setAttribute('data-scroll-fade', '');
+    card.dataset.scrollDelay = String((index % 3) / 10);
+    if (project.image) {
+      const img = document.createElement('img');
+      img.src = project.image;
+      img.alt = project.image_alt || project.title;
+      img.className = 'w-full h-56 object-cover';
+      img.loading = 'lazy';
+      card.appendChild(img);
+    }
+    const body = document.createElement('div');
+    body.className = 'p-6';
+    const category = document.createElement('span');
+    category.className = 'text-sm font-semibold text-cyanCustom';
+    category.textContent = project.category || '';
+    const title = document.createElement('h3');
+    title.className = 'text-2xl font-bold text-gray-100 mt-1 mb-2';
+    title.textContent = project.title;
+    const summary = document.createElement('p');
+    summary.className = 'text-gray-400';
+    summary.textContent = project.summary || '';
+    body.append(category, title, summary);
+    card.appendChild(body);
+    return card;
+  }
+
+  function matches(project) {
+    if (state.tag && !project.tags.includes(state.tag)) return false;
+    if (state.tech && !project.tech.includes(state.tech)) return false;
+    if (!state.query) return true;
+    const haystack = [project.title, project.summary, project.description, project.category]
+      .concat(project.tags, project.tech).join(' ').toLowerCase();
+    return state.query.split(/\s+/).every(word => haystack.includes(word));
+  }
+
+  function compare(a, b) {
+    if (state.sort === 'title') return a.title.localeCompare(b.title);
+    // Undated projects go last either way
+    if (!a.date || !b.date) return (a.date ? -1 : 0) + (b.date ? 1 : 0);
+    return state.sort === 'oldest' ? a.date.localeCompare(b.date) : b.date.localeCompare(a.date);
+  }
+
+  function renderProjects() {
+    const visible = state.items.filter(matches).sort(compare);
+    const cards = visible.map(createCard);
+    grid.replaceChildren(...cards);
+    observeReveals(cards);
+    if (status) {
+      status.textContent = visible.length
+        ? t(visible.length === 1 ? 'projects.count_one' : 'projects.count_other', { count: visible.length })
+        : t('projects.none');
+    }
+  }
+
+  function renderTagChips(tags) {
+    if (!tagBox) return;
+    tagBox.replaceChildren(...[''].concat(tags).map(tag => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.textContent = tag || t('projects.all_tags');
+      chip.dataset.tag = tag;
+      chip.addEventListener('click', () => {
+        state.tag = tag;
+        updateTagChips();
+        renderProjects();
+      });
+      return chip;
+    }));
+    updateTagChips();
+  }
+
+  function updateTagChips() {
+    if (!tagBox) return;
+    Array.from(tagBox.children).forEach(chip => {
+      const active = chip.dataset.tag === state.tag;
+      chip.setAttribute('aria-pressed', String(active));
+      chip.className = PROJECT_CHIP_CLASS + (active
+        ? ' bg-cyanCustom text-gray-900 border-cyanCustom'
+        : ' bg-gray-800 text-cyanCustom border-gray-700 hover:border-cyanCustom');
+    });
+  }
+
+  // ---- Detail modal ----
+  function fillModal(project) {
+    const image = $('#project-modal-image');
+    if (image) {
+      image.src = project.image || '';
+      image.alt = project.image_alt || project.title;
+      image.classList.toggle('hidden', !project.image);
+    }
+    $('#project-modal-category').textContent = project.category || '';
+    $('#project-modal-title').textContent = project.title;
+
+    // Blank lines separate paragraphs
+    const paragraphs = (project.description || project.summary || '').split(/\n\s*\n/).map(text => {
+      const p = document.createElement('p');
+      p.textContent = text.trim();
+      return p;
+    });
+    $('#project-modal-body').replaceChildren(...paragraphs);
+
+    $('#project-modal-tech').replaceChildren(...project.tech.map(name => {
+      const badge = document.createElement('span');
+      badge.className = 'bg-gray-800 text-cyanCustom px-3 py-1 rounded-full text-xs font-medium border border-cyanCustom';
+      badge.textContent = name;
+      return badge;
+    }));
+
+    $('#project-modal-links').replaceChildren(...project.links.map(link => {
+      const a = document.createElement('a');
+      a.href = link.href;
+      a.textContent = link.label;
+      a.className = 'border-2 border-cyanCustom text-cyanCustom px-5 py-2 rounded-full text-sm font-medium hover:bg-cyanCustom hover:text-gray-900 transition';
+      if (link.href.startsWith('#')) {
+        a.addEventListener('click', (e) => {
+          e.preventDefault();
+          closeModal();
+          scrollToSection(link.href);
+        });
+      } else {
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+      }
+      return a;
+    }));
+  }
+
+  function openModal(project) {
+    if (modal.classList.contains('hidden')) modalTrigger = document.activeElement;
+    fillModal(project);
+    modal.classList.remove('hidden');
+    document.body.classList.add('overflow-hidden');
+    $('#project-modal-close').focus();
+  }
+
+  // Leaves the URL at #projects so reloading does not reopen the modal
+  function closeModal() {
+    if (modal.classList.contains('hidden')) return;
+    modal.classList.add('hidden');
+    document.body.classList.remove('overflow-hidden');
+    if (location.hash.startsWith(PROJECT_HASH_PREFIX)) history.replaceState(null, '', '#projects');
+    if (modalTrigger && document.contains(modalTrigger)) modalTrigger.focus();
+    modalTrigger = null;
+  }
+
+  // Open or close the modal to match the URL hash
+  function syncModalWithHash() {
+    if (!location.hash.startsWith(PROJECT_HASH_PREFIX)) {
+      closeModal();
+      return;
+    }
+    let slug = null;
+    try {
+      slug = decodeURIComponent(location.hash.slice(PROJECT_HASH_PREFIX.length));
+    } catch (err) {
+      // A malformed escape (#projects/%E0) names no project
+    }
+    const project = slug && state.items.find(p => p.slug === slug);
+    if (project) openModal(project);
+    else closeModal();
+  }
+
+  $('#project-modal-close').addEventListener('click', closeModal);
+  modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !modal.classList.contains('hidden')) closeModal();
+  });
+  window.addEventListener('hashchange', syncModalWithHash);
+
+  // ---- Filters ----
+  if (search) {
+    search.addEventListener('input', () => {
+      state.query = search.value.trim().toLowerCase();
+      renderProjects();
+    });
+  }
+  if (techSelect) {
+    techSelect.addEventListener('change', () => {
+      state.tech = techSelect.value;
+      renderProjects();
+    });
+  }
+  if (sortSelect) {
+    sortSelect.addEventListener('change', () => {
+      state.sort = sortSelect.value;
+      renderProjects();
+    });
+  }
+
+  // Filtering, search and sorting happen here, over every project
+  loadAllProjects()
+    .then(data => {
+      state.items = data.items;
+      if (techSelect) {
+        (data.tech || []).forEach(name => {
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = name;
+          techSelect.appendChild(option);
+        });
+      }
+      renderTagChips(data.tags || []);
+      renderProjects();
+      if (toolbar) toolbar.classList.remove('hidden');
+      syncModalWithHash();
+    })
+    .catch(err => {
+      // Keep the server-rendered cards; they still work as plain links
+      console.error('Projects load failed:', err);
+    });
+}
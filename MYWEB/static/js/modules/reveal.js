@@ -0,0 +1,186 @@
+// reveal.js - preloader, hero intro (with the typing effect) and the
+// IntersectionObserver-based scroll reveal for [data-scroll-fade] elements
+import { trackOnce } from './analytics.js';
+import { $$ } from './dom.js';
+import { t } from './i18n.js';
+import { prefersReducedMotion } from './motion.js';
+
+// Debug helper
+function updateDebug(message) {
+    const debug = document.getElementById('debug-info');
+    if (debug) {
+        debug.textContent = message;
+        debug.classList.remove('hidden');
+    }
+    console.log(message);
+}
+
+/* -------------------------
+  Preloader & initial reveal
+   ------------------------- */
+// Guard to ensure content display only runs once
+let contentStarted = false;
+
+// Fade out the preloader, then reveal the page and start the CSS-based
+// hero and scroll animations
+export function initReveal() {
+    updateDebug('Starting content display...');
+    
+    const pre = document.getElementById('preloader');
+    const content = document.getElementById('site-content');
+    
+    if (!pre || !content) {
+        updateDebug('Error: Preloader or content elements not found');
+        return;
+    }
+
+  if (contentStarted) {
+    updateDebug('initReveal already ran - skipping');
+    return;
+  }
+  contentStarted = true;
+
+    try {
+      pre.style.transition = 'opacity 0.8s ease';
+      pre.style.opacity = '0';
+      setTimeout(() => {
+        pre.remove();
+      }, 900);
+    } catch (e) { pre.remove(); }
+
+    content.classList.remove('opacity-0');
+    content.style.transition = 'opacity 0.6s ease';
+    content.style.opacity = '1';
+    content.style.visibility = 'visible';
+    updateDebug('Content visible, starting CSS-based hero and scroll animations...');
+    startHeroReveal();
+    observeScrollReveals();
+}
+
+
+/* -------------------------\
+  Hero typing animation
+   ------------------------- */
+function typingEffect(target, phrases, speed = 60, pause = 1200) {
+  let i = 0, j = 0, deleting = false;
+  const el = document.querySelector(target);
+  if (!el || !Array.isArray(phrases) || phrases.length === 0) return;
+  
+  // Screen readers get the phrases once from a hidden copy instead of every keystroke
+  el.setAttribute('aria-hidden', 'true');
+  const spoken = document.createElement('span');
+  spoken.className = 'sr-only';
+  spoken.textContent = phrases.join(' ');
+  el.after(spoken);
+
+  // Reduced motion: show the first phrase and leave it there
+  if (prefersReducedMotion()) {
+    el.textContent = phrases[0];
+    return;
+  }
+
+  // Start with empty text so the typing effect types from blank
+  el.textContent = '';
+
+  function tick() {
+    const current = phrases[i];
+    if (!deleting) {
+      el.textContent = current.substring(0, j+1);
+      j++;
+      if (j > current.length) {
+        deleting = true;
+        setTimeout(tick, pause);
+        return;
+      }
+    } else {
+      el.textContent = current.substring(0, j-1);
+      j--;
+      if (j === 0) {
+        deleting = false;
+        i = (i + 1) % phrases.length;
+        // Faster transition to next phrase
+        setTimeout(tick, speed * 2); 
+        return;
+      }
+    }
+    const nextSpeed = deleting ? speed / 2 : speed;
+    setTimeout(tick, nextSpeed);
+  }
+  
+  // Start the typing loop
+  tick();
+}
+
+function heroIntro() {
+  // Legacy GSAP heroIntro replaced by CSS-based reveal. Keep function for compatibility.
+  // Use CSS classes to animate hero items and then start typing effect.
+  const heroElements = $$('#hero [data-scroll-fade]');
+  if (!heroElements || heroElements.length === 0) return;
+
+  // Mark hero child items (set .hero-item) then stagger-show them
+  heroElements.forEach(el => el.classList.add('hero-item'));
+
+  // Stagger reveal
+  heroElements.forEach((el, i) => {
+    setTimeout(() => {
+      el.classList.add('show');
+    }, i * 180);
+  });
+
+  // Start typing after the main hero items are visible
+  setTimeout(() => {
+    typingEffect('.typing-target', t('hero.phrases'), 60, 1200);
+  }, Math.max(600, heroElements.length * 180));
+}
+
+// Small adapter so older callsites (startHeroReveal) work — delegates to heroIntro
+function startHeroReveal() {
+  try {
+    heroIntro();
+  } catch (e) {
+    console.warn('startHeroReveal failed, falling back to simple reveal:', e);
+    // simple fallback: reveal all hero items immediately
+    $$('#hero [data-scroll-fade]').forEach((el, i) => setTimeout(() => el.classList.add('reveal-active'), i * 120));
+  }
+}
+
+// New: IntersectionObserver-based scroll reveal
+// Kept at module level so elements rendered later (e.g. project cards) can join
+let revealObserver = null;
+let revealsStarted = false;
+
+function observeScrollReveals() {
+  revealsStarted = true;
+  const revealables = document.querySelectorAll('[data-scroll-fade]');
+  if (!('IntersectionObserver' in window)) {
+    // fallback: show all
+    revealables.forEach(el => el.classList.add('reveal-active'));
+    return;
+  }
+
+  revealObserver = new IntersectionObserver((entries, obs) => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        entry.target.classList.add('reveal-active');
+        obs.unobserve(entry.target);
+        // The first revealed element of a section counts as a view of it
+        const section = entry.target.closest('section[id]');
+        if (section) trackOnce('section_view', section.id);
+      }
+    });
+  }, { threshold: 0.12 });
+
+  revealables.forEach(el => revealObserver.observe(el));
+}
+
+// Reveal elements added after the initial scan. Before it runs there is
+// nothing to do: observeScrollReveals will pick them up itself.
+export function observeReveals(elements) {
+  if (!revealsStarted) return;
+  if (!revealObserver) {
+    elements.forEach(el => el.classList.add('reveal-active'));
+    return;
+  }
+  elements.forEach(el => revealObserver.observe(el));
+}
+
@@ -0,0 +1,50 @@
+// testimonials.js - the #testimonials carousel, fed by /api/testimonials
+import { apiFetch } from './api.js';
+import { $ } from './dom.js';
+import { t } from './i18n.js';
+import { createCarousel } from './carousel.js';
+
+const QUOTE_ICON = '<svg class="w-12 h-12 text-cyanCustom opacity-30 mx-auto mb-4" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M6 17h3l2-4V7H5v6h3zm8 0h3l2-4V7h-6v6h3z"/></svg>';
+let testimonialCarousel = null;
+
+function createTestimonialSlide(item) {
+  const slide = document.createElement('figure');
+  slide.className = 'testi-item carousel-slide p-8 bg-gray-800 rounded-xl shadow-2xl border border-gray-700 text-center';
+  slide.innerHTML = QUOTE_ICON;
+  const quote = document.createElement('blockquote');
+  quote.className = 'text-xl italic text-gray-300 mb-6';
+  quote.textContent = `"${item.quote}"`;
+  const caption = document.createElement('figcaption');
+  const name = document.createElement('div');
+  name.className = 'text-gray-100 font-semibold';
+  name.textContent = '- ' + item.name + (item.role ? ', ' + item.role : '');
+  caption.appendChild(name);
+  if (item.company) {
+    const company = document.createElement('div');
+    company.className = 'text-sm text-gray-500';
+    company.textContent = item.company;
+    caption.appendChild(company);
+  }
+  slide.append(quote, caption);
+  return slide;
+}
+
+// Load the latest testimonials, then start the carousel. If the API fails the
+// server-rendered slides are used as they are. Resolves with the carousel.
+export function initTestimonials() {
+  const root = $('#testimonial-carousel');
+  const track = root && root.querySelector('[data-carousel-track]');
+  if (!track) return;
+
+  return apiFetch('/api/testimonials')
+    .then(res => res.json())
+    .then(data => {
+      if (!data.ok) throw new Error(data.error || 'Failed to load testimonials');
+      if (data.items && data.items.length) track.replaceChildren(...data.items.map(createTestimonialSlide));
+    })
+    .catch(err => console.error('Testimonials load failed:', err))
+    .then(() => {
+      testimonialCarousel = createCarousel(root, { slideLabel: t('testimonials.slide') });
+      return testimonialCarousel;
+    });
+}
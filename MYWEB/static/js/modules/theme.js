@@ -0,0 +1,149 @@
+// theme.js - the theme setting ('system', 'light' or 'dark') and the accent
+// palette. Both are kept in localStorage and applied to <html> as
+// data-theme / data-accent, which style.css turns into colour tokens.
+// base.html applies them before the first paint; this module keeps them in
+// sync afterwards, including OS theme changes while 'system' is selected.
+import { track } from './analytics.js';
+import { t } from './i18n.js';
+import { animations } from './motion.js';
+
+export const THEME_KEY = 'theme';
+export const ACCENT_KEY = 'accent';
+export const THEMES = ['system', 'light', 'dark'];
+export const ACCENTS = ['cyan', 'violet', 'emerald', 'amber'];
+const LIGHT_QUERY = '(prefers-color-scheme: light)';
+
+// Layered SVG markup for sun + moon icons (inserted inside the existing <svg id="theme-icon"> elements)
+const ICON_SVG = `
+  <g class="icon-sun" style="transform-origin:12px 12px;">
+    <circle cx="12" cy="12" r="4" fill="currentColor"></circle>
+    <path d="M12 2v2M12 20v2M4.93 4.93l1.41 1.41M17.66 17.66l1.41 1.41M2 12h2M20 12h2M4.93 19.07l1.41-1.41M17.66 6.34l1.41-1.41" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" fill="none"></path>
+  </g>
+  <g class="icon-moon" style="transform-origin:12px 12px;">
+    <path d="M21 12.79A9 9 0 1111.21 3 7 7 0 0021 12.79z" fill="currentColor"></path>
+  </g>
+`;
+
+function readSetting(key, allowed, fallback) {
+  let value = null;
+  try { value = localStorage.getItem(key); } catch (e) { /* storage disabled */ }
+  return allowed.includes(value) ? value : fallback;
+}
+
+function saveSetting(key, value) {
+  try { localStorage.setItem(key, value); } catch (e) { /* storage disabled */ }
+}
+
+export function themeSetting() {
+  return readSetting(THEME_KEY, THEMES, 'system');
+}
+
+export function accentSetting() {
+  return readSetting(ACCENT_KEY, ACCENTS, ACCENTS[0]);
+}
+
+// 'light' or 'dark': the setting, with 'system' resolved through the OS preference
+export function resolveTheme(setting = themeSetting()) {
+  if (setting !== 'system') return setting;
+  return window.matchMedia && window.matchMedia(LIGHT_QUERY).matches ? 'light' : 'dark';
+}
+
+// The theme icons (desktop + mobile) present on the page
+function themeIcons() {
+  return [document.getElementById('theme-icon'), document.getElementById('theme-icon-mobile')].filter(Boolean);
+}
+
+function themeToggles() {
+  return [document.getElementById('theme-toggle'), document.getElementById('theme-toggle-mobile')].filter(Boolean);
+}
+
+// Show the sun (light) or moon (dark) without animation
+function setThemeIconState(svgEl, light) {
+  const sun = svgEl.querySelector('.icon-sun');
+  const moon = svgEl.querySelector('.icon-moon');
+  if (!sun || !moon) return;
+  sun.style.opacity = light ? '1' : '0';
+  sun.style.transform = light ? 'scale(1)' : 'scale(0.8)';
+  moon.style.opacity = light ? '0' : '1';
+  moon.style.transform = light ? 'scale(0.8)' : 'scale(1)';
+}
+
+// Push the stored settings to the page. Listeners (e.g. the particles) hear
+// about it through a 'themechange' event on document.
+function applyTheme(animate = false) {
+  const root = document.documentElement;
+  const setting = themeSetting();
+  const theme = resolveTheme(setting);
+  const accent = accentSetting();
+  const themeChanged = root.dataset.theme !== theme;
+  root.dataset.theme = theme;
+  root.dataset.accent = accent;
+
+  // Animate icon transition (sun <-> moon) with GSAP when it has loaded
+  themeIcons().forEach(svgEl => {
+    if (animate && themeChanged && animations) animations.swapThemeIcon(svgEl, theme === 'light');
+    else setThemeIconState(svgEl, theme === 'light');
+  });
+  // The toggles step through the settings; their label names the current one
+  themeToggles().forEach(toggle => {
+    toggle.setAttribute('aria-label', t('theme.label', { mode: t('theme.' + setting) }));
+  });
+  document.querySelectorAll('[data-accent-choice]').forEach(swatch => {
+    swatch.setAttribute('aria-pressed', String(swatch.dataset.accentChoice === accent));
+  });
+  const themeColor = document.querySelector('meta[name="theme-color"]');
+  const surface = getComputedStyle(root).getPropertyValue('--surface').trim();
+  if (themeColor && surface) themeColor.setAttribute('content', surface);
+
+  document.dispatchEvent(new CustomEvent('themechange', { detail: { setting, theme, accent } }));
+}
+
+// What the toggle switches to next: system, then the opposite of the OS
+// theme (so the first click always changes the page), then the OS theme itself
+function nextThemeSetting() {
+  const system = resolveTheme('system');
+  const order = ['system', system === 'light' ? 'dark' : 'light', system];
+  return order[(order.indexOf(themeSetting()) + 1) % order.length];
+}
+
+export function setTheme(setting) {
+  if (!THEMES.includes(setting)) return;
+  saveSetting(THEME_KEY, setting);
+  applyTheme(true);
+}
+
+export function setAccent(accent) {
+  if (!ACCENTS.includes(accent)) return;
+  saveSetting(ACCENT_KEY, accent);
+  applyTheme();
+}
+
+// Apply the saved settings, follow the OS theme and wire up the toggles
+// (desktop + mobile) and the accent swatches
+export function initTheme() {
+    // Insert layered icon markup into the SVG containers (desktop + mobile)
+    themeIcons().forEach(svgEl => { svgEl.innerHTML = ICON_SVG; });
+    applyTheme();
+
+    const query = window.matchMedia && window.matchMedia(LIGHT_QUERY);
+    if (query && query.addEventListener) {
+        query.addEventListener('change', () => {
+            if (themeSetting() === 'system') applyTheme(true);
+        });
+    }
+    // Settings changed in another tab
+    window.addEventListener('storage', (e) => {
+        if (e.key === THEME_KEY || e.key === ACCENT_KEY) applyTheme(true);
+    });
+
+    themeToggles().forEach(toggle => {
+        toggle.addEventListener('click', () => {
+            const setting = nextThemeSetting();
+            track('theme_toggle', setting);
+            setTheme(setting);
+        });
+    });
+    document.querySelectorAll('[data-accent-choice]').forEach(swatch => {
+        swatch.addEventListener('click', () => setAccent(swatch.dataset.accentChoice));
+    });
+}
@@ -0,0 +1,104 @@
+// sw.js - service worker: offline shell and static asset caching.
+// Served from /sw.js (see app.py) so its scope covers the whole site; the
+// route prepends `const BUILD_ID = '...'`, which changes with every
+// front-end build so browsers install a fresh worker and cache.
+
+// Old caches are dropped on activate
+const CACHE_NAME = 'alamweb-' + BUILD_ID;
+
+// The page and the icons it needs to render offline
+const SHELL_URLS = [
+  '/',
+  '/static/icons/icon-192.png',
+  '/static/icons/icon-512.png'
+];
+
+// Built CSS/JS (hashed names, see build.mjs) are listed in the build manifest
+const BUILD_DIR = '/static/dist/';
+const BUILD_MANIFEST_URL = BUILD_DIR + 'manifest.json';
+
+// Read-only JSON the page renders from; served from cache when offline
+const CACHED_API_PATHS = ['/api/v1/projects', '/api/testimonials'];
+
+// The home page varies on the language cookie, which the Cache API cannot see
+const MATCH_OPTIONS = { ignoreVary: true };
+
+// Every file of the current build; none when the front-end was not built
+async function buildUrls() {
+  try {
+    const res = await fetch(BUILD_MANIFEST_URL, { cache: 'no-store' });
+    if (!res.ok) return [];
+    return Object.values(await res.json()).map(file => BUILD_DIR + file);
+  } catch (err) {
+    return [];
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(SHELL_URLS.concat(await buildUrls()));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  // Form and chat posts go straight to the network; outbox.js queues them when offline
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === 'navigate') event.respondWith(networkFirst(request, url.pathname === '/' ? '/' : null, '/'));
+    else if (url.pathname.startsWith(BUILD_DIR) && url.pathname !== BUILD_MANIFEST_URL) event.respondWith(cacheFirst(request));
+    else if (url.pathname.startsWith('/static/')) event.respondWith(staleWhileRevalidate(event, request));
+    else if (CACHED_API_PATHS.includes(url.pathname)) event.respondWith(networkFirst(request, request));
+  }
+});
+
+// Try the network and refresh the cache under `cacheKey` (when given);
+// offline, answer from the cache, falling back to `fallbackKey`
+async function networkFirst(request, cacheKey, fallbackKey) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const res = await fetch(request);
+    if (cacheKey && res.ok) await cache.put(cacheKey, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(request, MATCH_OPTIONS)
+      || (fallbackKey && await cache.match(fallbackKey, MATCH_OPTIONS));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Answer from the cache right away and update it in the background
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, MATCH_OPTIONS);
+  const update = fetch(request).then(res => {
+    if (res.ok) return cache.put(request, res.clone()).then(() => res);
+    return res;
+  });
+  if (!cached) return update;
+  event.waitUntil(update.catch(() => {}));
+  return cached;
+}
+
+// Hashed build files never change: serve the cached copy, go to the network on a miss
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, MATCH_OPTIONS);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) await cache.put(request, res.clone());
+  return res;
+}
@@ -0,0 +1,16 @@
+/** Tailwind is compiled ahead of time by build.mjs; only classes found in
+ * these files end up in static/dist. */
+export default {
+  content: {
+    relative: true,
+    files: ['./templates/**/*.html', './static/js/**/*.js']
+  },
+  theme: {
+    extend: {
+      colors: {
+        // The active accent palette (see the theme tokens in style.css)
+        cyanCustom: 'rgb(var(--accent, 34 211 238) / <alpha-value>)'
+      }
+    }
+  }
+};
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { mockFetch, setupDom } from './helpers.js';
+import { flush, initAnalytics, track, trackOnce } from '../../static/js/modules/analytics.js';
+import { createCarousel } from '../../static/js/modules/carousel.js';
+
+let beacons;
+
+// Records each beacon's URL and decoded body; `accept` is what sendBeacon returns
+function mockBeacon(accept = true) {
+  beacons = [];
+  navigator.sendBeacon = (url, blob) => {
+    beacons.push({ url, body: blob.text().then(JSON.parse) });
+    return accept;
+  };
+}
+
+async function sentEvents(index = 0) {
+  return (await beacons[index].body).events;
+}
+
+function setHidden(hidden) {
+  Object.defineProperty(document, 'visibilityState', { value: hidden ? 'hidden' : 'visible', configurable: true });
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+describe('analytics', () => {
+  beforeEach(() => {
+    setupDom('', { url: 'http://localhost/projects?ref=mail' });
+    mockBeacon();
+  });
+
+  test('batches events and sends them with sendBeacon', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    initAnalytics();
+    track('chat_open');
+    track('theme_toggle', 'light');
+    assert.equal(beacons.length, 0);
+
+    t.mock.timers.tick(5000);
+    assert.equal(beacons.length, 1);
+    assert.equal(beacons[0].url, '/analytics');
+    assert.deepEqual(await sentEvents(), [
+      { event: 'chat_open', target: '', path: '/projects' },
+      { event: 'theme_toggle', target: 'light', path: '/projects' }
+    ]);
+  });
+
+  test('sends what is queued when the page is hidden', async () => {
+    initAnalytics();
+    track('contact_start');
+    setHidden(true);
+    assert.equal(beacons.length, 1);
+    assert.deepEqual((await sentEvents()).map(e => e.event), ['contact_start']);
+
+    flush();
+    assert.equal(beacons.length, 1, 'nothing left to send');
+  });
+
+  test('counts once-per-page events once', async () => {
+    initAnalytics();
+    trackOnce('section_view', 'projects');
+    trackOnce('section_view', 'projects');
+    trackOnce('section_view', 'contact');
+    flush();
+    assert.deepEqual((await sentEvents()).map(e => e.target), ['projects', 'contact']);
+  });
+
+  test('falls back to a keepalive fetch without cookies', () => {
+    mockBeacon(false);
+    const calls = mockFetch(() => new Response(null, { status: 204 }));
+    initAnalytics();
+    track('chat_open');
+    flush();
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url, '/analytics');
+    assert.equal(calls[0].options.keepalive, true);
+    assert.equal(calls[0].options.credentials, 'omit');
+  });
+
+  test('counts nothing with Do Not Track or Global Privacy Control', () => {
+    Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+    initAnalytics();
+    track('chat_open');
+    flush();
+    setHidden(true);
+    assert.equal(beacons.length, 0);
+  });
+
+  test('counts carousel navigation by the visitor, not autoplay', async () => {
+    setupDom(`
+      <div id="carousel">
+        <div data-carousel-track><div class="carousel-slide">One</div><div class="carousel-slide">Two</div></div>
+        <button data-carousel-next>Next</button>
+        <div data-carousel-dots></div>
+      </div>
+    `);
+    mockBeacon();
+    initAnalytics();
+    const carousel = createCarousel(document.getElementById('carousel'), { autoplay: false });
+    document.querySelector('[data-carousel-next]').click();
+    document.querySelectorAll('.carousel-dot')[0].click();
+    carousel.next();
+    flush();
+    assert.deepEqual((await sentEvents()).map(e => e.target), ['next', 'dot']);
+  });
+});
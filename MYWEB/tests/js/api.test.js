@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { jsonResponse, mockFetch, setupDom, sseResponse } from './helpers.js';
+import { api, ApiError } from '../../static/js/modules/api.js';
+
+describe('api', () => {
+  beforeEach(() => setupDom(''));
+
+  test('sends JSON under /api/v1 with the CSRF token and resolves with the body', async () => {
+    const calls = mockFetch(() => jsonResponse({ ok: true, item: { id: 1 } }, 201));
+    const data = await api('contacts', { method: 'POST', body: { name: 'Asha' } });
+
+    assert.deepEqual(data, { ok: true, item: { id: 1 } });
+    assert.equal(calls[0].url, '/api/v1/contacts');
+    assert.equal(calls[0].options.method, 'POST');
+    assert.equal(calls[0].options.body, '{"name":"Asha"}');
+    assert.equal(calls[0].options.headers['Content-Type'], 'application/json');
+    assert.equal(calls[0].options.headers['X-CSRFToken'], 'test-token');
+  });
+
+  test('uses absolute paths as they are', async () => {
+    const calls = mockFetch(() => jsonResponse({ ok: true }));
+    await api('/submit_contact', { method: 'POST', body: {} });
+    assert.equal(calls[0].url, '/submit_contact');
+  });
+
+  test('rejects an error envelope with its code and fields', async () => {
+    mockFetch(() => jsonResponse({
+      ok: false,
+      error: 'Please correct the highlighted fields.',
+      code: 'validation_failed',
+      fields: { email: 'Required.' }
+    }, 400));
+    const err = await api('contacts', { method: 'POST', body: {} }).catch(e => e);
+
+    assert.ok(err instanceof ApiError);
+    assert.equal(err.message, 'Please correct the highlighted fields.');
+    assert.equal(err.status, 400);
+    assert.equal(err.code, 'validation_failed');
+    assert.deepEqual(err.fields, { email: 'Required.' });
+    assert.equal(err.offline, false);
+  });
+
+  test('reads the wait from a rate limit', async () => {
+    mockFetch(() => jsonResponse({ ok: false, error: 'Too many requests.', code: 'rate_limited' }, 429, { 'Retry-After': '42' }));
+    const err = await api('chats/messages', { method: 'POST', body: {} }).catch(e => e);
+    assert.equal(err.code, 'rate_limited');
+    assert.equal(err.retryAfter, 42);
+  });
+
+  test('a response that is not JSON is a server error', async () => {
+    mockFetch(() => new Response('<h1>Bad Gateway</h1>', { status: 502 }));
+    const err = await api('projects').catch(e => e);
+    assert.equal(err.code, 'server_error');
+    assert.equal(err.status, 502);
+  });
+
+  test('a request that never reached the server is offline', async () => {
+    mockFetch(() => { throw new TypeError('Failed to fetch'); });
+    const err = await api('projects').catch(e => e);
+    assert.ok(err instanceof ApiError);
+    assert.equal(err.code, 'offline');
+    assert.equal(err.offline, true);
+  });
+
+  test('resolves a stream with the response itself', async () => {
+    mockFetch(() => sseResponse([['done', {}]]));
+    const res = await api('chats/messages', { method: 'POST', body: { message: 'hi' }, stream: true });
+    assert.ok(res instanceof Response);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { pressKey, setupDom } from './helpers.js';
+import { createCarousel } from '../../static/js/modules/carousel.js';
+
+const PAGE = `
+  <div id="carousel">
+    <div data-carousel-track>
+      <div class="carousel-slide">One</div>
+      <div class="carousel-slide">Two</div>
+      <div class="carousel-slide">Three</div>
+    </div>
+    <button data-carousel-prev>Prev</button>
+    <button data-carousel-next>Next</button>
+    <div data-carousel-dots></div>
+    <button data-carousel-toggle></button>
+  </div>
+`;
+
+function activeSlides() {
+  return Array.from(document.querySelectorAll('.carousel-slide'))
+    .map((slide, i) => (slide.classList.contains('is-active') ? i : -1))
+    .filter(i => i >= 0);
+}
+
+function key(name) {
+  pressKey(document.getElementById('carousel'), name);
+}
+
+describe('carousel', () => {
+  let carousel;
+  beforeEach(() => {
+    setupDom(PAGE);
+    carousel = createCarousel(document.getElementById('carousel'), { autoplay: false });
+  });
+
+  test('starts on the first slide with one dot per slide', () => {
+    assert.equal(carousel.index, 0);
+    assert.deepEqual(activeSlides(), [0]);
+    assert.equal(document.querySelectorAll('.carousel-dot').length, 3);
+    assert.equal(document.querySelector('.carousel-dot').getAttribute('aria-current'), 'true');
+  });
+
+  test('next() wraps from the last slide to the first', () => {
+    carousel.goTo(2);
+    carousel.next();
+    assert.equal(carousel.index, 0);
+    assert.deepEqual(activeSlides(), [0]);
+  });
+
+  test('prev() wraps from the first slide to the last', () => {
+    carousel.prev();
+    assert.equal(carousel.index, 2);
+    assert.deepEqual(activeSlides(), [2]);
+  });
+
+  test('buttons and arrow keys move through the slides', () => {
+    document.querySelector('[data-carousel-next]').click();
+    assert.equal(carousel.index, 1);
+    key('ArrowLeft');
+    key('ArrowLeft');
+    assert.equal(carousel.index, 2);
+    key('Home');
+    assert.equal(carousel.index, 0);
+    key('End');
+    assert.equal(carousel.index, 2);
+  });
+
+  test('hides inactive slides from assistive technology', () => {
+    carousel.next();
+    const hidden = Array.from(document.querySelectorAll('.carousel-slide')).map(s => s.getAttribute('aria-hidden'));
+    assert.deepEqual(hidden, ['true', 'false', 'true']);
+  });
+
+  test('does not autoplay with reduced motion', () => {
+    setupDom(PAGE, { reducedMotion: true });
+    createCarousel(document.getElementById('carousel'));
+    assert.equal(document.querySelector('[data-carousel-track]').getAttribute('aria-live'), 'polite');
+    assert.equal(document.querySelector('[data-carousel-toggle]').textContent, 'carousel.play');
+  });
+
+  test('returns null without slides', () => {
+    document.querySelector('[data-carousel-track]').replaceChildren();
+    assert.equal(createCarousel(document.getElementById('carousel')), null);
+  });
+});
@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { jsonResponse, mockFetch, pressKey, settle, setupDom, sseResponse } from './helpers.js';
+import { initChat } from '../../static/js/modules/chat.js';
+
+const PAGE = `
+  <button id="chat-toggle" aria-expanded="false">Chat</button>
+  <div id="chat-panel" class="hidden" role="dialog">
+    <button id="chat-close">x</button>
+    <div id="chat-log" role="log" aria-live="off"></div>
+    <div id="chat-announcer" aria-live="polite"></div>
+    <form id="chat-form">
+      <input type="text" id="chat-input">
+      <button type="submit" id="chat-send">Send</button>
+    </form>
+    <div id="chat-controls" class="hidden">
+      <button type="button" id="chat-cancel" class="hidden">Stop</button>
+      <button type="button" id="chat-retry" class="hidden">Retry</button>
+    </div>
+  </div>
+`;
+
+const MESSAGES = { 'chat.network_error': 'Network error. Try again later.' };
+
+function send(text) {
+  document.getElementById('chat-input').value = text;
+  document.getElementById('chat-form').dispatchEvent(new Event('submit', { cancelable: true }));
+}
+
+function bubbles() {
+  return Array.from(document.querySelectorAll('#chat-log > div > div:first-child')).map(b => b.textContent);
+}
+
+function announced() {
+  return document.getElementById('chat-announcer').textContent;
+}
+
+function isHidden(id) {
+  return document.getElementById(id).classList.contains('hidden');
+}
+
+describe('chat', () => {
+  let replies;
+  let calls;
+  beforeEach(() => {
+    setupDom(PAGE, { messages: MESSAGES });
+    replies = [];
+    calls = mockFetch((url, options) => {
+      if (!options.method || options.method === 'GET') return jsonResponse({ ok: true, items: [], page: 1, pages: 1, total: 0 });
+      const reply = replies.shift();
+      if (reply instanceof Error) throw reply;
+      return reply;
+    });
+  });
+
+  test('streams the reply into a bot bubble with quick replies', async () => {
+    replies.push(sseResponse([
+      ['session', { session_id: 'abc' }],
+      ['token', { text: 'Hello ' }],
+      ['token', { text: 'there' }],
+      ['done', { quick_replies: ['Pricing', 'Projects'], links: [{ label: 'Contact', href: '#contact' }] }]
+    ]));
+    initChat();
+    await settle();
+    send('hi');
+    await settle();
+
+    assert.deepEqual(bubbles(), ['hi', 'Hello there']);
+    const chips = Array.from(document.querySelectorAll('.chat-quick-replies button')).map(b => b.textContent);
+    assert.deepEqual(chips, ['Pricing', 'Projects']);
+    assert.equal(document.querySelector('.chat-links a').getAttribute('href'), '#contact');
+    assert.equal(localStorage.getItem('chatSessionId'), 'abc');
+    assert.ok(isHidden('chat-controls'));
+    assert.equal(announced(), 'Hello there');
+
+    const request = calls.find(call => call.url === '/api/v1/chats/messages');
+    assert.equal(JSON.parse(request.options.body).message, 'hi');
+    assert.equal(request.options.headers['X-CSRFToken'], 'test-token');
+  });
+
+  test('a quick reply chip sends its label and is removed', async () => {
+    replies.push(sseResponse([['token', { text: 'Pick one' }], ['done', { quick_replies: ['Pricing'] }]]));
+    replies.push(sseResponse([['token', { text: 'Plans start at...' }], ['done', {}]]));
+    initChat();
+    await settle();
+    send('hi');
+    await settle();
+    document.querySelector('.chat-quick-replies button').click();
+    await settle();
+
+    assert.deepEqual(bubbles(), ['hi', 'Pick one', 'Pricing', 'Plans start at...']);
+    assert.equal(document.querySelector('.chat-quick-replies'), null);
+  });
+
+  test('renders reply text as text, not markup', async () => {
+    replies.push(sseResponse([['token', { text: '<img src=x onerror=alert(1)>' }], ['done', {}]]));
+    initChat();
+    await settle();
+    send('hi');
+    await settle();
+
+    assert.equal(document.querySelector('#chat-log img'), null);
+    assert.equal(bubbles()[1], '<img src=x onerror=alert(1)>');
+  });
+
+  test('shows the server error and offers Retry', async () => {
+    replies.push(jsonResponse({ ok: false, error: 'Message is too long.' }, 400));
+    replies.push(sseResponse([['token', { text: 'Second try' }], ['done', {}]]));
+    initChat();
+    await settle();
+    send('hi');
+    await settle();
+
+    assert.deepEqual(bubbles(), ['hi', 'Message is too long.']);
+    assert.equal(announced(), 'Message is too long.');
+    assert.ok(!isHidden('chat-controls'));
+    assert.ok(!isHidden('chat-retry'));
+
+    document.getElementById('chat-retry').click();
+    await settle();
+    assert.deepEqual(bubbles(), ['hi', 'Message is too long.', 'Second try']);
+    assert.equal(JSON.parse(calls.at(-1).options.body).retry, true);
+    assert.ok(isHidden('chat-controls'));
+  });
+
+  test('reports a network failure when the message cannot be queued', async () => {
+    replies.push(new TypeError('Failed to fetch'));
+    initChat();
+    await settle();
+    send('hi');
+    await settle();
+
+    assert.deepEqual(bubbles(), ['hi', 'Network error. Try again later.']);
+    assert.ok(!isHidden('chat-retry'));
+  });
+
+  test('restores the session history', async () => {
+    localStorage.setItem('chatSessionId', 'abc');
+    const calls = mockFetch(() => jsonResponse({
+      ok: true,
+      items: [
+        { sender: 'bot', message: 'Hello!', quick_replies: ['Pricing'] },
+        { sender: 'user', message: 'hi' }
+      ]
+    }));
+    initChat();
+    await settle();
+
+    assert.deepEqual(bubbles(), ['hi', 'Hello!']);
+    assert.equal(document.querySelectorAll('.chat-quick-replies button').length, 1);
+    assert.equal(calls[0].url, '/api/v1/chats/abc/messages?per_page=100');
+  });
+
+  test('the toggle opens and closes the panel', () => {
+    initChat();
+    const toggle = document.getElementById('chat-toggle');
+    toggle.click();
+    assert.ok(!isHidden('chat-panel'));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(document.activeElement, document.getElementById('chat-input'));
+
+    document.getElementById('chat-close').click();
+    assert.ok(isHidden('chat-panel'));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(document.activeElement, toggle);
+  });
+
+  test('Escape closes the panel and returns focus to the toggle', () => {
+    initChat();
+    const toggle = document.getElementById('chat-toggle');
+    toggle.click();
+    pressKey(document.activeElement, 'Escape');
+    assert.ok(isHidden('chat-panel'));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(document.activeElement, toggle);
+  });
+
+  test('Tab keeps focus inside the open panel', () => {
+    initChat();
+    document.getElementById('chat-toggle').click();
+    // Stop and Retry are hidden, so the send button is the last stop
+    const close = document.getElementById('chat-close');
+    const send = document.getElementById('chat-send');
+    send.focus();
+    assert.equal(pressKey(send, 'Tab'), false);
+    assert.equal(document.activeElement, close);
+    assert.equal(pressKey(close, 'Tab', { shiftKey: true }), false);
+    assert.equal(document.activeElement, send);
+    // Moves between the two ends are left to the browser
+    close.focus();
+    assert.equal(pressKey(close, 'Tab'), true);
+  });
+});
@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { jsonResponse, mockFetch, settle, setupDom } from './helpers.js';
+import { initContactForm } from '../../static/js/modules/contactForm.js';
+
+const PAGE = `
+  <div id="contact-success" class="hidden"></div>
+  <ul id="contact-outbox" class="hidden"></ul>
+  <form id="contact-form" novalidate>
+    <input type="hidden" name="form_token" value="signed">
+    <input type="text" name="website">
+    <input type="text" name="name" class="border-gray-700">
+    <p data-field-error="name" class="hidden"></p>
+    <input type="email" name="email" class="border-gray-700">
+    <p data-field-error="email" class="hidden"></p>
+    <textarea name="message" class="border-gray-700"></textarea>
+    <p data-field-error="message" class="hidden"></p>
+    <button type="submit">Send</button>
+  </form>
+`;
+
+const MESSAGES = {
+  'contact.sending': 'Sending...',
+  'contact.retry_in': 'Try again in {seconds}s',
+  'contact.network_error': 'Network error. Try again later.'
+};
+
+function form() {
+  return document.getElementById('contact-form');
+}
+
+function fill(values) {
+  Object.entries(values).forEach(([name, value]) => { form().elements[name].value = value; });
+}
+
+function submit() {
+  form().dispatchEvent(new Event('submit', { cancelable: true }));
+}
+
+function fieldError(name) {
+  return document.querySelector(`[data-field-error="${name}"]`);
+}
+
+function status() {
+  return document.getElementById('contact-success');
+}
+
+describe('contact form', () => {
+  let responses;
+  let calls;
+  beforeEach(() => {
+    setupDom(PAGE, { messages: MESSAGES });
+    responses = [];
+    calls = mockFetch(() => {
+      const response = responses.shift();
+      if (response instanceof Error) throw response;
+      return response;
+    });
+    initContactForm();
+  });
+
+  test('posts the fields as JSON and resets the form on success', async () => {
+    responses.push(jsonResponse({ ok: true, message: 'Thanks!' }));
+    fill({ name: 'Asha', email: 'asha@example.com', message: 'Hello' });
+    submit();
+    await settle();
+
+    assert.equal(calls[0].url, '/api/v1/contacts');
+    const body = JSON.parse(calls[0].options.body);
+    assert.deepEqual(body, { name: 'Asha', email: 'asha@example.com', message: 'Hello', website: '', form_token: 'signed' });
+    assert.equal(status().textContent, 'Thanks!');
+    assert.ok(status().classList.contains('text-green-400'));
+    assert.equal(form().elements.name.value, '');
+  });
+
+  test('marks the fields the server rejected', async () => {
+    responses.push(jsonResponse({
+      ok: false,
+      error: 'Please correct the highlighted fields.',
+      fields: { email: 'Please enter a valid email address.' }
+    }, 400));
+    fill({ name: 'Asha', email: 'nope', message: 'Hello' });
+    submit();
+    await settle();
+
+    const email = form().elements.email;
+    assert.equal(email.getAttribute('aria-invalid'), 'true');
+    assert.ok(email.classList.contains('border-red-500'));
+    assert.equal(fieldError('email').textContent, 'Please enter a valid email address.');
+    assert.ok(!fieldError('email').classList.contains('hidden'));
+    assert.equal(document.activeElement, email);
+    assert.equal(form().elements.name.getAttribute('aria-invalid'), null);
+    assert.ok(fieldError('name').classList.contains('hidden'));
+    assert.equal(status().textContent, 'Please correct the highlighted fields.');
+    assert.ok(status().classList.contains('text-red-400'));
+    // The visitor's input is kept so it can be corrected
+    assert.equal(form().elements.message.value, 'Hello');
+  });
+
+  test('editing a field clears its error', async () => {
+    responses.push(jsonResponse({ ok: false, error: 'Fix it', fields: { email: 'Invalid', name: 'Required' } }, 400));
+    submit();
+    await settle();
+
+    const email = form().elements.email;
+    email.value = 'asha@example.com';
+    email.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.equal(email.getAttribute('aria-invalid'), null);
+    assert.ok(fieldError('email').classList.contains('hidden'));
+    assert.equal(form().elements.name.getAttribute('aria-invalid'), 'true');
+  });
+
+  test('locks the button while rate limited', async () => {
+    responses.push(jsonResponse({ ok: false, error: 'Too many requests.' }, 429, { 'Retry-After': '1' }));
+    submit();
+    await settle();
+
+    const button = form().querySelector('button[type="submit"]');
+    assert.equal(button.disabled, true);
+    assert.equal(button.textContent, 'Try again in 1s');
+    // Submitting again during the lock does not reach the server
+    submit();
+    await settle();
+    assert.equal(calls.length, 1);
+
+    await settle(1100);
+    assert.equal(button.disabled, false);
+    assert.equal(button.textContent, 'Send');
+  });
+
+  test('reports a network failure and re-enables the button', async () => {
+    responses.push(new TypeError('Failed to fetch'));
+    submit();
+    await settle();
+
+    assert.equal(status().textContent, 'Network error. Try again later.');
+    const button = form().querySelector('button[type="submit"]');
+    assert.equal(button.disabled, false);
+    assert.equal(button.textContent, 'Send');
+  });
+});
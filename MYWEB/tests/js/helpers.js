@@ -0,0 +1,83 @@
+// helpers.js - shared setup for the front-end tests: a fresh jsdom page per
+// test, exposed as the browser globals the modules in static/js/modules/ use,
+// and a scripted fetch.
+import { JSDOM } from 'jsdom';
+
+const BROWSER_GLOBALS = [
+  'window', 'document', 'location', 'localStorage', 'sessionStorage', 'navigator',
+  'Event', 'CustomEvent', 'KeyboardEvent', 'StorageEvent', 'HTMLElement', 'FormData', 'getComputedStyle',
+  'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+// Media features matchMedia reports as matching; see setMediaFeature
+let mediaFeatures = {};
+let mediaListeners = [];
+
+// Loads `html` into a new page and installs it as the global browser
+// environment. `reducedMotion` and `lightScheme` set what
+// prefers-reduced-motion and prefers-color-scheme report.
+// Returns the JSDOM instance.
+export function setupDom(html = '', { url = 'http://localhost/', messages = {}, reducedMotion = false, lightScheme = false } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><html><head><meta name="csrf-token" content="test-token"></head><body>${html}</body></html>`, {
+    url,
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  window.I18N = { locale: 'en', locales: { en: 'English' }, messages };
+  mediaFeatures = { 'prefers-reduced-motion': reducedMotion, 'prefers-color-scheme': lightScheme };
+  mediaListeners = [];
+  window.matchMedia = query => {
+    const feature = Object.keys(mediaFeatures).find(name => query.includes(name));
+    return {
+      get matches() { return !!mediaFeatures[feature]; },
+      addEventListener(type, fn) { mediaListeners.push({ feature, fn }); },
+      removeEventListener() {}
+    };
+  };
+  BROWSER_GLOBALS.forEach(name => {
+    const value = name === 'window' ? window : window[name];
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  });
+  return dom;
+}
+
+// Flips a media feature (e.g. the OS switching to a light colour scheme)
+// and notifies the matchMedia listeners for it
+export function setMediaFeature(feature, matches) {
+  mediaFeatures[feature] = matches;
+  mediaListeners.filter(l => l.feature === feature).forEach(l => l.fn({ matches }));
+}
+
+// Replaces global fetch with `handler(url, options)`, which returns a
+// Response (or throws to simulate a network failure). Every call is
+// recorded in the returned array.
+export function mockFetch(handler) {
+  const calls = [];
+  globalThis.fetch = async (url, options = {}) => {
+    calls.push({ url, options });
+    return handler(url, options);
+  };
+  return calls;
+}
+
+export function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: Object.assign({ 'Content-Type': 'application/json' }, headers)
+  });
+}
+
+// An SSE response made of (event, data) pairs, as sent by POST /api/v1/chats/messages
+export function sseResponse(events) {
+  const body = events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+  return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+export function pressKey(target, key, options = {}) {
+  return target.dispatchEvent(new KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, options)));
+}
+
+// Resolves once pending promise callbacks and timers have run
+export function settle(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
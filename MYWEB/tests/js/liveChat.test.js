@@ -0,0 +1,190 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { jsonResponse, mockFetch, settle, setupDom } from './helpers.js';
+import { initChat } from '../../static/js/modules/chat.js';
+
+const PAGE = `
+  <button id="chat-toggle" aria-expanded="false">Chat</button>
+  <div id="chat-panel" class="hidden" role="dialog">
+    <button id="chat-close">x</button>
+    <p id="chat-status" class="hidden"></p>
+    <div id="chat-log" role="log" aria-live="off"></div>
+    <div id="chat-announcer" aria-live="polite"></div>
+    <form id="chat-form">
+      <input type="text" id="chat-input">
+      <button type="submit" id="chat-send">Send</button>
+    </form>
+    <div id="chat-controls" class="hidden">
+      <button type="button" id="chat-cancel" class="hidden">Stop</button>
+      <button type="button" id="chat-retry" class="hidden">Retry</button>
+    </div>
+  </div>
+`;
+
+const MESSAGES = {
+  'chat.owner_online': 'Alam is online',
+  'chat.owner_live': 'Chatting live with Alam',
+  'chat.owner_joined': 'Alam has joined the chat.',
+  'chat.owner_left': 'Alam has left the chat.',
+  'chat.owner_says': 'Alam: {message}'
+};
+
+let sockets;
+
+// Records what the widget sends; the test plays the server with receive()
+class FakeWebSocket {
+  static OPEN = 1;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    this.listeners = {};
+    sockets.push(this);
+  }
+
+  addEventListener(type, fn) { this.listeners[type] = fn; }
+  send(data) { this.sent.push(JSON.parse(data)); }
+  close() { this.readyState = 3; }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.listeners.open({});
+  }
+
+  receive(frame) { this.listeners.message({ data: JSON.stringify(frame) }); }
+}
+
+function bubbles() {
+  return Array.from(document.querySelectorAll('#chat-log > div > div:first-child')).map(b => b.textContent);
+}
+
+function status() {
+  const el = document.getElementById('chat-status');
+  return el.classList.contains('hidden') ? '' : el.textContent;
+}
+
+function type(text) {
+  const input = document.getElementById('chat-input');
+  input.value = text;
+  input.dispatchEvent(new Event('input'));
+}
+
+function send(text) {
+  document.getElementById('chat-input').value = text;
+  document.getElementById('chat-form').dispatchEvent(new Event('submit', { cancelable: true }));
+}
+
+describe('live chat', () => {
+  let replies;
+  beforeEach(() => {
+    setupDom(PAGE, { messages: MESSAGES });
+    localStorage.setItem('chatSessionId', 'visitor-1');
+    sockets = [];
+    globalThis.WebSocket = FakeWebSocket;
+    replies = [];
+    mockFetch((url, options) => {
+      if (!options.method || options.method === 'GET') return jsonResponse({ ok: true, items: [], page: 1, pages: 1, total: 0 });
+      return replies.shift();
+    });
+  });
+
+  afterEach(() => { delete globalThis.WebSocket; });
+
+  async function openChat() {
+    initChat();
+    await settle();
+    document.getElementById('chat-toggle').click();
+    const [ws] = sockets;
+    ws.open();
+    return ws;
+  }
+
+  test('connects when the panel opens and shows the owner as online', async () => {
+    initChat();
+    await settle();
+    assert.equal(sockets.length, 0, 'no socket for visitors who never open the chat');
+
+    document.getElementById('chat-toggle').click();
+    assert.equal(sockets.length, 1);
+    assert.equal(sockets[0].url, 'ws://localhost/chat_live?session_id=visitor-1');
+    sockets[0].open();
+    sockets[0].receive({ type: 'status', owner_online: true, live: false });
+    assert.equal(status(), 'Alam is online');
+
+    sockets[0].receive({ type: 'presence', owner_online: false });
+    assert.equal(status(), '');
+
+    // Reopening the panel keeps the same connection
+    document.getElementById('chat-close').click();
+    document.getElementById('chat-toggle').click();
+    assert.equal(sockets.length, 1);
+  });
+
+  test('shows the owner taking over, typing and replying', async () => {
+    const ws = await openChat();
+    ws.receive({ type: 'status', owner_online: true, live: false });
+    ws.receive({ type: 'handoff', live: true });
+    assert.equal(status(), 'Chatting live with Alam');
+    assert.deepEqual(bubbles(), ['Alam has joined the chat.']);
+
+    ws.receive({ type: 'typing', typing: true });
+    assert.equal(bubbles().at(-1), '...');
+
+    ws.receive({ type: 'message', sender: 'owner', message: 'Hi, Alam here!' });
+    assert.deepEqual(bubbles(), ['Alam has joined the chat.', 'Hi, Alam here!']);
+    assert.ok(document.querySelector('#chat-log > div:last-child > div').className.includes('border-cyanCustom'));
+    assert.equal(document.getElementById('chat-announcer').textContent, 'Alam: Hi, Alam here!');
+  });
+
+  test('messages the owner answers get no bot reply', async () => {
+    const ws = await openChat();
+    ws.receive({ type: 'status', owner_online: true, live: true });
+    replies.push(jsonResponse({ ok: true, live: true, session_id: 'visitor-1' }));
+    send('Can we talk?');
+    await settle();
+
+    assert.deepEqual(bubbles(), ['Can we talk?']);
+    assert.ok(document.getElementById('chat-controls').classList.contains('hidden'));
+  });
+
+  test('the bot takes back over when the owner leaves', async (t) => {
+    const ws = await openChat();
+    ws.receive({ type: 'status', owner_online: true, live: true });
+    ws.receive({ type: 'typing', typing: true });
+    ws.receive({ type: 'handoff', live: false });
+
+    assert.deepEqual(bubbles(), ['Alam has left the chat.'], 'the typing indicator is gone too');
+    assert.equal(status(), 'Alam is online');
+
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    ws.listeners.close({});
+    assert.equal(status(), '', 'nothing is known while disconnected');
+    t.mock.timers.tick(1000);
+    assert.equal(sockets.length, 2, 'reconnects after a second');
+  });
+
+  test('reports the visitor typing once per burst', async () => {
+    const ws = await openChat();
+    type('H');
+    type('He');
+    type('Hel');
+    assert.deepEqual(ws.sent, [{ type: 'typing', typing: true }]);
+
+    replies.push(jsonResponse({ ok: true, reply: 'Hello!' }));
+    send('Hello');
+    assert.deepEqual(ws.sent.at(-1), { type: 'typing', typing: false });
+  });
+
+  test('works as before without WebSocket support', async () => {
+    delete globalThis.WebSocket;
+    initChat();
+    await settle();
+    document.getElementById('chat-toggle').click();
+    type('Hi');
+    replies.push(jsonResponse({ ok: true, reply: 'Hello!' }));
+    send('Hi');
+    await settle();
+    assert.deepEqual(bubbles(), ['Hi', 'Hello!']);
+  });
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { pressKey, setupDom } from './helpers.js';
+import { initNavigation } from '../../static/js/modules/navigation.js';
+
+const PAGE = `
+  <button id="menu-button" aria-expanded="false" aria-controls="mobile-menu">Menu</button>
+  <div id="mobile-menu" style="height: 0;" inert>
+    <a class="mobile-link smooth-scroll" href="#about">About</a>
+  </div>
+  <section id="about"></section>
+`;
+
+describe('mobile menu', () => {
+  let button;
+  let menu;
+  beforeEach(() => {
+    setupDom(PAGE);
+    window.scrollTo = () => {};
+    initNavigation();
+    button = document.getElementById('menu-button');
+    menu = document.getElementById('mobile-menu');
+  });
+
+  test('the button toggles aria-expanded and the menu', () => {
+    button.click();
+    assert.equal(button.getAttribute('aria-expanded'), 'true');
+    assert.equal(menu.inert, false);
+
+    button.click();
+    assert.equal(button.getAttribute('aria-expanded'), 'false');
+    assert.equal(menu.inert, true);
+    assert.equal(menu.style.height, '0px');
+  });
+
+  test('Escape closes the menu and focuses the button', () => {
+    button.click();
+    menu.querySelector('a').focus();
+    pressKey(document.activeElement, 'Escape');
+    assert.equal(button.getAttribute('aria-expanded'), 'false');
+    assert.equal(menu.inert, true);
+    assert.equal(document.activeElement, button);
+  });
+
+  test('Escape does nothing while the menu is closed', () => {
+    document.body.tabIndex = -1;
+    document.body.focus();
+    pressKey(document.body, 'Escape');
+    assert.equal(button.getAttribute('aria-expanded'), 'false');
+    assert.notEqual(document.activeElement, button);
+  });
+
+  test('scrolls instantly with reduced motion', () => {
+    setupDom(PAGE, { reducedMotion: true });
+    const scrolls = [];
+    window.scrollTo = options => scrolls.push(options.behavior);
+    initNavigation();
+    document.querySelector('.smooth-scroll').click();
+    assert.deepEqual(scrolls, ['auto']);
+  });
+});
@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  DEFAULT_CONFIG, createField, createParticleLoop, drawField, parseColor, particleCount, stepField
+} from '../../static/js/modules/particleEngine.js';
+
+const FRAME_MS = 1000 / 60;
+
+function config(overrides) {
+  return Object.assign({}, DEFAULT_CONFIG, overrides);
+}
+
+function field(particles, width = 1000, height = 500) {
+  return { width, height, particles: particles.map(p => Object.assign({ vx: 0, vy: 0, size: 1 }, p)) };
+}
+
+// Records the drawing calls the engine makes
+function fakeContext() {
+  const calls = [];
+  return new Proxy({ calls }, {
+    get(target, name) {
+      if (name in target) return target[name];
+      return (...args) => calls.push([name, ...args]);
+    },
+    set(target, name, value) {
+      calls.push(['set ' + String(name), value]);
+      return true;
+    }
+  });
+}
+
+function count(ctx, name) {
+  return ctx.calls.filter(call => call[0] === name).length;
+}
+
+describe('parseColor', () => {
+  test('accepts hex, space and comma separated channels', () => {
+    assert.equal(parseColor('#22d3ee'), '34, 211, 238');
+    assert.equal(parseColor(' 167 139 250 '), '167, 139, 250');
+    assert.equal(parseColor('52, 211, 153'), '52, 211, 153');
+  });
+
+  test('rejects anything else', () => {
+    ['', 'red', '#fff', '1 2', '1 2 300', null, undefined].forEach(value => assert.equal(parseColor(value), null));
+  });
+});
+
+describe('particleCount', () => {
+  test('scales with the area and the density', () => {
+    assert.equal(particleCount(1200, 750), 10);
+    assert.equal(particleCount(1200, 750, config({ density: 2 })), 20);
+    assert.equal(particleCount(0, 750), 0);
+  });
+
+  test('uses a third on narrow canvases', () => {
+    assert.equal(particleCount(600, 1350), 3);
+  });
+
+  test('is capped by maxParticles', () => {
+    assert.equal(particleCount(4000, 4000, config({ density: 10 })), DEFAULT_CONFIG.maxParticles);
+  });
+});
+
+describe('createField', () => {
+  test('places every particle inside the area', () => {
+    const { particles } = createField(1200, 750);
+    assert.equal(particles.length, 10);
+    particles.forEach(p => {
+      assert.ok(p.x >= 0 && p.x <= 1200);
+      assert.ok(p.y >= 0 && p.y <= 750);
+    });
+  });
+
+  test('speed scales the drift', () => {
+    const still = createField(1200, 750, config({ speed: 0 }));
+    still.particles.forEach(p => assert.deepEqual([Math.abs(p.vx), Math.abs(p.vy)], [0, 0]));
+    const fast = createField(1200, 750, config({ speed: 5 }), () => 1);
+    assert.equal(fast.particles[0].vx, 1);
+  });
+});
+
+describe('stepField', () => {
+  test('moves particles by their velocity per frame', () => {
+    const f = field([{ x: 100, y: 100, vx: 1, vy: -0.5 }]);
+    stepField(f, FRAME_MS * 2, null);
+    assert.deepEqual([f.particles[0].x, f.particles[0].y], [102, 99]);
+  });
+
+  test('catches up at most three frames after a stall', () => {
+    const f = field([{ x: 100, y: 100, vx: 1 }]);
+    stepField(f, 10000, null);
+    assert.equal(f.particles[0].x, 103);
+  });
+
+  test('bounces off the edges', () => {
+    const f = field([{ x: 999.5, y: 10, vx: 1 }]);
+    stepField(f, FRAME_MS, null);
+    assert.equal(f.particles[0].x, 1000);
+    assert.equal(f.particles[0].vx, -1);
+  });
+
+  test('pushes particles away from the pointer', () => {
+    const f = field([{ x: 120, y: 100 }, { x: 400, y: 100 }]);
+    stepField(f, FRAME_MS, { x: 100, y: 100 });
+    assert.ok(f.particles[0].x > 120, 'near particle moves away');
+    assert.equal(f.particles[0].y, 100);
+    assert.equal(f.particles[1].x, 400, 'far particle stays');
+  });
+
+  test('ignores the pointer when repulsion is off', () => {
+    const f = field([{ x: 120, y: 100 }]);
+    stepField(f, FRAME_MS, { x: 100, y: 100 }, config({ repelRadius: 0 }));
+    assert.equal(f.particles[0].x, 120);
+  });
+});
+
+describe('drawField', () => {
+  const color = { rgb: '34, 211, 238', alpha: 0.5 };
+
+  test('joins only particles closer than linkDistance', () => {
+    const ctx = fakeContext();
+    drawField(ctx, field([{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 500, y: 0 }]), color);
+    assert.equal(count(ctx, 'stroke'), 1);
+    assert.equal(count(ctx, 'fill'), 3);
+    assert.ok(ctx.calls.some(call => call[0] === 'set fillStyle' && call[1] === 'rgba(34, 211, 238, 0.5)'));
+  });
+
+  test('fades lines with distance', () => {
+    const ctx = fakeContext();
+    drawField(ctx, field([{ x: 0, y: 0 }, { x: 55, y: 0 }]), color, config({ linkDistance: 110 }));
+    const stroke = ctx.calls.find(call => call[0] === 'set strokeStyle');
+    assert.equal(stroke[1], 'rgba(34, 211, 238, 0.150)');
+  });
+
+  test('draws no lines with linkDistance 0', () => {
+    const ctx = fakeContext();
+    drawField(ctx, field([{ x: 0, y: 0 }, { x: 5, y: 0 }]), color, config({ linkDistance: 0 }));
+    assert.equal(count(ctx, 'stroke'), 0);
+  });
+});
+
+describe('createParticleLoop', () => {
+  test('sizes the canvas for the pixel ratio and holds still until told to run', () => {
+    const ctx = fakeContext();
+    const canvas = { width: 0, height: 0, getContext: () => ctx };
+    const loop = createParticleLoop(canvas);
+    loop.handle({ type: 'init', config: { density: 2 }, color: { rgb: '1, 2, 3', alpha: 1 }, width: 1200, height: 750, dpr: 2, running: false });
+
+    assert.deepEqual([canvas.width, canvas.height], [2400, 1500]);
+    assert.equal(loop.field.particles.length, 20);
+    assert.equal(loop.running, false);
+    assert.ok(ctx.calls.some(call => call[0] === 'setTransform' && call[1] === 2));
+
+    loop.handle({ type: 'run', running: true });
+    assert.equal(loop.running, true);
+    loop.handle({ type: 'run', running: false });
+    assert.equal(loop.running, false);
+  });
+});
@@ -0,0 +1,196 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { settle, setupDom } from './helpers.js';
+import { initParticles } from '../../static/js/modules/particles.js';
+
+const PAGE = `
+  <section id="hero">
+    <canvas id="particles-canvas" data-particle-density="2" data-particle-color="#a78bfa" data-particle-speed="fast"></canvas>
+  </section>
+`;
+
+let observers;
+
+// A canvas with a fixed CSS size, a recording 2D context and a counter of
+// how often its backing store was resized
+function prepareCanvas(canvas, width = 1200, height = 750) {
+  const ctx = { clears: 0 };
+  ['setTransform', 'beginPath', 'arc', 'fill', 'moveTo', 'lineTo', 'stroke'].forEach(name => { ctx[name] = () => {}; });
+  ctx.clearRect = () => { ctx.clears++; };
+  canvas.getContext = () => ctx;
+  canvas.resizes = 0;
+  let backingWidth = 0;
+  Object.defineProperty(canvas, 'width', { get: () => backingWidth, set: value => { backingWidth = value; canvas.resizes++; } });
+  Object.defineProperty(canvas, 'clientWidth', { get: () => width });
+  Object.defineProperty(canvas, 'clientHeight', { get: () => height });
+  return ctx;
+}
+
+function setHidden(hidden) {
+  Object.defineProperty(document, 'hidden', { value: hidden, configurable: true });
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+describe('particles', () => {
+  let canvas;
+  let ctx;
+  beforeEach(() => {
+    setupDom(PAGE);
+    observers = [];
+    window.IntersectionObserver = globalThis.IntersectionObserver = class {
+      constructor(callback) { observers.push(callback); }
+      observe() {}
+    };
+    window.devicePixelRatio = 2;
+    canvas = document.getElementById('particles-canvas');
+    ctx = prepareCanvas(canvas);
+  });
+
+  afterEach(() => {
+    delete globalThis.IntersectionObserver;
+    window.close();
+  });
+
+  test('reads its settings from data attributes, overridden by options', () => {
+    const particles = initParticles({ linkDistance: 0 });
+    assert.equal(particles.config.density, 2);
+    assert.equal(particles.config.color, '#a78bfa');
+    assert.equal(particles.config.speed, 1, 'invalid values keep the default');
+    assert.equal(particles.config.linkDistance, 0);
+  });
+
+  test('draws on the main thread at the device pixel ratio', () => {
+    const particles = initParticles();
+    assert.equal(particles.offThread, false);
+    assert.equal(canvas.width, 2400);
+    assert.equal(canvas.height, 1500);
+  });
+
+  test('caps the pixel ratio at 2', () => {
+    window.devicePixelRatio = 3;
+    initParticles();
+    assert.equal(canvas.width, 2400);
+  });
+
+  test('animates only while visible and on screen', async () => {
+    const particles = initParticles();
+    await settle(60);
+    assert.ok(ctx.clears > 1, 'animating');
+
+    setHidden(true);
+    assert.equal(particles.running, false);
+    let before = ctx.clears;
+    await settle(60);
+    assert.equal(ctx.clears, before, 'paused while the tab is hidden');
+
+    setHidden(false);
+    observers[0]([{ isIntersecting: false }]);
+    assert.equal(particles.running, false);
+    before = ctx.clears;
+    await settle(60);
+    assert.equal(ctx.clears, before, 'paused while the hero is off screen');
+
+    observers[0]([{ isIntersecting: true }]);
+    await settle(60);
+    assert.ok(ctx.clears > before, 'animating again');
+  });
+
+  test('holds a still frame with reduced motion', async () => {
+    window.close();
+    setupDom(PAGE, { reducedMotion: true });
+    canvas = document.getElementById('particles-canvas');
+    ctx = prepareCanvas(canvas);
+    const particles = initParticles();
+    assert.equal(particles.running, false);
+    assert.equal(ctx.clears, 1);
+    await settle(60);
+    assert.equal(ctx.clears, 1);
+  });
+
+  test('debounces resizes', async () => {
+    initParticles();
+    const before = canvas.resizes;
+    for (let i = 0; i < 5; i++) window.dispatchEvent(new Event('resize'));
+    await settle(50);
+    assert.equal(canvas.resizes, before);
+    await settle(150);
+    assert.equal(canvas.resizes, before + 1);
+  });
+
+  describe('with an OffscreenCanvas', () => {
+    let workers;
+    beforeEach(() => {
+      workers = [];
+      canvas.dataset.worker = '/static/dist/particles.worker.js';
+      canvas.transferControlToOffscreen = () => ({ offscreen: true });
+      globalThis.Worker = class {
+        constructor(url, options) {
+          this.url = url;
+          this.options = options;
+          this.messages = [];
+          this.listeners = {};
+          workers.push(this);
+        }
+        postMessage(msg, transfer) { this.messages.push({ msg, transfer }); }
+        addEventListener(type, fn) { this.listeners[type] = fn; }
+        terminate() { this.terminated = true; }
+      };
+    });
+
+    afterEach(() => { delete globalThis.Worker; });
+
+    test('hands the canvas to a module worker', async () => {
+      const particles = initParticles();
+      const [worker] = workers;
+      assert.equal(worker.url, '/static/dist/particles.worker.js');
+      assert.deepEqual(worker.options, { type: 'module' });
+
+      const init = worker.messages[0];
+      assert.equal(init.msg.type, 'init');
+      assert.deepEqual(init.transfer, [init.msg.canvas]);
+      assert.deepEqual([init.msg.width, init.msg.height, init.msg.dpr], [1200, 750, 2]);
+      assert.deepEqual(init.msg.color, { rgb: '167, 139, 250', alpha: 0.5 });
+      assert.equal(particles.offThread, true);
+
+      // Sent before the worker is ready: delivered once it is
+      setHidden(true);
+      assert.equal(worker.messages.length, 1);
+      worker.listeners.message({ data: { type: 'ready' } });
+      await settle();
+      assert.deepEqual(worker.messages[1].msg, { type: 'run', running: false });
+    });
+
+    test('forwards pointer positions relative to the canvas', async () => {
+      initParticles();
+      const [worker] = workers;
+      worker.listeners.message({ data: { type: 'ready' } });
+      await settle();
+      canvas.getBoundingClientRect = () => ({ left: 10, top: 20 });
+      document.getElementById('hero').dispatchEvent(new window.MouseEvent('pointermove', { clientX: 110, clientY: 70 }));
+      assert.deepEqual(worker.messages.at(-1).msg, { type: 'pointer', pointer: { x: 100, y: 50 } });
+      document.getElementById('hero').dispatchEvent(new Event('pointerleave'));
+      assert.deepEqual(worker.messages.at(-1).msg, { type: 'pointer', pointer: null });
+    });
+
+    test('falls back to the main thread on a fresh canvas when the worker fails', async (t) => {
+      t.mock.method(console, 'warn', () => {});
+      const particles = initParticles();
+      const [worker] = workers;
+      // The fresh canvas comes from cloneNode; give it the same fakes
+      const cloneNode = canvas.cloneNode.bind(canvas);
+      canvas.cloneNode = deep => {
+        const fresh = cloneNode(deep);
+        prepareCanvas(fresh);
+        return fresh;
+      };
+      worker.listeners.error({ message: 'module workers unsupported' });
+      await settle();
+
+      assert.equal(worker.terminated, true);
+      const fresh = document.getElementById('particles-canvas');
+      assert.notEqual(fresh, canvas);
+      assert.equal(fresh.width, 2400);
+      assert.equal(particles.offThread, false);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { jsonResponse, mockFetch, settle, setupDom } from './helpers.js';
+import { initProjects } from '../../static/js/modules/projects.js';
+
+const PAGE = `
+  <section id="projects">
+    <div id="projects-toolbar" class="hidden">
+      <select id="projects-tech"><option value="">All</option></select>
+      <div id="projects-tags"></div>
+      <p id="projects-status"></p>
+    </div>
+    <div id="projects-grid"></div>
+    <div id="project-modal" class="hidden">
+      <button id="project-modal-close">x</button>
+      <img id="project-modal-image" class="hidden" alt="">
+      <span id="project-modal-category"></span>
+      <h3 id="project-modal-title"></h3>
+      <div id="project-modal-body"></div>
+      <div id="project-modal-tech"></div>
+      <div id="project-modal-links"></div>
+    </div>
+  </section>
+`;
+
+function project(n) {
+  return { slug: `p${n}`, title: `Project ${n}`, summary: '', description: '', tags: [], tech: [], date: '', links: [] };
+}
+
+function titles() {
+  return Array.from(document.querySelectorAll('#projects-grid h3')).map(h => h.textContent);
+}
+
+describe('projects', () => {
+  beforeEach(() => setupDom(PAGE));
+
+  test('loads every page of projects', async () => {
+    const calls = mockFetch(url => {
+      const page = Number(new URL(url, 'http://localhost').searchParams.get('page') || 1);
+      return jsonResponse({ ok: true, items: [project(page)], page, pages: 3, total: 3, tags: [], tech: ['Flask'] });
+    });
+    initProjects();
+    await settle();
+
+    assert.equal(calls.length, 3);
+    assert.equal(calls[2].url, '/api/v1/projects?per_page=100&page=3');
+    assert.deepEqual(titles().sort(), ['Project 1', 'Project 2', 'Project 3']);
+    assert.equal(document.querySelectorAll('#projects-tech option').length, 2);
+  });
+
+  test('a malformed #projects/ hash closes the modal', async () => {
+    mockFetch(() => jsonResponse({ ok: true, items: [project(1)], page: 1, pages: 1, total: 1, tags: [], tech: [] }));
+    location.hash = '#projects/p1';
+    initProjects();
+    await settle();
+    const modal = document.getElementById('project-modal');
+    assert.ok(!modal.classList.contains('hidden'));
+
+    location.hash = '#projects/%E0';
+    await settle();
+    assert.ok(modal.classList.contains('hidden'));
+  });
+});
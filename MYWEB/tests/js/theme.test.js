@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { setMediaFeature, setupDom } from './helpers.js';
+import { ACCENT_KEY, THEME_KEY, initTheme, resolveTheme, setTheme } from '../../static/js/modules/theme.js';
+
+const PAGE = `
+  <button id="theme-toggle"><svg id="theme-icon"></svg></button>
+  <button id="theme-toggle-mobile"><svg id="theme-icon-mobile"></svg></button>
+  <button data-accent-choice="cyan"></button>
+  <button data-accent-choice="violet"></button>
+`;
+
+const MESSAGES = { 'theme.label': 'Theme: {mode}', 'theme.system': 'System', 'theme.light': 'Light', 'theme.dark': 'Dark' };
+
+function theme() {
+  return document.documentElement.dataset.theme;
+}
+
+function labels() {
+  return ['theme-toggle', 'theme-toggle-mobile'].map(id => document.getElementById(id).getAttribute('aria-label'));
+}
+
+function clickToggle() {
+  document.getElementById('theme-toggle').click();
+}
+
+describe('theme', () => {
+  beforeEach(() => setupDom(PAGE, { messages: MESSAGES }));
+
+  test('follows the system without a saved setting and saves nothing', () => {
+    initTheme();
+    assert.equal(theme(), 'dark');
+    assert.equal(localStorage.getItem(THEME_KEY), null);
+    assert.deepEqual(labels(), ['Theme: System', 'Theme: System']);
+    assert.equal(document.querySelector('#theme-icon .icon-moon').style.opacity, '1');
+  });
+
+  test('uses a light system scheme', () => {
+    setupDom(PAGE, { messages: MESSAGES, lightScheme: true });
+    initTheme();
+    assert.equal(theme(), 'light');
+    assert.equal(document.querySelector('#theme-icon .icon-sun').style.opacity, '1');
+  });
+
+  test('a saved theme wins over the system', () => {
+    setupDom(PAGE, { messages: MESSAGES, lightScheme: true });
+    localStorage.setItem(THEME_KEY, 'dark');
+    initTheme();
+    assert.equal(theme(), 'dark');
+    assert.deepEqual(labels(), ['Theme: Dark', 'Theme: Dark']);
+  });
+
+  test('an unknown saved value counts as system', () => {
+    localStorage.setItem(THEME_KEY, 'sepia');
+    assert.equal(resolveTheme(), 'dark');
+    initTheme();
+    assert.deepEqual(labels(), ['Theme: System', 'Theme: System']);
+  });
+
+  test('follows OS changes only while set to system', () => {
+    initTheme();
+    setMediaFeature('prefers-color-scheme', true);
+    assert.equal(theme(), 'light');
+
+    setTheme('dark');
+    setMediaFeature('prefers-color-scheme', false);
+    setMediaFeature('prefers-color-scheme', true);
+    assert.equal(theme(), 'dark');
+  });
+
+  test('the toggle steps through system, the opposite theme and the system theme', () => {
+    initTheme();
+    clickToggle();
+    assert.equal(localStorage.getItem(THEME_KEY), 'light');
+    assert.equal(theme(), 'light');
+    assert.deepEqual(labels(), ['Theme: Light', 'Theme: Light']);
+
+    document.getElementById('theme-toggle-mobile').click();
+    assert.equal(localStorage.getItem(THEME_KEY), 'dark');
+    assert.equal(theme(), 'dark');
+
+    clickToggle();
+    assert.equal(localStorage.getItem(THEME_KEY), 'system');
+    assert.equal(theme(), 'dark');
+  });
+
+  test('the first click always changes the page', () => {
+    setupDom(PAGE, { messages: MESSAGES, lightScheme: true });
+    initTheme();
+    clickToggle();
+    assert.equal(localStorage.getItem(THEME_KEY), 'dark');
+    assert.equal(theme(), 'dark');
+  });
+
+  test('accent swatches apply and persist the palette', () => {
+    initTheme();
+    assert.equal(document.documentElement.dataset.accent, 'cyan');
+    document.querySelector('[data-accent-choice="violet"]').click();
+    assert.equal(document.documentElement.dataset.accent, 'violet');
+    assert.equal(localStorage.getItem(ACCENT_KEY), 'violet');
+    const pressed = Array.from(document.querySelectorAll('[data-accent-choice]')).map(b => b.getAttribute('aria-pressed'));
+    assert.deepEqual(pressed, ['false', 'true']);
+  });
+
+  test('announces changes with a themechange event', () => {
+    initTheme();
+    const events = [];
+    document.addEventListener('themechange', e => events.push(e.detail));
+    setTheme('light');
+    assert.deepEqual(events, [{ setting: 'light', theme: 'light', accent: 'cyan' }]);
+  });
+
+  test('picks up settings changed in another tab', () => {
+    initTheme();
+    localStorage.setItem(THEME_KEY, 'light');
+    window.dispatchEvent(new StorageEvent('storage', { key: THEME_KEY }));
+    assert.equal(theme(), 'light');
+  });
+});
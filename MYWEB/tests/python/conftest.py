@@ -0,0 +1,116 @@
+"""Shared setup for the server tests: the app runs against a fresh database
+per test (see `db_path`), never the tracked DataBase/appdata.db.
+"""
+from collections import defaultdict, deque
+import json
+import os
+import sys
+import tempfile
+
+import pytest
+
+MYWEB = os.path.dirname(os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+sys.path.insert(0, MYWEB)
+
+# Read when the app is imported: nothing may point at the real database
+os.environ.update(
+    DATABASE=os.path.join(tempfile.mkdtemp(prefix='alamweb-tests-'), 'appdata.db'),
+    AUTO_MIGRATE='0',
+    SECRET_KEY='test-secret',
+    ADMIN_PASSWORD='admin-pw',
+)
+for name in ('OWNER_EMAIL', 'AUTOREPLY', 'SMTP_HOST', 'SITE_URL', 'TRUSTED_PROXIES', 'BOT_ENGINE'):
+    os.environ.pop(name, None)
+
+import admin  # noqa: E402
+import api_v1  # noqa: E402
+import app as app_module  # noqa: E402
+import database  # noqa: E402
+import migrations  # noqa: E402
+import notifications  # noqa: E402
+import validators  # noqa: E402
+import webhooks  # noqa: E402
+
+CSRF_TOKEN = 'test-csrf-token'
+LIMITERS = (admin.login_limiter, api_v1.contact_limiter, api_v1.chat_limiter, app_module.analytics_limiter)
+
+
+@pytest.fixture(autouse=True)
+def db_path(tmp_path, monkeypatch):
+    """A migrated, empty database for each test. Rate limits start over too."""
+    path = str(tmp_path / 'appdata.db')
+    monkeypatch.setattr(database, 'DATABASE', path)
+    monkeypatch.setenv('MAIL_OUTBOX_DIR', str(tmp_path / 'mail_outbox'))
+    migrations.migrate(path)
+    for limiter in LIMITERS:
+        monkeypatch.setattr(limiter, '_hits', defaultdict(deque))
+    return path
+
+
+@pytest.fixture(autouse=True)
+def no_background_delivery(monkeypatch):
+    """Queued mail and webhooks stay queued; tests send them explicitly."""
+    monkeypatch.setattr(notifications, 'deliver_in_background', lambda: None)
+    monkeypatch.setattr(webhooks, 'deliver_in_background', lambda: None)
+
+
+@pytest.fixture
+def app():
+    return app_module.app
+
+
+@pytest.fixture
+def db():
+    conn = database.connect_db()
+    yield conn
+    conn.close()
+
+
+@pytest.fixture
+def client(app):
+    """A visitor's browser: its session holds CSRF_TOKEN, which posts send
+    back in the X-CSRFToken header (see `csrf_headers`).
+    """
+    client = app.test_client()
+    with client.session_transaction() as session:
+        session['csrf_token'] = CSRF_TOKEN
+    return client
+
+
+@pytest.fixture
+def csrf_headers():
+    return {'X-CSRFToken': CSRF_TOKEN}
+
+
+@pytest.fixture
+def admin_client(client):
+    with client.session_transaction() as session:
+        session['is_admin'] = True
+    return client
+
+
+@pytest.fixture
+def instant_form_tokens(monkeypatch):
+    """Form tokens are accepted as soon as they are issued."""
+    monkeypatch.setattr(validators, 'FORM_MIN_SECONDS', 0)
+
+
+@pytest.fixture
+def post_contact(client, csrf_headers, instant_form_tokens):
+    """Submits the contact form the way the site does: with a fresh form
+    token. Extra headers (say a spoofed Host) go along.
+    """
+    def post(name='Asha', email='asha@example.com', message='I need a website.', headers=None, **fields):
+        token = client.get('/api/v1/contacts/form-token').get_json()['form_token']
+        body = dict(fields, name=name, email=email, message=message, form_token=token)
+        return client.post('/api/v1/contacts', json=body, headers=dict(csrf_headers, **(headers or {})))
+    return post
+
+
+def parse_sse(body):
+    """[(event, data)] from a text/event-stream body."""
+    events = []
+    for frame in body.strip().split('\n\n'):
+        fields = dict(line.split(': ', 1) for line in frame.splitlines())
+        events.append((fields['event'], json.loads(fields['data'])))
+    return events
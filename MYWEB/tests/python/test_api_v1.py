@@ -0,0 +1,203 @@
+import hashlib
+
+import pytest
+
+import api_v1
+from conftest import parse_sse
+from database import insert_contact
+
+
+@pytest.fixture
+def token(db):
+    return api_v1.create_token(db, 'tests')
+
+
+@pytest.fixture
+def auth(token):
+    return {'Authorization': f'Bearer {token}'}
+
+
+def error(response):
+    body = response.get_json()
+    assert body['ok'] is False and body['error']
+    return response.status_code, body['code']
+
+
+# ---- Error envelope ----
+
+@pytest.mark.parametrize('data', ['not json', '[1, 2]', '"text"', ''])
+def test_invalid_json(client, csrf_headers, data):
+    response = client.post('/api/v1/contacts', data=data, content_type='application/json', headers=csrf_headers)
+    assert error(response) == (400, 'invalid_json')
+
+
+def test_validation_failed_names_the_fields(client, csrf_headers):
+    response = client.post('/api/v1/contacts', json={'name': 'Asha', 'email': 7, 'message': 5}, headers=csrf_headers)
+    assert error(response) == (400, 'validation_failed')
+    assert set(response.get_json()['fields']) == {'email', 'message'}
+
+
+def test_view_checks_use_the_same_envelope(client, csrf_headers, instant_form_tokens):
+    token = client.get('/api/v1/contacts/form-token').get_json()['form_token']
+    response = client.post('/api/v1/contacts', json={'name': 'Asha', 'email': 'not-an-email', 'form_token': token},
+                           headers=csrf_headers)
+    assert error(response) == (400, 'validation_failed')
+    assert list(response.get_json()['fields']) == ['email']
+
+
+def test_unknown_fields_are_rejected(client, csrf_headers):
+    response = client.post('/api/v1/chats/messages', json={'message': 'hello', 'admin': True}, headers=csrf_headers)
+    assert error(response) == (400, 'validation_failed')
+    assert list(response.get_json()['fields']) == ['admin']
+
+
+def test_missing_required_fields(client, csrf_headers):
+    response = client.post('/api/v1/contacts', json={'email': 'asha@example.com'}, headers=csrf_headers)
+    assert error(response) == (400, 'validation_failed')
+    assert 'name' in response.get_json()['fields']
+
+
+def test_public_posts_need_the_csrf_token(client):
+    response = client.post('/api/v1/chats/messages', json={'message': 'hello'})
+    assert error(response) == (400, 'csrf_failed')
+
+
+@pytest.mark.parametrize('header', [None, 'Bearer', 'Bearer aw_wrong', 'Basic dXNlcjpwYXNz'])
+def test_unauthorized(client, token, header):
+    response = client.get('/api/v1/contacts', headers={'Authorization': header} if header else {})
+    assert error(response) == (401, 'unauthorized')
+    assert response.headers['WWW-Authenticate'] == 'Bearer'
+
+
+def test_rate_limited_with_retry_after(client, csrf_headers):
+    for _ in range(api_v1.contact_limiter.limit):
+        assert client.post('/api/v1/contacts', json={}, headers=csrf_headers).status_code == 400
+    response = client.post('/api/v1/contacts', json={}, headers=csrf_headers)
+    assert error(response) == (429, 'rate_limited')
+    assert 0 < int(response.headers['Retry-After']) <= api_v1.contact_limiter.window
+
+
+def test_unknown_routes_and_methods(client, auth):
+    assert error(client.get('/api/v1/nothing', headers=auth)) == (404, 'not_found')
+    assert error(client.get('/api/v1/contacts/9999', headers=auth)) == (404, 'not_found')
+    response = client.delete('/api/v1/projects', headers=auth)
+    assert error(response) == (405, 'method_not_allowed')
+    assert 'GET' in response.headers['Allow']
+    # Outside /api/v1 Flask's own pages stay
+    assert client.get('/no-such-page').mimetype == 'text/html'
+
+
+# ---- Pagination ----
+
+@pytest.mark.parametrize('query, page, per_page, count', [
+    ('', 1, api_v1.DEFAULT_PER_PAGE, 5),
+    ('?per_page=2', 1, 2, 2),
+    ('?per_page=2&page=3', 3, 2, 1),
+    ('?per_page=2&page=9', 9, 2, 0),
+    ('?per_page=0', 1, 1, 1),
+    ('?per_page=-5&page=-1', 1, 1, 1),
+    ('?per_page=1000', 1, api_v1.MAX_PER_PAGE, 5),
+    ('?per_page=lots&page=two', 1, api_v1.DEFAULT_PER_PAGE, 5),
+])
+def test_pagination_bounds(client, db, auth, query, page, per_page, count):
+    for i in range(5):
+        insert_contact(db, f'Contact {i}', f'c{i}@example.com', 'hi')
+    body = client.get('/api/v1/contacts' + query, headers=auth).get_json()
+    assert (body['page'], body['per_page'], len(body['items']), body['total']) == (page, per_page, count, 5)
+    assert body['pages'] == max(-(-5 // per_page), 1)
+
+
+def test_status_filter_is_validated(client, auth):
+    response = client.get('/api/v1/contacts?status=bogus', headers=auth)
+    assert error(response) == (400, 'validation_failed')
+    assert 'status' in response.get_json()['fields']
+
+
+# ---- Tokens ----
+
+def test_tokens_are_stored_hashed(client, db, token):
+    assert token.startswith(api_v1.TOKEN_PREFIX)
+    [row] = db.execute('SELECT token_hash, last_used_at FROM api_tokens').fetchall()
+    assert row['token_hash'] == hashlib.sha256(token.encode()).hexdigest()
+    assert token not in row['token_hash'] and row['last_used_at'] is None
+
+    assert client.get('/api/v1/contacts', headers={'Authorization': f'bearer {token}'}).status_code == 200
+    assert db.execute('SELECT last_used_at FROM api_tokens').fetchone()[0] is not None
+    # The hash itself is not a token
+    assert client.get('/api/v1/contacts', headers={'Authorization': f"Bearer {row['token_hash']}"}).status_code == 401
+
+
+def test_token_cli_create_list_and_revoke(app, client, db):
+    runner = app.test_cli_runner()
+    result = runner.invoke(args=['api', 'create-token', 'crm'])
+    assert result.exit_code == 0
+    token = result.stdout.strip()
+    auth = {'Authorization': f'Bearer {token}'}
+    assert client.get('/api/v1/chats', headers=auth).status_code == 200
+
+    listing = runner.invoke(args=['api', 'tokens']).output
+    assert 'crm' in listing and token not in listing
+    token_id = db.execute("SELECT id FROM api_tokens WHERE name = 'crm'").fetchone()[0]
+    assert 'Token revoked.' in runner.invoke(args=['api', 'revoke-token', str(token_id)]).output
+    assert error(client.get('/api/v1/chats', headers=auth)) == (401, 'unauthorized')
+    assert 'No such token.' in runner.invoke(args=['api', 'revoke-token', str(token_id)]).output
+
+
+def test_token_routes_need_no_csrf(client, db, auth):
+    contact_id = insert_contact(db, 'Asha', 'asha@example.com', 'hi')
+    response = client.patch(f'/api/v1/contacts/{contact_id}', json={'status': 'replied'}, headers=auth)
+    assert response.status_code == 200
+    assert response.get_json()['item']['status'] == 'replied'
+
+
+# ---- OpenAPI ----
+
+def test_openapi_document_lists_every_endpoint(client):
+    document = client.get('/api/v1/openapi.json').get_json()
+    assert document['openapi'].startswith('3.')
+    operations = {op['operationId'] for path in document['paths'].values() for op in path.values()}
+    assert operations == {spec['name'] for spec in api_v1.endpoints}
+    assert document['components']['schemas']['Error']['properties']['code']['enum'] == list(api_v1.ERRORS)
+
+
+# ---- Pre-v1 URLs ----
+
+def test_legacy_submit_contact(db, client, csrf_headers, instant_form_tokens):
+    token = client.get('/api/v1/contacts/form-token').get_json()['form_token']
+    response = client.post('/submit_contact', json={'name': 'Asha', 'email': 'asha@example.com',
+                                                     'message': 'Hello', 'form_token': token}, headers=csrf_headers)
+    assert response.status_code in (200, 201)
+    assert response.get_json()['ok'] is True and response.get_json()['message']
+    assert db.execute('SELECT COUNT(*) FROM contacts').fetchone()[0] == 1
+
+    response = client.post('/submit_contact', json={'name': '', 'email': 'x', 'form_token': token},
+                           headers=csrf_headers)
+    assert response.status_code == 400
+    body = response.get_json()
+    assert body['ok'] is False and {'name', 'email'} <= set(body['fields'])
+
+
+def test_legacy_routes_share_the_v1_budget(client, csrf_headers):
+    for url in ['/submit_contact', '/api/v1/contacts'] * 2 + ['/submit_contact']:
+        assert client.post(url, json={}, headers=csrf_headers).status_code == 400
+    assert client.post('/api/v1/contacts', json={}, headers=csrf_headers).status_code == 429
+
+
+def test_legacy_chat_send(client, db, csrf_headers):
+    response = client.post('/chat_send', json={'message': 'hello', 'session_id': 'abcdef123456'},
+                           headers=csrf_headers)
+    assert response.status_code == 200
+    body = response.get_json()
+    assert body['ok'] and body['reply'] and body['session_id'] == 'abcdef123456'
+    senders = [row[0] for row in db.execute("SELECT sender FROM chats WHERE session_id = 'abcdef123456' ORDER BY id")]
+    assert senders == ['user', 'bot']
+
+
+@pytest.mark.parametrize('accept', ['text/event-stream', None])
+def test_legacy_chat_stream(client, csrf_headers, accept):
+    headers = dict(csrf_headers, Accept=accept) if accept else csrf_headers
+    response = client.post('/chat_stream', json={'message': 'hello'}, headers=headers)
+    assert response.status_code == 200
+    assert response.mimetype == 'text/event-stream'
+    events = parse_sse(response.get_data(as_text=True))
+    assert events[0][0] == 'session' and events[-1][0] == 'done'
@@ -0,0 +1,28 @@
+from bot_engine import BotReply
+from conftest import parse_sse
+
+
+def test_complete_reply_is_chunked_word_by_word():
+    assert list(BotReply('Hi there, friend.').iter_chunks()) == ['Hi ', 'there, ', 'friend.']
+
+
+def test_rules_reply_streams_several_tokens_before_done(client, csrf_headers):
+    response = client.post('/api/v1/chats/messages', json={'message': 'hello'},
+                           headers=dict(csrf_headers, Accept='text/event-stream'))
+    assert response.status_code == 200
+    assert response.mimetype == 'text/event-stream'
+
+    events = parse_sse(response.get_data(as_text=True))
+    names = [name for name, _ in events]
+    assert names[0] == 'session' and names[-1] == 'done'
+    tokens = [data['text'] for name, data in events if name == 'token']
+    assert len(tokens) > 1
+    assert set(names[1:-1]) == {'token'}
+    assert ''.join(tokens) == events[-1][1]['reply']
+
+
+def test_chat_without_stream_answers_json(client, csrf_headers):
+    response = client.post('/api/v1/chats/messages', json={'message': 'hello'}, headers=csrf_headers)
+    assert response.status_code == 200
+    body = response.get_json()
+    assert body['ok'] and body['reply'] and body['session_id']
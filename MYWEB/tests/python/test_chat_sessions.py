@@ -0,0 +1,34 @@
+import migrations
+from database import query_chat_sessions
+
+
+def add_legacy_chats(db, db_path):
+    """Rows as stored before session ids existed, then migration 11 as on upgrade."""
+    db.executemany('INSERT INTO chats (sender, message, created_at) VALUES (?, ?, ?)', [
+        ('user', 'Do you build websites?', '2025-11-02T10:00:00'),
+        ('bot', 'Yes, have a look at the projects.', '2025-11-02T10:00:01'),
+        ('user', 'Still there?', '2025-11-03T09:00:00'),
+    ])
+    db.execute("INSERT INTO chats (sender, message, created_at, session_id) VALUES ('user', 'hi', '2025-11-04T08:00:00', 'abcdef123456')")
+    db.execute('DELETE FROM schema_migrations WHERE version = 11')
+    db.commit()
+    migrations.migrate(db_path, backup=False)
+
+
+def test_legacy_chats_are_listed_by_day(db, db_path):
+    add_legacy_chats(db, db_path)
+    sessions, total = query_chat_sessions(db)
+    assert total == 3
+    by_id = {s['session_id']: s for s in sessions}
+    assert by_id['legacy-2025-11-02']['message_count'] == 2
+    assert by_id['legacy-2025-11-02']['preview'] == 'Do you build websites?'
+    assert by_id['legacy-2025-11-03']['message_count'] == 1
+    assert by_id['abcdef123456']['message_count'] == 1
+
+
+def test_legacy_chat_transcript_opens(db, db_path, admin_client):
+    add_legacy_chats(db, db_path)
+    response = admin_client.get('/admin/api/chats/legacy-2025-11-02')
+    assert response.status_code == 200
+    assert [m['message'] for m in response.get_json()['messages']] == [
+        'Do you build websites?', 'Yes, have a look at the projects.']
@@ -0,0 +1,35 @@
+import sqlite3
+
+from data_transfer import import_contacts
+
+
+def make_legacy_db(path, rows):
+    src = sqlite3.connect(path)
+    src.execute('CREATE TABLE contacts (id INTEGER PRIMARY KEY, name TEXT, email TEXT, message TEXT, created_at TEXT)')
+    src.executemany('INSERT INTO contacts (name, email, message, created_at) VALUES (?, ?, ?, ?)', rows)
+    src.commit()
+    src.close()
+
+
+def test_import_coerces_non_text_values(db, tmp_path):
+    legacy = str(tmp_path / 'contacts-legacy.db')
+    make_legacy_db(legacy, [
+        ('Asha', 'asha@example.com', 12345, '2025-11-02T10:00:00'),
+        (2024, 'numbers@example.com', b'blob message', '2025-11-02T11:00:00'),
+        ('Ravi', 'ravi@example.com', 'Hello', 20251102),
+    ])
+    assert import_contacts(db, legacy) == {'imported': 3, 'duplicates': 0, 'invalid': 0}
+    rows = db.execute('SELECT name, message, created_at FROM contacts ORDER BY id').fetchall()
+    assert [tuple(row) for row in rows] == [
+        ('Asha', '12345', '2025-11-02T10:00:00'),
+        ('2024', 'blob message', '2025-11-02T11:00:00'),
+        ('Ravi', 'Hello', '20251102'),
+    ]
+    # Importing again finds the same rows
+    assert import_contacts(db, legacy)['duplicates'] == 3
+
+
+def test_import_skips_rows_without_name_or_email(db, tmp_path):
+    legacy = str(tmp_path / 'contacts-legacy.db')
+    make_legacy_db(legacy, [(None, 'x@example.com', 'hi', '2025-11-02'), ('Asha', '  ', 'hi', '2025-11-02')])
+    assert import_contacts(db, legacy) == {'imported': 0, 'duplicates': 0, 'invalid': 2}
@@ -0,0 +1,59 @@
+import json
+
+import pytest
+
+import live_chat
+
+
+@pytest.fixture
+def single_process(monkeypatch):
+    monkeypatch.delenv('GUNICORN_CMD_ARGS', raising=False)
+    monkeypatch.delenv('WEB_CONCURRENCY', raising=False)
+    monkeypatch.setattr(live_chat.sys, 'argv', ['flask', 'run'])
+
+
+@pytest.mark.parametrize('argv, env, expected', [
+    (['flask', 'run'], {}, 1),
+    (['/usr/bin/gunicorn', '--workers', '1', '--threads', '50', 'app:app'], {}, 1),
+    (['/usr/bin/gunicorn', '--workers', '4', 'app:app'], {}, 4),
+    (['/usr/bin/gunicorn', '-w3', 'app:app'], {}, 3),
+    (['/usr/bin/gunicorn', 'app:app'], {'GUNICORN_CMD_ARGS': '--workers=2'}, 2),
+    (['/usr/bin/gunicorn', 'app:app'], {'WEB_CONCURRENCY': '5'}, 5),
+    (['/usr/bin/gunicorn', '-w', '1', 'app:app'], {'WEB_CONCURRENCY': '5'}, 1),
+    (['/usr/bin/gunicorn', 'app:app'], {'WEB_CONCURRENCY': 'lots'}, 1),
+])
+def test_worker_count(single_process, monkeypatch, argv, env, expected):
+    monkeypatch.setattr(live_chat.sys, 'argv', argv)
+    for name, value in env.items():
+        monkeypatch.setenv(name, value)
+    assert live_chat.worker_count() == expected
+
+
+def test_startup_warns_with_several_workers(single_process, monkeypatch, capsys):
+    monkeypatch.setenv('WEB_CONCURRENCY', '4')
+    monkeypatch.setattr(live_chat.sock, 'init_app', lambda app: None)
+    live_chat.init_app(object())
+    assert 'Live chat needs a single worker process, but the app runs with 4' in capsys.readouterr().out
+
+
+class ClosingSocket:
+    """An owner console that closes right after connecting."""
+
+    def __init__(self):
+        self.sent = []
+
+    def send(self, data):
+        self.sent.append(json.loads(data))
+
+    def receive(self):
+        raise ConnectionError
+
+
+@pytest.mark.parametrize('workers, warned', [('1', False), ('2', True)])
+def test_owner_console_is_told_about_several_workers(single_process, monkeypatch, workers, warned):
+    monkeypatch.setenv('WEB_CONCURRENCY', workers)
+    ws = ClosingSocket()
+    with pytest.raises(ConnectionError):
+        live_chat.serve_owner(ws, None)
+    assert (ws.sent[-1]['type'] == 'error') is warned
+    assert ws not in live_chat.hub._owners
@@ -0,0 +1,75 @@
+import pytest
+
+import notifications
+from conftest import CSRF_TOKEN
+
+
+@pytest.fixture
+def mail_env(monkeypatch):
+    monkeypatch.setenv('OWNER_EMAIL', 'owner@alamweb.in')
+    monkeypatch.setenv('AUTOREPLY', '1')
+    monkeypatch.setenv('SITE_URL', 'https://alamweb.in')
+
+
+def queued(db, kind):
+    return db.execute('SELECT * FROM email_queue WHERE kind = ? ORDER BY id', (kind,)).fetchall()
+
+
+def test_new_contact_queues_notice_and_autoreply(mail_env, db, post_contact):
+    assert post_contact().status_code == 201
+    [notice] = queued(db, 'contact_notice')
+    assert notice['recipient'] == 'owner@alamweb.in'
+    assert notice['reply_to'] == 'asha@example.com'
+    [autoreply] = queued(db, 'autoreply')
+    assert autoreply['recipient'] == 'asha@example.com'
+
+
+def test_one_autoreply_per_address_a_day(mail_env, db, post_contact):
+    assert post_contact().status_code == 201
+    assert post_contact(email='ASHA@example.com', message='Me again').status_code == 201
+    assert len(queued(db, 'contact_notice')) == 2
+    assert len(queued(db, 'autoreply')) == 1
+
+
+def test_autoreply_again_after_a_day(mail_env, db, post_contact):
+    post_contact()
+    db.execute("UPDATE email_queue SET created_at = ? WHERE kind = 'autoreply'",
+               (notifications.now_iso(-notifications.AUTOREPLY_INTERVAL - 60),))
+    db.commit()
+    post_contact()
+    assert len(queued(db, 'autoreply')) == 2
+
+
+def test_autoreply_never_contains_visitor_input(mail_env, db, post_contact):
+    response = post_contact(name='Win <b>cash</b> at spam.example',
+                            message='Visit http://spam.example/offer now')
+    assert response.status_code == 201
+    [autoreply] = queued(db, 'autoreply')
+    for part in (autoreply['subject'], autoreply['body_text'], autoreply['body_html']):
+        assert 'spam.example' not in part
+        assert 'cash' not in part
+    # The owner still sees what was sent
+    assert 'spam.example' in queued(db, 'contact_notice')[0]['body_text']
+
+
+def test_links_ignore_a_spoofed_host_header(mail_env, db, client, post_contact):
+    with client.session_transaction(base_url='http://evil.example') as session:
+        session['csrf_token'] = CSRF_TOKEN
+    assert post_contact(headers={'Host': 'evil.example'}).status_code == 201
+    for row in queued(db, 'contact_notice') + queued(db, 'autoreply'):
+        assert 'evil.example' not in row['body_text'] + (row['body_html'] or '')
+    assert 'https://alamweb.in/admin/' in queued(db, 'contact_notice')[0]['body_text']
+
+
+def test_site_url_falls_back_to_server_name(app, monkeypatch):
+    monkeypatch.delenv('SITE_URL', raising=False)
+    monkeypatch.setitem(app.config, 'SERVER_NAME', 'alamweb.in')
+    monkeypatch.setitem(app.config, 'PREFERRED_URL_SCHEME', 'https')
+    with app.test_request_context('/', base_url='http://evil.example'):
+        assert notifications.site_url() == 'https://alamweb.in'
+
+
+def test_site_url_never_uses_the_request_host(app, monkeypatch):
+    monkeypatch.delenv('SITE_URL', raising=False)
+    with app.test_request_context('/', base_url='http://evil.example'):
+        assert notifications.site_url() == notifications.DEFAULT_SITE_URL
@@ -0,0 +1,35 @@
+from flask import Flask
+
+from app import trust_proxies
+from ratelimit import client_ip
+
+FORWARDED = {'X-Forwarded-For': '203.0.113.7'}
+
+
+def ip_app():
+    app = Flask(__name__)
+    app.add_url_rule('/ip', 'ip', client_ip)
+    return app
+
+
+def test_forwarded_for_is_ignored_by_default(monkeypatch):
+    monkeypatch.delenv('TRUSTED_PROXIES', raising=False)
+    app = ip_app()
+    trust_proxies(app)
+    assert app.test_client().get('/ip', headers=FORWARDED).text == '127.0.0.1'
+
+
+def test_trusted_proxy_forwards_the_client_address(monkeypatch):
+    monkeypatch.setenv('TRUSTED_PROXIES', '1')
+    app = ip_app()
+    trust_proxies(app)
+    assert app.test_client().get('/ip', headers=FORWARDED).text == '203.0.113.7'
+
+
+def test_rate_limit_answers_429_with_retry_after(client, csrf_headers):
+    for _ in range(30):
+        assert client.post('/analytics', json={'events': []}, headers=csrf_headers).status_code != 429
+    response = client.post('/analytics', json={'events': []}, headers=csrf_headers)
+    assert response.status_code == 429
+    assert response.get_json()['code'] == 'rate_limited'
+    assert int(response.headers['Retry-After']) > 0
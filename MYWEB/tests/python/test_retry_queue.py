@@ -0,0 +1,102 @@
+from datetime import datetime
+import threading
+
+import pytest
+
+from database import now_iso
+from retry_queue import BackgroundSender, RetryQueue
+
+
+@pytest.fixture
+def queue(db):
+    db.execute("INSERT INTO webhook_subscriptions (url, events, secret, created_at) VALUES ('http://x', '*', 's', ?)",
+               (now_iso(),))
+    db.execute("INSERT INTO webhook_deliveries (subscription_id, event, payload, next_attempt_at, created_at)"
+               " VALUES (1, 'ping', '{}', ?, ?)", (now_iso(), now_iso()))
+    db.commit()
+    return RetryQueue('webhook_deliveries', 'delivered', 'delivered_at', max_attempts=3,
+                      retry_base_seconds=60, claim_seconds=300)
+
+
+def row(db):
+    return db.execute('SELECT * FROM webhook_deliveries WHERE id = 1').fetchone()
+
+
+def seconds_from_now(value):
+    return (datetime.fromisoformat(value) - datetime.fromisoformat(now_iso())).total_seconds()
+
+
+def test_claim_is_exclusive_until_it_expires(db, queue):
+    assert queue.claim(db, 1)
+    assert not queue.claim(db, 1)
+    assert 295 <= seconds_from_now(row(db)['next_attempt_at']) <= 300
+    db.execute("UPDATE webhook_deliveries SET next_attempt_at = '2000-01-01T00:00:00'")
+    assert queue.claim(db, 1)
+
+
+def test_claim_skips_rows_not_pending(db, queue):
+    queue.done(db, 1, 1)
+    assert not queue.claim(db, 1)
+
+
+def test_failed_doubles_the_delay_then_gives_up(db, queue):
+    for attempts, delay in ((1, 60), (2, 120)):
+        queue.failed(db, 1, attempts, 'HTTP 500', response_status=500)
+        current = row(db)
+        assert (current['status'], current['attempts'], current['last_error']) == ('pending', attempts, 'HTTP 500')
+        assert current['response_status'] == 500
+        assert delay - 5 <= seconds_from_now(current['next_attempt_at']) <= delay
+    queue.failed(db, 1, 3, 'x' * 1000)
+    assert row(db)['status'] == 'failed'
+    assert len(row(db)['last_error']) == 500
+    assert queue.waiting(db) == 0
+
+    queue.retry_failed(db)
+    assert (row(db)['status'], row(db)['attempts']) == ('pending', 0)
+    assert queue.claim(db, 1)
+
+
+def test_done_records_the_time_and_clears_the_error(db, queue):
+    queue.failed(db, 1, 1, 'timed out')
+    queue.done(db, 1, 2, response_status=204)
+    current = row(db)
+    assert (current['status'], current['attempts'], current['last_error']) == ('delivered', 2, None)
+    assert current['response_status'] == 204
+    assert current['delivered_at'] is not None
+
+
+def test_background_sender_reuses_one_thread():
+    passes = []
+    started, release = threading.Event(), threading.Event()
+
+    def deliver_due(db):
+        passes.append(threading.current_thread())
+        started.set()
+        release.wait(5)
+
+    sender = BackgroundSender(deliver_due, 'Test delivery')
+    sender.wake()
+    assert started.wait(5)
+    started.clear()
+    # Wakes during a pass start no thread of their own; they add one more pass
+    for _ in range(10):
+        sender.wake()
+    release.set()
+    assert started.wait(5)
+    assert len(passes) == 2
+    assert passes[0] is passes[1] is sender._thread
+
+
+def test_background_sender_survives_errors(capsys):
+    passes = threading.Semaphore(0)
+
+    def deliver_due(db):
+        passes.release()
+        raise RuntimeError('mail server down')
+
+    sender = BackgroundSender(deliver_due, 'Test delivery')
+    sender.wake()
+    assert passes.acquire(timeout=5)
+    sender.wake()
+    assert passes.acquire(timeout=5)
+    assert 'Test delivery error: mail server down' in capsys.readouterr().out
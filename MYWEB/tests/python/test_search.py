@@ -0,0 +1,124 @@
+import pytest
+
+import search
+from database import insert_contact
+
+
+def add_chat(db, sender, message, created_at='2025-11-02T10:00:00', session_id='abcdef123456'):
+    cursor = db.execute('INSERT INTO chats (sender, message, created_at, session_id) VALUES (?, ?, ?, ?)',
+                        (sender, message, created_at, session_id))
+    db.commit()
+    return cursor.lastrowid
+
+
+def find(admin_client, **params):
+    response = admin_client.get('/admin/api/search', query_string=params)
+    return response.status_code, response.get_json()
+
+
+def chat_ids(db, q, **filters):
+    items, total = search.search_chats(db, search.fts_query(q), **filters)
+    assert total == len(items)
+    return [item['id'] for item in items]
+
+
+def test_fts_query_quotes_terms_and_drops_short_ones():
+    assert search.fts_query('a website is ok') == '"website"'
+    assert search.fts_query('to be or') is None
+    assert search.fts_query('') is None
+    assert search.fts_query('say "hi there"') == '"say" """hi" "there"""'
+
+
+def test_short_terms_are_ignored(db, admin_client):
+    add_chat(db, 'user', 'I need a website')
+    status, body = find(admin_client, q='a website', scope='chats')
+    assert status == 200 and body['chats']['total'] == 1
+    status, body = find(admin_client, q='we a', scope='chats')
+    assert status == 400
+    assert 'at least 3 characters' in body['error']
+
+
+@pytest.mark.parametrize('q', ['web* OR x', 'NEAR(web site)', '"unbalanced', 'col:web', '-web +site', '^web', 'a AND', '(((', "web'; DROP"])
+def test_fts_syntax_in_queries_does_not_raise(db, admin_client, q):
+    add_chat(db, 'user', 'I need a website')
+    status, body = find(admin_client, q=q)
+    assert status in (200, 400)
+    assert body['ok'] is (status == 200)
+
+
+def test_stored_html_and_marks_are_escaped(db, admin_client):
+    add_chat(db, 'user', 'My <script>alert(1)</script> website <mark>here</mark>')
+    insert_contact(db, '<b>Asha</b>', 'asha@example.com', 'Need a website <img src=x onerror=alert(1)>')
+    status, body = find(admin_client, q='website')
+    assert status == 200
+    [chat], [contact] = body['chats']['items'], body['contacts']['items']
+    assert '<mark>website</mark>' in chat['snippet']
+    assert chat['snippet'].count('<mark>') == 1 and '<script' not in chat['snippet']
+    assert '&lt;mark' in chat['snippet']
+    assert '<img' not in contact['snippet'] and '&lt;' in contact['snippet']
+    assert contact['snippet'].count('<mark>') == 1
+
+
+def test_index_follows_chat_insert_update_and_delete(db):
+    chat_id = add_chat(db, 'user', 'Do you build websites?')
+    assert chat_ids(db, 'websites') == [chat_id]
+    db.execute("UPDATE chats SET message = 'Do you design logos?' WHERE id = ?", (chat_id,))
+    db.commit()
+    assert chat_ids(db, 'websites') == []
+    assert chat_ids(db, 'logos') == [chat_id]
+    db.execute('DELETE FROM chats WHERE id = ?', (chat_id,))
+    db.commit()
+    assert chat_ids(db, 'logos') == []
+
+
+def test_index_follows_contact_insert_update_and_delete(db):
+    def contact_ids(q):
+        return [item['id'] for item in search.search_contacts(db, search.fts_query(q))[0]]
+
+    contact_id = insert_contact(db, 'Asha', 'asha@example.com', 'Need a shop')
+    assert contact_ids('Asha') == contact_ids('example') == contact_ids('shop') == [contact_id]
+    db.execute("UPDATE contacts SET name = 'Ravi', email = 'ravi@example.org', message = 'Need a blog'"
+               ' WHERE id = ?', (contact_id,))
+    db.commit()
+    assert contact_ids('Asha') == contact_ids('example.com') == contact_ids('shop') == []
+    assert contact_ids('Ravi') == contact_ids('blog') == [contact_id]
+    # Other columns don't touch the index
+    db.execute("UPDATE contacts SET status = 'done' WHERE id = ?", (contact_id,))
+    db.commit()
+    assert contact_ids('Ravi') == [contact_id]
+    db.execute('DELETE FROM contacts WHERE id = ?', (contact_id,))
+    db.commit()
+    assert contact_ids('Ravi') == []
+
+
+def test_sender_and_date_filters(db, admin_client):
+    user_1 = add_chat(db, 'user', 'website price?', '2025-11-01T23:59:59')
+    bot_2 = add_chat(db, 'bot', 'A website starts at...', '2025-11-02T00:00:00')
+    owner_3 = add_chat(db, 'owner', 'Happy to quote a website', '2025-11-03T12:00:00')
+    assert sorted(chat_ids(db, 'website')) == [user_1, bot_2, owner_3]
+
+    def ids(**params):
+        status, body = find(admin_client, q='website', scope='chats', **params)
+        assert status == 200
+        return sorted(item['id'] for item in body['chats']['items'])
+
+    assert ids(sender='bot') == [bot_2]
+    assert ids(sender='owner') == [owner_3]
+    assert ids(**{'from': '2025-11-02'}) == [bot_2, owner_3]
+    assert ids(to='2025-11-02') == [user_1, bot_2]
+    assert ids(**{'from': '2025-11-02', 'to': '2025-11-02'}) == [bot_2]
+    assert ids(sender='user', **{'from': '2025-11-02'}) == []
+
+
+@pytest.mark.parametrize('params, error', [
+    ({'sender': 'robot'}, 'Unknown sender'),
+    ({'scope': 'everything'}, 'Unknown search scope'),
+    ({'from': '02/11/2025'}, 'from must be a date'),
+])
+def test_bad_filters_are_rejected(admin_client, params, error):
+    status, body = find(admin_client, q='website', **params)
+    assert status == 400 and error in body['error']
+
+
+def test_search_needs_the_admin(client):
+    assert client.get('/admin/api/search?q=website').status_code in (302, 401)
@@ -0,0 +1,155 @@
+from datetime import datetime
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+import hashlib
+import hmac
+import json
+import os
+import re
+import threading
+
+import pytest
+
+import webhooks
+
+README = os.path.join(os.path.dirname(__file__), '..', '..', '..', 'README.md')
+
+
+class Receiver(ThreadingHTTPServer):
+    """A local endpoint that records each POST and answers with `status`."""
+
+    def __init__(self):
+        super().__init__(('127.0.0.1', 0), ReceiverHandler)
+        self.status = 200
+        self.requests = []
+
+    @property
+    def url(self):
+        return f'http://127.0.0.1:{self.server_port}/hook'
+
+
+class ReceiverHandler(BaseHTTPRequestHandler):
+    def do_POST(self):
+        body = self.rfile.read(int(self.headers['Content-Length']))
+        self.server.requests.append({'path': self.path, 'headers': dict(self.headers), 'body': body})
+        self.send_response(self.server.status)
+        if self.server.status in (301, 302, 307, 308):
+            self.send_header('Location', '/elsewhere')
+        self.send_header('Content-Length', '0')
+        self.end_headers()
+
+    def log_message(self, *args):
+        pass
+
+
+@pytest.fixture
+def receiver():
+    server = Receiver()
+    thread = threading.Thread(target=server.serve_forever, daemon=True)
+    thread.start()
+    yield server
+    server.shutdown()
+    server.server_close()
+    thread.join(timeout=5)
+
+
+@pytest.fixture
+def subscription(db, receiver):
+    return webhooks.create_subscription(db, receiver.url, ['*'])
+
+
+def deliveries(db):
+    return db.execute('SELECT * FROM webhook_deliveries ORDER BY id').fetchall()
+
+
+def make_due(db):
+    db.execute("UPDATE webhook_deliveries SET next_attempt_at = '2000-01-01T00:00:00' WHERE status = 'pending'")
+    db.commit()
+
+
+def readme_verification_snippet():
+    with open(README, encoding='utf-8') as f:
+        readme = f.read()
+    section = readme[readme.index('## Webhooks'):]
+    return re.search(r'```python\n(.*?)```', section, re.S).group(1)
+
+
+def test_signature_checks_out_with_the_readme_snippet(db, receiver, subscription):
+    assert webhooks.emit(db, 'contact.created', {'name': 'Asha'}) == 1
+    assert webhooks.deliver_due(db) == (1, 0)
+    [received] = receiver.requests
+    headers, body = received['headers'], received['body']
+    assert headers['X-Webhook-Signature'].startswith('sha256=')
+    assert headers['X-Webhook-Event'] == 'contact.created'
+
+    class Request:
+        pass
+    request = Request()
+    request.headers = headers
+    scope = {'hmac': hmac, 'hashlib': hashlib, 'secret': subscription['secret'],
+             'timestamp': headers['X-Webhook-Timestamp'], 'body': body, 'request': request}
+    lines = readme_verification_snippet().strip().splitlines()
+    # The snippet ends with the comparison; evaluate it instead of discarding it
+    exec('\n'.join(lines[:-1]), scope)
+    assert eval(lines[-1], scope) is True
+    scope['body'] = body + b' '
+    exec('\n'.join(lines[:-1]), scope)
+    assert eval(lines[-1], scope) is False
+
+
+def test_failures_retry_eight_times_with_growing_delay(db, receiver, subscription):
+    receiver.status = 500
+    webhooks.emit(db, 'chat.message', {'message': 'hi'})
+    delays = []
+    for attempt in range(1, webhooks.MAX_ATTEMPTS + 1):
+        make_due(db)
+        before = webhooks.now_iso()
+        assert webhooks.deliver_due(db) == (0, 1)
+        [row] = deliveries(db)
+        assert row['attempts'] == attempt
+        assert row['last_error'] == 'HTTP 500'
+        assert row['response_status'] == 500
+        delays.append(seconds_between(before, row['next_attempt_at']))
+    assert row['status'] == 'failed'
+    assert [round(d / webhooks.RETRY_BASE_SECONDS) for d in delays[:-1]] == [1, 2, 4, 8, 16, 32, 64]
+    # Out of attempts: nothing more is sent
+    make_due(db)
+    assert webhooks.deliver_due(db) == (0, 0)
+    assert len(receiver.requests) == webhooks.MAX_ATTEMPTS
+
+    event_ids = {json.loads(r['body'])['id'] for r in receiver.requests}
+    delivery_ids = {r['headers']['X-Webhook-Delivery'] for r in receiver.requests}
+    assert len(event_ids) == 1 and len(delivery_ids) == 1
+
+
+def seconds_between(start, end):
+    return (datetime.fromisoformat(end) - datetime.fromisoformat(start)).total_seconds()
+
+
+@pytest.mark.parametrize('status', [301, 302, 307, 308])
+def test_redirects_are_refused(db, receiver, subscription, status):
+    receiver.status = status
+    webhooks.emit(db, 'contact.created', {})
+    assert webhooks.deliver_due(db) == (0, 1)
+    [row] = deliveries(db)
+    assert row['status'] == 'pending'
+    assert row['last_error'] == f'HTTP {status}'
+    assert [r['path'] for r in receiver.requests] == ['/hook']
+
+
+def test_replay_resends_the_same_event(db, receiver, subscription):
+    webhooks.emit(db, 'contact.created', {'name': 'Asha'})
+    webhooks.deliver_due(db)
+    [original] = deliveries(db)
+    replayed_id = webhooks.replay(db, original['id'])
+    assert replayed_id != original['id']
+    assert webhooks.deliver_due(db) == (1, 0)
+    first, second = receiver.requests
+    assert first['body'] == second['body']
+    assert second['headers']['X-Webhook-Delivery'] == str(replayed_id)
+    assert webhooks.replay(db, 9999) is None
+
+
+def test_paused_subscription_gets_no_events(db, receiver, subscription):
+    webhooks.update_subscription(db, subscription['id'], {'active': False})
+    assert webhooks.emit(db, 'contact.created', {}) == 0
+
@@ -0,0 +1,89 @@
+"""Validation and spam checks shared by the contact form, the chat widget and
+the chat lead flow.
+"""
+from datetime import datetime, timezone
+import re
+
+from flask import current_app
+from itsdangerous import URLSafeTimedSerializer, BadSignature, SignatureExpired
+
+from i18n import gettext as _
+
+# Pragmatic address check: one @, no whitespace, a dot in the domain part
+EMAIL_RE = re.compile(r'^[^@\s]+@[^@\s]+\.[A-Za-z]{2,}$')
+NAME_MAX_LENGTH = 100
+EMAIL_MAX_LENGTH = 254
+CONTACT_MESSAGE_MAX_LENGTH = 5000
+CHAT_MESSAGE_MAX_LENGTH = 1000
+
+# Contact form tokens: a signed issue time rendered into the form. Humans need
+# a few seconds to fill it in; scripts posting instantly are rejected.
+FORM_TOKEN_SALT = 'contact-form'
+FORM_MIN_SECONDS = 3
+FORM_TOKEN_MAX_AGE = 6 * 60 * 60
+
+
+def is_valid_email(value):
+    """True if the value looks like a deliverable email address."""
+    return bool(value) and len(value) <= EMAIL_MAX_LENGTH and bool(EMAIL_RE.match(value))
+
+
+def is_valid_name(value):
+    """True for a non-trivial name of reasonable length."""
+    return bool(value) and 2 <= len(value) <= NAME_MAX_LENGTH
+
+
+def validate_contact(data):
+    """Cleans a contact submission.
+
+    Returns (values, errors): trimmed name/email/message and a dict of
+    per-field error messages (empty when the submission is valid).
+    """
+    values = {key: str(data.get(key) or '').strip() for key in ('name', 'email', 'message')}
+    errors = {}
+    if not values['name']:
+        errors['name'] = _('validation.name_required')
+    elif not is_valid_name(values['name']):
+        errors['name'] = _('validation.name_length', max=NAME_MAX_LENGTH)
+    if not values['email']:
+        errors['email'] = _('validation.email_required')
+    elif not is_valid_email(values['email']):
+        errors['email'] = _('validation.email_invalid')
+    if len(values['message']) > CONTACT_MESSAGE_MAX_LENGTH:
+        errors['message'] = _('validation.message_length', max=CONTACT_MESSAGE_MAX_LENGTH)
+    return values, errors
+
+
+def validate_chat_message(message):
+    """Returns an error message for an unacceptable chat message, else None."""
+    if not message:
+        return _('validation.chat_empty')
+    if len(message) > CHAT_MESSAGE_MAX_LENGTH:
+        return _('validation.chat_too_long', max=CHAT_MESSAGE_MAX_LENGTH)
+    return None
+
+
+def _form_serializer():
+    return URLSafeTimedSerializer(current_app.secret_key, salt=FORM_TOKEN_SALT)
+
+
+def issue_form_token():
+    """Signed token recording when the contact form was rendered."""
+    return _form_serializer().dumps('contact')
+
+
+def check_form_token(token):
+    """Returns an error message if the form token is missing, forged, stale
+    or was submitted faster than a human could, else None.
+    """
+    if not token:
+        return _('validation.form_expired')
+    try:
+        issued_at = _form_serializer().loads(token, max_age=FORM_TOKEN_MAX_AGE, return_timestamp=True)[1]
+    except SignatureExpired:
+        return _('validation.form_expired')
+    except BadSignature:
+        return _('validation.form_invalid')
+    if (datetime.now(timezone.utc) - issued_at).total_seconds() < FORM_MIN_SECONDS:
+        return _('validation.form_too_fast')
+    return None
@@ -0,0 +1,325 @@
+"""Outgoing webhooks: contact and chat events POSTed as JSON to endpoints the
+owner subscribes in the admin dashboard (or another service like Zapier or
+a CRM).
+
+Events:
+
+- contact.created     a contact form submission or a lead captured in chat
+- chat.message        every stored chat message (visitor, bot or owner)
+- chat.lead_captured  the chat's lead flow finished (also a contact.created)
+- ping                sent only by the dashboard's Send test button
+
+Each subscription lists the events it wants ('*' for all). The body is
+
+    {"id": "<event id>", "event": "contact.created", "created_at": "...", "data": {...}}
+
+and every request is signed with the subscription's secret:
+
+    X-Webhook-Timestamp: 1767225600
+    X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+
+Receivers should recompute the signature, compare it in constant time and
+reject old timestamps; the event id stays the same on retries and replays,
+so it can be used to drop duplicates.
+
+Events are queued in webhook_deliveries (which doubles as the delivery log)
+and sent in the background. Anything but a 2xx answer is retried with a
+growing delay; after MAX_ATTEMPTS the delivery is marked 'failed' and can
+be replayed from the dashboard. A paused subscription gets no new events;
+what it had queued waits until it is resumed. Cron picks up the retries:
+
+    flask --app app webhooks deliver   # every few minutes
+"""
+from urllib.parse import urlsplit
+import hashlib
+import hmac
+import json
+import secrets
+import time
+import urllib.error
+import urllib.request
+import uuid
+
+import click
+from flask.cli import with_appcontext
+
+from database import get_db, now_iso
+from retry_queue import BackgroundSender, RetryQueue
+
+EVENTS = ('contact.created', 'chat.message', 'chat.lead_captured')
+MAX_ATTEMPTS = 8
+RETRY_BASE_SECONDS = 30  # waits of 30 s, 1, 2, 4, 8, 16 and 32 minutes between attempts
+CLAIM_SECONDS = 5 * 60  # a delivery being sent is left alone this long
+REQUEST_TIMEOUT = 10
+URL_MAX_LENGTH = 500
+DESCRIPTION_MAX_LENGTH = 200
+USER_AGENT = 'Alamweb-Webhooks/1.0'
+
+
+queue = RetryQueue('webhook_deliveries', 'delivered', 'delivered_at', MAX_ATTEMPTS, RETRY_BASE_SECONDS, CLAIM_SECONDS)
+
+
+class WebhookError(ValueError):
+    """Invalid subscription settings; the message is safe to show to the admin."""
+
+
+def sign(secret, timestamp, body):
+    """The X-Webhook-Signature value for a body sent at `timestamp`."""
+    digest = hmac.new(secret.encode(), f'{timestamp}.'.encode() + body, hashlib.sha256).hexdigest()
+    return 'sha256=' + digest
+
+
+# ---- Subscriptions ----
+
+def parse_events(events):
+    """Validates a list of event names; ['*'] subscribes to everything."""
+    if isinstance(events, str):
+        events = events.split(',')
+    if not isinstance(events, list):
+        raise WebhookError('Choose at least one event')
+    events = [str(e).strip() for e in events if str(e).strip()]
+    if '*' in events:
+        return ['*']
+    unknown = [e for e in events if e not in EVENTS]
+    if unknown:
+        raise WebhookError(f'Unknown event: {unknown[0]}')
+    if not events:
+        raise WebhookError('Choose at least one event')
+    return [e for e in EVENTS if e in events]
+
+
+def parse_url(url):
+    url = (url if isinstance(url, str) else '').strip()
+    parts = urlsplit(url)
+    if parts.scheme not in ('http', 'https') or not parts.netloc:
+        raise WebhookError('Enter an http:// or https:// URL')
+    if len(url) > URL_MAX_LENGTH:
+        raise WebhookError(f'The URL must be at most {URL_MAX_LENGTH} characters')
+    return url
+
+
+def subscription_dict(row):
+    item = dict(row)
+    item['events'] = item['events'].split(',')
+    item['active'] = bool(item['active'])
+    return item
+
+
+def list_subscriptions(db):
+    rows = db.execute('SELECT * FROM webhook_subscriptions ORDER BY id').fetchall()
+    return [subscription_dict(row) for row in rows]
+
+
+def create_subscription(db, url, events, description=None):
+    """Adds a subscription with a fresh secret and returns it."""
+    url = parse_url(url)
+    events = parse_events(events)
+    description = (description if isinstance(description, str) else '').strip()[:DESCRIPTION_MAX_LENGTH] or None
+    cursor = db.execute(
+        'INSERT INTO webhook_subscriptions (url, events, secret, description, created_at) VALUES (?, ?, ?, ?, ?)',
+        (url, ','.join(events), secrets.token_urlsafe(32), description, now_iso())
+    )
+    db.commit()
+    return get_subscription(db, cursor.lastrowid)
+
+
+def get_subscription(db, subscription_id):
+    row = db.execute('SELECT * FROM webhook_subscriptions WHERE id = ?', (subscription_id,)).fetchone()
+    return subscription_dict(row) if row else None
+
+
+def update_subscription(db, subscription_id, changes):
+    """Applies url / events / description / active changes. Returns the
+    updated subscription, or None if it does not exist.
+    """
+    fields = {}
+    if 'url' in changes:
+        fields['url'] = parse_url(changes['url'])
+    if 'events' in changes:
+        fields['events'] = ','.join(parse_events(changes['events']))
+    if 'description' in changes:
+        description = changes['description'] if isinstance(changes['description'], str) else ''
+        fields['description'] = description.strip()[:DESCRIPTION_MAX_LENGTH] or None
+    if 'active' in changes:
+        fields['active'] = 1 if changes['active'] else 0
+    if fields:
+        assignments = ', '.join(f'{name} = ?' for name in fields)
+        db.execute(f'UPDATE webhook_subscriptions SET {assignments} WHERE id = ?',
+                   list(fields.values()) + [subscription_id])
+        db.commit()
+    return get_subscription(db, subscription_id)
+
+
+def delete_subscription(db, subscription_id):
+    """Removes a subscription and its delivery log. Returns False if unknown."""
+    cursor = db.execute('DELETE FROM webhook_subscriptions WHERE id = ?', (subscription_id,))
+    db.execute('DELETE FROM webhook_deliveries WHERE subscription_id = ?', (subscription_id,))
+    db.commit()
+    return cursor.rowcount == 1
+
+
+# ---- Queue ----
+
+def emit(db, event, data):
+    """Queues `event` for every active subscription that wants it, then
+    sends in the background. Returns the number of deliveries queued.
+    Problems are logged, never raised: the event itself already happened.
+    """
+    try:
+        rows = db.execute('SELECT id, events FROM webhook_subscriptions WHERE active = 1').fetchall()
+        targets = [row['id'] for row in rows if event in row['events'].split(',') or row['events'] == '*']
+        if not targets:
+            return 0
+        created_at = now_iso()
+        payload = json.dumps({'id': uuid.uuid4().hex, 'event': event, 'created_at': created_at, 'data': data})
+        db.executemany(
+            'INSERT INTO webhook_deliveries (subscription_id, event, payload, next_attempt_at, created_at)'
+            ' VALUES (?, ?, ?, ?, ?)',
+            [(target, event, payload, created_at, created_at) for target in targets]
+        )
+        db.commit()
+        deliver_in_background()
+        return len(targets)
+    except Exception as e:
+        print('Webhook queue error:', e)
+        return 0
+
+
+def queue_delivery(db, subscription_id, event, payload):
+    cursor = db.execute(
+        'INSERT INTO webhook_deliveries (subscription_id, event, payload, next_attempt_at, created_at)'
+        ' VALUES (?, ?, ?, ?, ?)',
+        (subscription_id, event, payload, now_iso(), now_iso())
+    )
+    db.commit()
+    deliver_in_background()
+    return cursor.lastrowid
+
+
+def ping(db, subscription_id):
+    """Queues a `ping` event to one subscription (the dashboard's Send test
+    button) and returns the delivery id, or None if it does not exist.
+    """
+    if get_subscription(db, subscription_id) is None:
+        return None
+    payload = json.dumps({'id': uuid.uuid4().hex, 'event': 'ping', 'created_at': now_iso(), 'data': {}})
+    return queue_delivery(db, subscription_id, 'ping', payload)
+
+
+def replay(db, delivery_id):
+    """Queues a delivery's payload again (same event id) as a new delivery
+    to the same subscription. Returns the new delivery's id, or None if the
+    delivery does not exist.
+    """
+    row = db.execute(
+        'SELECT d.subscription_id, d.event, d.payload FROM webhook_deliveries d'
+        ' JOIN webhook_subscriptions s ON s.id = d.subscription_id WHERE d.id = ?',
+        (delivery_id,)
+    ).fetchone()
+    if row is None:
+        return None
+    return queue_delivery(db, row['subscription_id'], row['event'], row['payload'])
+
+
+class NoRedirect(urllib.request.HTTPRedirectHandler):
+    """A redirect would turn the POST into a GET; treat it as a failure instead."""
+
+    def redirect_request(self, *args, **kwargs):
+        return None
+
+
+opener = urllib.request.build_opener(NoRedirect)
+
+
+def post(url, secret, delivery_id, event, body):
+    """POSTs one signed delivery. Returns the HTTP status; raises for
+    connection problems and non-2xx answers (urllib.error.HTTPError).
+    """
+    timestamp = str(int(time.time()))
+    req = urllib.request.Request(url, data=body, method='POST', headers={
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': str(delivery_id),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': sign(secret, timestamp, body),
+    })
+    with opener.open(req, timeout=REQUEST_TIMEOUT) as response:
+        return response.status
+
+
+def deliver_due(db, limit=50):
+    """Sends the queued deliveries that are due. Returns (delivered, failed)."""
+    rows = db.execute(
+        'SELECT d.*, s.url, s.secret FROM webhook_deliveries d'
+        ' JOIN webhook_subscriptions s ON s.id = d.subscription_id'
+        " WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND s.active = 1 ORDER BY d.id LIMIT ?",
+        (now_iso(), limit)
+    ).fetchall()
+    delivered = failed = 0
+    for row in rows:
+        if not queue.claim(db, row['id']):
+            continue
+        attempts = row['attempts'] + 1
+        try:
+            code = post(row['url'], row['secret'], row['id'], row['event'], row['payload'].encode())
+        except Exception as e:
+            code = e.code if isinstance(e, urllib.error.HTTPError) else None
+            error = f'HTTP {code}' if code else str(getattr(e, 'reason', e))
+            print('Webhook delivery error:', row['url'], error)
+            queue.failed(db, row['id'], attempts, error, response_status=code)
+            failed += 1
+        else:
+            queue.done(db, row['id'], attempts, response_status=code)
+            delivered += 1
+    return delivered, failed
+
+
+background = BackgroundSender(deliver_due, 'Webhook delivery')
+
+
+def deliver_in_background():
+    """Sends what is due without making the request wait for the receivers."""
+    background.wake()
+
+
+# ---- Events ----
+
+def contact_data(contact):
+    return {key: contact[key] for key in ('id', 'name', 'email', 'message', 'source', 'chat_session_id', 'created_at')}
+
+
+def notify_new_contact(db, contact_id):
+    """Emits contact.created and, for leads captured in chat, chat.lead_captured."""
+    try:
+        contact = db.execute('SELECT * FROM contacts WHERE id = ?', (contact_id,)).fetchone()
+        data = contact_data(contact)
+        emit(db, 'contact.created', data)
+        if contact['source'] == 'chat':
+            emit(db, 'chat.lead_captured', {'session_id': contact['chat_session_id'], 'contact': data})
+    except Exception as e:
+        print('Webhook queue error:', e)
+
+
+def chat_message(db, session_id, sender, message):
+    """Emits chat.message for a message that was just stored."""
+    emit(db, 'chat.message', {'session_id': session_id, 'sender': sender, 'message': message})
+
+
+# ---- CLI ----
+
+@click.group('webhooks')
+def webhooks_command():
+    """Outgoing webhooks: delivery of queued events."""
+
+
+@webhooks_command.command('deliver')
+@click.option('--retry-failed', is_flag=True, help='Give deliveries that ran out of attempts another round.')
+@with_appcontext
+def deliver_command(retry_failed):
+    """Send queued deliveries that are due."""
+    db = get_db()
+    if retry_failed:
+        queue.retry_failed(db)
+    delivered, failed = deliver_due(db, limit=1000)
+    click.echo(f'Delivered {delivered}, failed {failed}; {queue.waiting(db)} delivery(ies) waiting.')